@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/**
+ * Clustering benchmark
+ *
+ * Generates synthetic identity sets with realistic alias sprawl, checks that
+ * indexed candidate generation yields the same clusters as scoring every pair,
+ * and times clustering of large identity sets.
+ *
+ *   node bench/clustering.js [identities=40000] [verify=3000]
+ */
+
+import { performance } from 'node:perf_hooks';
+import { pathToFileURL } from 'node:url';
+
+import { findClusters, candidatePairs } from '../src/matcher.js';
+
+const SYLLABLES = [
+  'an', 'be', 'ca', 'da', 'el', 'fa', 'go', 'ha', 'in', 'jo', 'ka', 'li',
+  'ma', 'ne', 'or', 'pa', 'qui', 'ra', 'so', 'ta', 'ul', 'va', 'wen', 'xi',
+  'ya', 'ze', 'mü', 'jé', 'ño', 'ström', 'ski', 'son', 'berg', 'ov', 'ić',
+];
+const DOMAINS = ['company.com', 'corp.io', 'gmail.com', 'outlook.com', 'uni.edu'];
+
+/**
+ * Seeded PRNG (mulberry32)
+ * @param {number} seed - Seed
+ * @returns {() => number} Random number generator in [0, 1)
+ */
+function random(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generate synthetic identities
+ * @param {number} count - Number of identities
+ * @param {number} [seed=1] - Seed
+ * @returns {Array<{name: string, email: string, commits: number}>} Identities
+ */
+export function generateIdentities(count, seed = 1) {
+  const rand = random(seed);
+  const pick = (list) => list[Math.floor(rand() * list.length)];
+  const word = (parts) => {
+    let w = '';
+    for (let i = 0; i < parts; i++) w += pick(SYLLABLES);
+    return w[0].toUpperCase() + w.slice(1);
+  };
+  const ascii = (s) => s.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+
+  const identities = new Map();
+  while (identities.size < count) {
+    const first = word(2);
+    const last = word(2 + Math.floor(rand() * 2));
+    const user = ascii(first[0] + last) + Math.floor(rand() * 100);
+    const aliases = 1 + Math.floor(rand() * 4);
+
+    for (let k = 0; k < aliases && identities.size < count; k++) {
+      const names = [
+        `${first} ${last}`,
+        `${first} ${last[0]}.`,
+        `${ascii(first)} ${ascii(last)}`,
+        `${first.slice(0, -1)} ${last}`,
+        user,
+      ];
+      const emails = [
+        `${ascii(first)}.${ascii(last)}@${pick(DOMAINS)}`,
+        `${user}@${pick(DOMAINS)}`,
+        `${Math.floor(rand() * 1e6)}+${user}@users.noreply.github.com`,
+      ];
+      // Short personal addresses are rare; they collide across people
+      if (rand() < 0.05) emails.push(`${ascii(first)}@${pick(DOMAINS)}`);
+      const identity = {
+        name: pick(names),
+        email: pick(emails),
+        commits: 1 + Math.floor(rand() * 200),
+      };
+      identities.set(`${identity.name}|${identity.email}`, identity);
+    }
+  }
+
+  return [...identities.values()];
+}
+
+/**
+ * Time a function
+ * @param {() => *} fn - Function to run
+ * @returns {{result: *, ms: number}} Result and elapsed milliseconds
+ */
+function time(fn) {
+  const start = performance.now();
+  const result = fn();
+  return { result, ms: performance.now() - start };
+}
+
+function main() {
+  const size = Number(process.argv[2] || 40000);
+  const verifySize = Number(process.argv[3] || 3000);
+
+  const sample = generateIdentities(verifySize, 7);
+  const exhaustive = time(() => findClusters(sample, { exhaustive: true }));
+  const indexed = time(() => findClusters(sample));
+  const same =
+    JSON.stringify(exhaustive.result) === JSON.stringify(indexed.result);
+
+  console.log(`verify: ${verifySize} identities`);
+  console.log(`  exhaustive: ${exhaustive.ms.toFixed(0)} ms, ${exhaustive.result.length} clusters`);
+  console.log(`  indexed:    ${indexed.ms.toFixed(0)} ms, ${indexed.result.length} clusters`);
+  console.log(`  identical:  ${same}`);
+
+  const identities = generateIdentities(size, 11);
+  const pairs = time(() => candidatePairs(identities));
+  const clusters = time(() => findClusters(identities));
+
+  console.log(`scale: ${size} identities`);
+  console.log(`  candidate pairs: ${pairs.result.length} (${pairs.ms.toFixed(0)} ms)`);
+  console.log(`  clustering:      ${clusters.ms.toFixed(0)} ms, ${clusters.result.length} clusters`);
+
+  if (!same) process.exit(1);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
@@ -0,0 +1,239 @@
+/**
+ * Scan cache - keeps per-identity counts on disk so repeated scans only read
+ * the commits added since the last one
+ *
+ * The cache records the commit it was built at (the tip). When that commit is
+ * still an ancestor of HEAD, only `HEAD ^tip` is scanned and its counts are
+ * added to the cached ones. When it is not (rebase, reset, force-push) or the
+ * shallow boundary moved, the whole history is scanned again.
+ */
+
+import { execFileSync } from 'node:child_process';
+import { createHash } from 'node:crypto';
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
+import { dirname, join, resolve } from 'node:path';
+
+import { scanAuthorsAsync } from './scanner.js';
+import { mergeTimeline } from './timeline.js';
+import { PATH_LIMIT, mergePaths } from './paths.js';
+import { mergeSigningKeys } from './signing.js';
+
+/**
+ * @typedef {import('./scanner.js').Author} Author
+ * @typedef {import('./scanner.js').ScanIssue} ScanIssue
+ */
+
+/**
+ * @typedef {Object} ScanCache
+ * @property {number} version - File format version
+ * @property {string} tip - Commit the counts were taken at
+ * @property {string|null} shallow - Hash of the shallow boundary when the cache was written
+ * @property {Author[]} authors - Identities with commit counts up to the tip
+ * @property {ScanIssue[]} issues - Unusable identities found up to the tip
+ */
+
+const CACHE_VERSION = 1;
+
+/**
+ * Run a git command and return its trimmed output
+ * @param {string} repoPath - Path to git repository
+ * @param {string[]} args - Arguments for git
+ * @returns {string|null} Output, or null if git failed
+ */
+function git(repoPath, args) {
+  try {
+    return execFileSync('git', args, {
+      cwd: repoPath,
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+    }).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Hash the shallow boundary, which changes when a clone is deepened
+ * @param {string} repoPath - Path to git repository
+ * @returns {string|null} Hash of the shallow file, or null for a full clone
+ */
+function shallowState(repoPath) {
+  const file = git(repoPath, ['rev-parse', '--git-path', 'shallow']);
+  try {
+    const content = readFileSync(resolve(repoPath, file), 'utf-8');
+    return createHash('sha1').update(content).digest('hex');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Locate the cache file for a repository and scan options
+ *
+ * The default directory is `authorsync/` in the repository's git directory.
+ * A custom directory may be shared, so it gets a subdirectory per repository.
+ *
+ * @param {string} repoPath - Path to git repository
+ * @param {Object} options - Scan options
+ * @param {boolean} [options.includeCommitters=false] - Counts include committers
+ * @param {boolean} [options.coAuthors=false] - Counts include co-authors
+ * @param {boolean} [options.timeline=false] - Identities carry timelines
+ * @param {boolean} [options.paths=false] - Identities carry touched paths
+ * @param {number} [options.pathLimit=1000] - Distinct paths kept per identity
+ * @param {boolean} [options.signingKeys=false] - Identities carry signing keys
+ * @param {string} [options.cacheDir] - Cache directory
+ * @returns {string|null} Cache file path, or null outside a git repository
+ */
+export function scanCachePath(repoPath, options = {}) {
+  const {
+    includeCommitters = false,
+    coAuthors = false,
+    timeline = false,
+    paths = false,
+    pathLimit = PATH_LIMIT,
+    signingKeys = false,
+    cacheDir,
+  } = options;
+  const gitDir = git(repoPath, ['rev-parse', '--absolute-git-dir']);
+  if (!gitDir) return null;
+
+  const dir = cacheDir
+    ? join(cacheDir, createHash('sha1').update(gitDir).digest('hex').slice(0, 12))
+    : join(gitDir, 'authorsync');
+  const variant = ['authors'];
+  if (includeCommitters) variant.push('committers');
+  if (coAuthors) variant.push('co-authors');
+  if (timeline) variant.push('timeline');
+  if (paths) variant.push(`paths${pathLimit}`);
+  if (signingKeys) variant.push('signing-keys');
+  return join(dir, `scan-${variant.join('+')}.json`);
+}
+
+/**
+ * Read a cache file
+ * @param {string} file - Cache file path
+ * @returns {ScanCache|null} Cache, or null if missing or unreadable
+ */
+function readCache(file) {
+  try {
+    const cache = JSON.parse(readFileSync(file, 'utf-8'));
+    return cache.version === CACHE_VERSION ? cache : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write a cache file; a cache that cannot be written is skipped
+ * @param {string} file - Cache file path
+ * @param {ScanCache} cache - Cache
+ */
+function writeCache(file, cache) {
+  try {
+    mkdirSync(dirname(file), { recursive: true });
+    // Write then rename, so a concurrent reader never sees half a file
+    const temp = `${file}.${process.pid}.tmp`;
+    writeFileSync(temp, JSON.stringify(cache));
+    renameSync(temp, file);
+  } catch {
+    // Read-only repository or directory; scanning still works without it
+  }
+}
+
+/**
+ * Add the counts of newly scanned identities to cached ones
+ * @param {Author[]} added - Identities from the new commits
+ * @param {Author[]} cached - Identities from the cache
+ * @param {number} [pathLimit] - Distinct paths kept per identity
+ * @returns {Author[]} Combined identities sorted by commit count
+ */
+function mergeCounts(added, cached, pathLimit) {
+  // New commits are newer, so their identities go first, as in a full scan
+  const identities = new Map();
+  for (const author of [...added, ...cached]) {
+    const key = `${author.name}\0${author.email}`;
+    const identity = identities.get(key);
+    if (!identity) {
+      identities.set(key, { ...author });
+      continue;
+    }
+    identity.commits += author.commits;
+    if (author.coAuthored !== undefined) {
+      identity.coAuthored = (identity.coAuthored || 0) + author.coAuthored;
+    }
+    mergeTimeline(identity, author);
+    mergePaths(identity, author, pathLimit);
+    mergeSigningKeys(identity, author);
+  }
+  return [...identities.values()].sort(
+    (a, b) => b.commits - a.commits || (b.coAuthored || 0) - (a.coAuthored || 0)
+  );
+}
+
+/**
+ * Scan identities as recorded, reusing the counts of earlier scans
+ *
+ * Takes the options of scanAuthorsAsync(). Identities are always read as
+ * recorded (mailmap off); apply the mailmap with resolveIdentities(). Issues
+ * found in cached commits are reported again through `onIssue`.
+ *
+ * @param {string} [repoPath='.'] - Path to git repository
+ * @param {Object} [options] - Scan options
+ * @param {boolean} [options.includeCommitters=false] - Include committer identities too
+ * @param {boolean} [options.coAuthors=false] - Count Co-authored-by trailer identities in `coAuthored`
+ * @param {boolean} [options.timeline=false] - Record first and last commit times and active months
+ * @param {boolean} [options.paths=false] - Record the files each identity changed
+ * @param {number} [options.pathLimit=1000] - Distinct paths kept per identity
+ * @param {boolean} [options.signingKeys=false] - Record the keys each identity signed commits with
+ * @param {string} [options.cacheDir] - Cache directory (default: `authorsync/` in the git directory)
+ * @param {(issue: ScanIssue) => void} [options.onIssue] - Called for identities with an empty name or email and unreadable records
+ * @param {(commits: number) => void} [options.onProgress] - Called with the number of new commits processed so far
+ * @param {number} [options.progressInterval=1000] - Commits between progress calls
+ * @param {AbortSignal} [options.signal] - Stops git and rejects with an AbortError when aborted
+ * @returns {Promise<Author[]>} Array of unique author identities with commit counts
+ */
+export async function scanAuthorsCached(repoPath = '.', options = {}) {
+  const { onIssue, ...scanOptions } = options;
+  const file = scanCachePath(repoPath, options);
+  // Pin HEAD, so commits made during the scan are picked up next time
+  const head = file && git(repoPath, ['rev-parse', '--verify', '-q', 'HEAD^{commit}']);
+  if (!head) {
+    return scanAuthorsAsync(repoPath, { ...scanOptions, onIssue, mailmap: false });
+  }
+
+  const shallow = shallowState(repoPath);
+  let cache = readCache(file);
+  if (
+    cache &&
+    (cache.shallow !== shallow ||
+      git(repoPath, ['merge-base', '--is-ancestor', cache.tip, head]) === null)
+  ) {
+    cache = null;
+  }
+
+  if (cache) {
+    for (const issue of cache.issues) onIssue?.(issue);
+    if (cache.tip === head) return cache.authors;
+  }
+
+  const issues = [];
+  const added = await scanAuthorsAsync(repoPath, {
+    ...scanOptions,
+    mailmap: false,
+    revisions: cache ? [head, `^${cache.tip}`] : [head],
+    onIssue: (issue) => {
+      issues.push(issue);
+      onIssue?.(issue);
+    },
+  });
+
+  const authors = cache ? mergeCounts(added, cache.authors, options.pathLimit) : added;
+  writeCache(file, {
+    version: CACHE_VERSION,
+    tip: head,
+    shallow,
+    authors,
+    issues: cache ? [...issues, ...cache.issues] : issues,
+  });
+  return authors;
+}
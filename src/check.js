@@ -0,0 +1,129 @@
+/**
+ * CI check - finds duplicate clusters that the mailmap does not cover yet
+ * and that are not recorded as accepted exceptions
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+
+import { clusterIdentities } from './review.js';
+import { mergeMailmap } from './mailmap.js';
+import { formatMailmapEntry } from './mailmap-file.js';
+
+/**
+ * @typedef {import('./review.js').IdentityCluster} IdentityCluster
+ */
+
+/**
+ * @typedef {Object} Baseline
+ * @property {number} version - File format version
+ * @property {string[][]} clusters - Accepted clusters as sorted `Name <email>` lists
+ */
+
+/**
+ * @typedef {Object} CheckResult
+ * @property {boolean} ok - No new clusters were found
+ * @property {IdentityCluster[]} fresh - Clusters that need a mailmap entry
+ * @property {IdentityCluster[]} accepted - Clusters covered by the baseline or rejected in review
+ * @property {string[]} suggested - Mailmap lines that would map the new clusters
+ * @property {Array<{line: number, text: string}>} replaced - Existing mailmap lines to change, so they point at the new canonical instead of chaining
+ */
+
+export const BASELINE_FILE = '.authorsync-baseline.json';
+
+/**
+ * Load a baseline from disk
+ * @param {string} filePath - Path to the baseline file
+ * @returns {Baseline} Baseline (empty if the file does not exist)
+ */
+export function loadBaseline(filePath) {
+  let content;
+  try {
+    content = readFileSync(filePath, 'utf-8');
+  } catch {
+    return { version: 1, clusters: [] };
+  }
+
+  const baseline = JSON.parse(content);
+  if (
+    !Array.isArray(baseline.clusters) ||
+    !baseline.clusters.every((cluster) => Array.isArray(cluster))
+  ) {
+    throw new Error(`Invalid baseline file: ${filePath}`);
+  }
+  return baseline;
+}
+
+/**
+ * Write a baseline to disk
+ * @param {string} filePath - Path to the baseline file
+ * @param {Baseline} baseline - Baseline
+ */
+export function saveBaseline(filePath, baseline) {
+  writeFileSync(filePath, JSON.stringify(baseline, null, 2) + '\n');
+}
+
+/**
+ * Build a baseline that accepts the given clusters
+ * @param {IdentityCluster[]} clusters - Clusters to accept
+ * @returns {Baseline} Baseline
+ */
+export function createBaseline(clusters) {
+  return { version: 1, clusters: clusters.map(clusterIdentities) };
+}
+
+/**
+ * Check clusters against a baseline and review decisions
+ *
+ * A cluster is accepted when all of its identities belong to one baseline
+ * cluster, or when a reviewer rejected exactly this cluster. Every other
+ * cluster is new and gets suggested mailmap lines. Existing entries that
+ * point at an alias of a new cluster are listed as replaced, since git
+ * would not follow them on to the canonical (see mergeMailmap()).
+ *
+ * @param {IdentityCluster[]} clusters - Clusters found on the mapped identities
+ * @param {Object} [options] - Check options
+ * @param {Baseline} [options.baseline] - Accepted exceptions
+ * @param {import('./review.js').DecisionRecord} [options.decisions] - Review decisions
+ * @param {string|null} [options.mailmap] - Current mailmap, so suggestions respect it
+ * @param {import('./overrides.js').Overrides} [options.overrides] - Pinned canonical identities
+ * @returns {CheckResult} Check result
+ */
+export function checkClusters(clusters, options = {}) {
+  const { baseline, decisions, mailmap = null, overrides } = options;
+  const groups = (baseline?.clusters || []).map((c) => new Set(c));
+  const rejected = new Set(
+    (decisions?.decisions || [])
+      .filter((d) => d.status === 'rejected')
+      .map((d) => d.identities.join('\n'))
+  );
+
+  const fresh = [];
+  const accepted = [];
+  for (const cluster of clusters) {
+    const identities = clusterIdentities(cluster);
+    const covered =
+      rejected.has(identities.join('\n')) ||
+      groups.some((group) => identities.every((id) => group.has(id)));
+    (covered ? accepted : fresh).push(cluster);
+  }
+
+  const { added, retargeted } = mergeMailmap(mailmap, fresh, {
+    comments: false,
+    overrides,
+  });
+  const suggested = added.map(({ canonical, alias }) =>
+    formatMailmapEntry({
+      properName: canonical.name,
+      properEmail: canonical.email,
+      commitName: alias.name,
+      commitEmail: alias.email,
+    })
+  );
+
+  const replaced = retargeted.map(({ entry }) => ({
+    line: entry.line,
+    text: formatMailmapEntry(entry),
+  }));
+
+  return { ok: fresh.length === 0, fresh, accepted, suggested, replaced };
+}
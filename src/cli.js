@@ -5,17 +5,64 @@
  * Detect duplicate git authors and generate .mailmap files
  */
 
-import { writeFileSync } from 'node:fs';
-import { join } from 'node:path';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { basename, join, resolve } from 'node:path';
+import { createInterface } from 'node:readline';
 import { parseArgs } from 'node:util';
 
-import { scanAuthors, getExistingMailmap } from './scanner.js';
-import { findClusters, analyzeIdentities } from './matcher.js';
+import { scanAuthorsAsync, getExistingMailmap } from './scanner.js';
+import { scanAuthorsCached } from './cache.js';
+import {
+  findClusters,
+  analyzeIdentities,
+  signingKeyConflicts,
+} from './matcher.js';
 import {
   generateMailmap,
+  mergeMailmap,
   formatMappingSummary,
   generateStats,
 } from './mailmap.js';
+import { loadOverrides } from './overrides.js';
+import { loadRoster, unmatchedIdentities } from './roster.js';
+import { lintMailmap } from './lint.js';
+import { resolveIdentities } from './resolver.js';
+import { previewMailmap } from './preview.js';
+import { REPORT_FORMATS, formatReport } from './report.js';
+import { GRAPH_FORMATS, identityGraph, formatGraph } from './graph.js';
+import {
+  CONTRIBUTOR_SORTS,
+  listContributors,
+  updateContributors,
+} from './contributors.js';
+import {
+  rewriteMailmap,
+  planRewrite,
+  formatRewriteScript,
+  rewriteTarget,
+} from './rewrite.js';
+import { formatIdentity, formatCommitCounts } from './identity.js';
+import {
+  findRepositories,
+  scanRepositories,
+  organizationClusters,
+  repositoryClusters,
+} from './org.js';
+import {
+  BASELINE_FILE,
+  loadBaseline,
+  saveBaseline,
+  createBaseline,
+  checkClusters,
+} from './check.js';
+import {
+  DECISIONS_FILE,
+  loadDecisions,
+  saveDecisions,
+  recordDecisions,
+  applyDecisions,
+  reviewClusters,
+} from './review.js';
 
 const VERSION = '1.0.0';
 
@@ -27,17 +74,51 @@ USAGE:
   authorsync [command] [options]
 
 COMMANDS:
-  scan        List all unique author identities
-  analyze     Find duplicate identities (default)
-  generate    Generate .mailmap file content
-  apply       Write .mailmap file to repository
+  scan          List all unique author identities
+  analyze       Find duplicate identities (default)
+  generate      Generate .mailmap file content
+  apply         Write .mailmap file to repository (keeps existing entries)
+  review        Accept, reject or adjust each cluster interactively
+  lint          Check .mailmap for errors and mappings that do nothing
+  preview       Show contributors before and after the proposed mailmap
+  check         Fail if duplicates appear that .mailmap does not map (for CI)
+  org           Consolidate identities across several repositories
+  graph         Export the identity graph (DOT, Mermaid or GraphML)
+  rewrite-plan  Plan a history rewrite with git filter-repo (dry run)
+  contributors  Write an AUTHORS or CONTRIBUTORS file, one line per person
 
 OPTIONS:
   -p, --path <dir>       Repository path (default: .)
   -c, --confidence <n>   Min confidence 0-1 (default: 0.6)
-  -o, --output <file>    Output file path
+      --max-cluster <n>  Max identities merged into one cluster (default: 20)
+      --transliterate    Compare Cyrillic/Greek names in Latin spelling
+  -o, --output <file>    Output file path (rewrite-plan: directory)
+  -f, --format <type>    analyze output: text, markdown or html (default: text);
+                         graph output: dot, mermaid or graphml (default: dot)
+      --min-score <n>    Lowest pair score graph draws (default: 0.3)
+      --sort <order>     contributors order: commits, first or alpha (default: commits)
+      --template <text>  contributors entry (default: "{name} <{email}>")
+      --bots             Keep bots in the contributors list
+      --update           Update the contributors file, keeping manual entries
+  -m, --mailmap <file>   Mailmap to read (default: <path>/.mailmap)
       --committers       Include committer identities
+      --co-authors       Include Co-authored-by trailer identities
+      --file-overlap     Use the files each identity changed as evidence
+      --file-limit <n>   Files remembered per identity (default: 1000)
+      --signing-keys     Use commit signing keys as evidence (slower)
       --no-comments      Omit comments from mailmap
+      --overwrite        Replace an existing .mailmap instead of merging
+      --no-mailmap       Analyze identities as recorded, ignoring .mailmap
+      --no-cache         Scan the whole history instead of using the scan cache
+      --cache-dir <dir>  Scan cache directory (default: .git/authorsync)
+      --decisions <file> Review decisions file (default: .authorsync-decisions.json)
+      --overrides <file> Overrides file (default: .authorsync.json)
+      --roster <file>    People directory (CSV or JSON): id, name, emails
+      --proposed <file>  Mailmap to preview instead of the generated one
+      --baseline <file>  Accepted clusters for check (default: .authorsync-baseline.json)
+      --update-baseline  Accept all clusters check finds now
+      --repos <dir>      Run org on every repository in a directory
+      --per-repo         Write each repository's .mailmap instead of one shared file
       --json             Output as JSON
   -q, --quiet            Minimal output
   -h, --help             Show this help
@@ -48,6 +129,15 @@ EXAMPLES:
   authorsync scan                # List all identities
   authorsync generate > .mailmap # Generate mailmap
   authorsync apply               # Write .mailmap to repo
+  authorsync review              # Review clusters before writing
+  authorsync lint                # Check an existing .mailmap
+  authorsync preview             # Contributors before/after the mailmap
+  authorsync check               # Exit 1 on new unmapped duplicates
+  authorsync org --repos ~/src   # One mailmap for all repos in ~/src
+  authorsync -f markdown > r.md  # Report to attach to a PR
+  authorsync graph | dot -Tsvg   # Draw matches and borderline pairs
+  authorsync rewrite-plan        # Commits a rewrite would change
+  authorsync contributors        # One line per person, for AUTHORS
   authorsync -p ~/project --json # JSON output for scripting
 `;
 
@@ -55,9 +145,34 @@ function parseCliArgs() {
   const options = {
     path: { type: 'string', short: 'p', default: '.' },
     confidence: { type: 'string', short: 'c', default: '0.6' },
+    'max-cluster': { type: 'string', default: '20' },
+    transliterate: { type: 'boolean', default: false },
     output: { type: 'string', short: 'o' },
+    format: { type: 'string', short: 'f' },
+    'min-score': { type: 'string', default: '0.3' },
+    sort: { type: 'string', default: 'commits' },
+    template: { type: 'string' },
+    bots: { type: 'boolean', default: false },
+    update: { type: 'boolean', default: false },
+    mailmap: { type: 'string', short: 'm' },
     committers: { type: 'boolean', default: false },
+    'co-authors': { type: 'boolean', default: false },
+    'file-overlap': { type: 'boolean', default: false },
+    'file-limit': { type: 'string', default: '1000' },
+    'signing-keys': { type: 'boolean', default: false },
     'no-comments': { type: 'boolean', default: false },
+    overwrite: { type: 'boolean', default: false },
+    'no-mailmap': { type: 'boolean', default: false },
+    'no-cache': { type: 'boolean', default: false },
+    'cache-dir': { type: 'string' },
+    decisions: { type: 'string' },
+    overrides: { type: 'string' },
+    roster: { type: 'string' },
+    proposed: { type: 'string' },
+    baseline: { type: 'string' },
+    'update-baseline': { type: 'boolean', default: false },
+    repos: { type: 'string' },
+    'per-repo': { type: 'boolean', default: false },
     json: { type: 'boolean', default: false },
     quiet: { type: 'boolean', short: 'q', default: false },
     help: { type: 'boolean', short: 'h', default: false },
@@ -70,22 +185,139 @@ function parseCliArgs() {
     strict: false,
   });
 
-  return { values, command: positionals[0] || 'analyze' };
+  return {
+    values,
+    command: positionals[0] || 'analyze',
+    args: positionals.slice(1),
+  };
+}
+
+function clusterOptions(repoPath, opts) {
+  return {
+    minConfidence: parseFloat(opts.confidence),
+    maxClusterSize: parseInt(opts['max-cluster'], 10),
+    transliterate: opts.transliterate,
+    overrides: loadOverrides(repoPath, opts.overrides),
+    roster: opts.roster ? loadRoster(opts.roster) : undefined,
+  };
+}
+
+function mailmapPath(repoPath, opts) {
+  return opts.mailmap || join(repoPath, '.mailmap');
+}
+
+function readMailmap(repoPath, opts) {
+  if (!opts.mailmap) return getExistingMailmap(repoPath);
+  try {
+    return readFileSync(opts.mailmap, 'utf-8');
+  } catch {
+    throw new Error(`Cannot read mailmap file: ${opts.mailmap}`);
+  }
+}
+
+// Scan with a commit counter on stderr; Ctrl-C stops git instead of hanging.
+// Unusable identities found in history are reported once the scan is done.
+async function runScanner(opts, scanOptions, scan) {
+  const showProgress = process.stderr.isTTY && !opts.quiet && !opts.json;
+  const controller = new AbortController();
+  const cancel = () => controller.abort();
+  const issues = [];
+  process.once('SIGINT', cancel);
+
+  try {
+    const authors = await scan({
+      includeCommitters: opts.committers,
+      timeline: true,
+      paths: opts['file-overlap'],
+      pathLimit: parseInt(opts['file-limit'], 10),
+      signingKeys: opts['signing-keys'],
+      cacheDir: opts['cache-dir'],
+      coAuthors: opts['co-authors'],
+      onIssue: (issue) => issues.push(issue),
+      signal: controller.signal,
+      ...scanOptions,
+      mailmap: false,
+      onProgress: showProgress
+        ? (commits) => process.stderr.write(`\r⏳ Scanning history: ${commits} commits`)
+        : undefined,
+    });
+    if (showProgress) process.stderr.write('\r\x1b[K');
+    if (issues.length > 0 && !opts.quiet) {
+      console.error(formatScanIssues(issues));
+    }
+    return authors;
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      if (showProgress) process.stderr.write('\r\x1b[K');
+      console.error('Scan cancelled');
+      process.exit(130);
+    }
+    throw err;
+  } finally {
+    process.off('SIGINT', cancel);
+  }
+}
+
+// Identities are read as recorded and the mailmap is applied in-process, so
+// --mailmap and co-author trailers are mapped too. The cache keeps counts
+// between runs, so only new commits are read.
+async function scanRepository(repoPath, opts, scanOptions = {}) {
+  const scan = opts['no-cache'] ? scanAuthorsAsync : scanAuthorsCached;
+  const authors = await runScanner(opts, scanOptions, (options) => scan(repoPath, options));
+  if (scanOptions.mailmap === false || opts['no-mailmap']) return authors;
+
+  const mailmap = readMailmap(repoPath, opts);
+  return mailmap
+    ? resolveIdentities(authors, mailmap, { pathLimit: parseInt(opts['file-limit'], 10) })
+    : authors;
+}
+
+function formatScanIssues(issues) {
+  const shown = 10;
+  const lines = [
+    `⚠️  Skipped ${issues.length} unusable identit${issues.length === 1 ? 'y' : 'ies'} in history:`,
+  ];
+
+  for (const issue of issues.slice(0, shown)) {
+    const commit = issue.commit ? issue.commit.slice(0, 10) : '??????????';
+    if (issue.kind === 'malformed') {
+      const what = issue.role === 'co-author' ? 'Co-authored-by trailer' : 'log record';
+      lines.push(`   ${commit}  unreadable ${what} ${JSON.stringify(issue.record)}`);
+    } else {
+      const what = issue.kind === 'empty-name' ? 'empty name' : 'empty email';
+      lines.push(
+        `   ${commit}  ${issue.role} has an ${what}: ${JSON.stringify(issue.name)} <${issue.email}>`
+      );
+    }
+  }
+  if (issues.length > shown) {
+    lines.push(`   ... and ${issues.length - shown} more`);
+  }
+
+  return lines.join('\n');
 }
 
 function formatAuthorTable(authors) {
   const lines = [];
   const maxName = Math.max(...authors.map((a) => a.name.length), 10);
   const maxEmail = Math.max(...authors.map((a) => a.email.length), 10);
+  const coAuthors = authors.some((a) => a.coAuthored !== undefined);
 
   lines.push(
-    `${'NAME'.padEnd(maxName)}  ${'EMAIL'.padEnd(maxEmail)}  COMMITS`
+    `${'NAME'.padEnd(maxName)}  ${'EMAIL'.padEnd(maxEmail)}  COMMITS` +
+      (coAuthors ? '  CO-AUTHORED' : '')
+  );
+  lines.push(
+    `${'-'.repeat(maxName)}  ${'-'.repeat(maxEmail)}  -------` +
+      (coAuthors ? '  -----------' : '')
   );
-  lines.push(`${'-'.repeat(maxName)}  ${'-'.repeat(maxEmail)}  -------`);
 
   for (const author of authors) {
     lines.push(
-      `${author.name.padEnd(maxName)}  ${author.email.padEnd(maxEmail)}  ${author.commits}`
+      `${author.name.padEnd(maxName)}  ${author.email.padEnd(maxEmail)}  ` +
+        (coAuthors
+          ? `${String(author.commits).padEnd(7)}  ${author.coAuthored}`
+          : `${author.commits}`)
     );
   }
 
@@ -104,6 +336,15 @@ function formatStats(stats) {
     `   Total commits: ${stats.totalCommits}`,
   ];
 
+  if (stats.mappedByMailmap > 0) {
+    lines.push(`   Already mapped by .mailmap: ${stats.mappedByMailmap}`);
+  }
+
+  if (stats.coAuthorCredits > 0) {
+    lines.push(`   Co-author credits: ${stats.coAuthorCredits}`);
+    lines.push(`   Co-author-only identities: ${stats.coAuthorOnly}`);
+  }
+
   if (stats.clustersFound !== undefined) {
     lines.push('');
     lines.push('🔍 Duplicate Detection:');
@@ -118,10 +359,57 @@ function formatStats(stats) {
   return lines.join('\n');
 }
 
+function formatKeyConflicts(conflicts) {
+  const lines = [
+    `⚠️  ${conflicts.length} signing key(s) used by different people (not used as evidence):`,
+  ];
+
+  for (const { key, identities } of conflicts) {
+    lines.push(`   ${key}`);
+    for (const identity of identities) {
+      lines.push(`     ${identity.name} <${identity.email}>`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+function formatUnmatched(authors, unmatched) {
+  const shown = 20;
+  const lines = [
+    `👥 Roster: ${authors.length - unmatched.length} of ${authors.length} identities belong to someone on the roster`,
+  ];
+  if (unmatched.length === 0) return lines.join('\n');
+
+  const count = unmatched.length === 1 ? '1 identity is' : `${unmatched.length} identities are`;
+  lines.push(`⚠️  ${count} not on the roster:`);
+  for (const identity of unmatched.slice(0, shown)) {
+    lines.push(`   ${formatIdentity(identity)} (${formatCommitCounts(identity)})`);
+  }
+  if (unmatched.length > shown) {
+    lines.push(`   ... and ${unmatched.length - shown} more (see --json)`);
+  }
+
+  return lines.join('\n');
+}
+
+function formatConflicts(conflicts) {
+  const lines = [
+    `⚠️  ${conflicts.length} generated mapping(s) conflict with the existing .mailmap (kept existing):`,
+  ];
+
+  for (const conflict of conflicts) {
+    const { alias, existing, proposed } = conflict;
+    lines.push(`   ${alias.name} <${alias.email}>`);
+    lines.push(`     existing: ${existing.name} <${existing.email}>`);
+    lines.push(`     proposed: ${proposed.name} <${proposed.email}>`);
+  }
+
+  return lines.join('\n');
+}
+
 async function runScan(repoPath, opts) {
-  const authors = scanAuthors(repoPath, {
-    includeCommitters: opts.committers,
-  });
+  const authors = await scanRepository(repoPath, opts);
 
   if (authors.length === 0) {
     console.log('No commits found in repository');
@@ -138,19 +426,32 @@ async function runScan(repoPath, opts) {
 }
 
 async function runAnalyze(repoPath, opts) {
-  const authors = scanAuthors(repoPath, {
-    includeCommitters: opts.committers,
-  });
+  const format = opts.format || 'text';
+  if (format !== 'text' && !REPORT_FORMATS.includes(format)) {
+    console.error(`Unknown format: ${format} (expected text, markdown or html)`);
+    process.exit(1);
+  }
+
+  const authors = await scanRepository(repoPath, opts);
 
   if (authors.length === 0) {
     console.log('No commits found in repository');
     return;
   }
 
-  const minConfidence = parseFloat(opts.confidence);
-  const clusters = findClusters(authors, { minConfidence });
-  const stats = analyzeIdentities(authors);
+  const clusterOpts = clusterOptions(repoPath, opts);
+  const { overrides } = clusterOpts;
+  const clusters = findClusters(authors, clusterOpts);
+  const stats = analyzeIdentities(authors, {
+    transliterate: opts.transliterate,
+  });
   const clusterStats = generateStats(clusters, authors.length);
+  const keyConflicts = signingKeyConflicts(authors, {
+    transliterate: opts.transliterate,
+  });
+  const unmatched = clusterOpts.roster
+    ? unmatchedIdentities(authors, clusterOpts.roster)
+    : null;
 
   if (opts.json) {
     console.log(
@@ -159,6 +460,8 @@ async function runAnalyze(repoPath, opts) {
           authors,
           clusters,
           stats: { ...stats, ...clusterStats },
+          signingKeyConflicts: keyConflicts,
+          ...(unmatched ? { unmatched } : {}),
         },
         null,
         2
@@ -167,30 +470,68 @@ async function runAnalyze(repoPath, opts) {
     return;
   }
 
+  if (format !== 'text') {
+    const existingMailmap = opts.overwrite ? null : readMailmap(repoPath, opts);
+    const merged = mergeMailmap(existingMailmap, clusters, {
+      comments: !opts['no-comments'],
+      overrides,
+    });
+    const report = formatReport(
+      {
+        title: basename(resolve(repoPath)),
+        stats: { ...stats, ...clusterStats },
+        clusters,
+        mailmap: merged.content,
+        signingKeyConflicts: keyConflicts,
+        overrides,
+        date: new Date().toISOString().slice(0, 10),
+      },
+      format
+    );
+    if (opts.output) {
+      writeFileSync(opts.output, report);
+      if (!opts.quiet) {
+        console.log(`✅ Written to ${opts.output}`);
+      }
+    } else {
+      process.stdout.write(report);
+    }
+    return;
+  }
+
   console.log(formatStats({ ...stats, ...clusterStats }));
 
+  if (keyConflicts.length > 0) {
+    console.log('');
+    console.log(formatKeyConflicts(keyConflicts));
+  }
+
+  if (unmatched) {
+    console.log('');
+    console.log(formatUnmatched(authors, unmatched));
+  }
+
   if (clusters.length === 0) {
     console.log('\n✨ No duplicate identities found!');
     return;
   }
 
   console.log('\n📋 Proposed Mappings:');
-  console.log(formatMappingSummary(clusters));
+  console.log(formatMappingSummary(clusters, { overrides }));
   console.log('\n💡 Run `authorsync generate` to create a .mailmap file');
 }
 
 async function runGenerate(repoPath, opts) {
-  const authors = scanAuthors(repoPath, {
-    includeCommitters: opts.committers,
-  });
+  const authors = await scanRepository(repoPath, opts);
 
   if (authors.length === 0) {
     console.error('No commits found in repository');
     process.exit(1);
   }
 
-  const minConfidence = parseFloat(opts.confidence);
-  const clusters = findClusters(authors, { minConfidence });
+  const clusterOpts = clusterOptions(repoPath, opts);
+  const { overrides } = clusterOpts;
+  const clusters = findClusters(authors, clusterOpts);
 
   if (clusters.length === 0) {
     if (!opts.quiet) {
@@ -199,15 +540,34 @@ async function runGenerate(repoPath, opts) {
     process.exit(0);
   }
 
-  const mailmap = generateMailmap(clusters, {
+  const existingMailmap = opts.overwrite ? null : readMailmap(repoPath, opts);
+  const merged = mergeMailmap(existingMailmap, clusters, {
     comments: !opts['no-comments'],
+    overrides,
   });
+  const mailmap = merged.content;
 
   if (opts.json) {
-    console.log(JSON.stringify({ mailmap, clusters }, null, 2));
+    console.log(
+      JSON.stringify(
+        {
+          mailmap,
+          clusters,
+          added: merged.added,
+          retargeted: merged.retargeted,
+          conflicts: merged.conflicts,
+        },
+        null,
+        2
+      )
+    );
     return;
   }
 
+  if (merged.conflicts.length > 0 && !opts.quiet) {
+    console.error(formatConflicts(merged.conflicts));
+  }
+
   if (opts.output) {
     writeFileSync(opts.output, mailmap);
     if (!opts.quiet) {
@@ -219,45 +579,596 @@ async function runGenerate(repoPath, opts) {
 }
 
 async function runApply(repoPath, opts) {
-  const existingMailmap = getExistingMailmap(repoPath);
-  if (existingMailmap && !opts.quiet) {
+  const existingMailmap = readMailmap(repoPath, opts);
+  if (existingMailmap && opts.overwrite && !opts.quiet) {
     console.log('⚠️  Existing .mailmap found - will be overwritten');
   }
 
-  const authors = scanAuthors(repoPath, {
-    includeCommitters: opts.committers,
-  });
+  const authors = await scanRepository(repoPath, opts);
 
   if (authors.length === 0) {
     console.error('No commits found in repository');
     process.exit(1);
   }
 
-  const minConfidence = parseFloat(opts.confidence);
-  const clusters = findClusters(authors, { minConfidence });
+  const clusterOpts = clusterOptions(repoPath, opts);
+  const { overrides } = clusterOpts;
+  const clusters = findClusters(authors, clusterOpts);
 
   if (clusters.length === 0) {
     console.log('✨ No duplicate identities found - no .mailmap needed');
     process.exit(0);
   }
 
-  const mailmap = generateMailmap(clusters, {
+  const outputPath = mailmapPath(repoPath, opts);
+
+  if (opts.overwrite || !existingMailmap) {
+    const mailmap = generateMailmap(clusters, {
+      comments: !opts['no-comments'],
+      overrides,
+    });
+    writeFileSync(outputPath, mailmap);
+
+    if (!opts.quiet) {
+      const stats = generateStats(clusters, authors.length);
+      console.log(`✅ Created ${outputPath}`);
+      console.log(`   Consolidated ${stats.aliasesConsolidated} aliases into ${stats.clustersFound} canonical identities`);
+      console.log('\n💡 Commit the .mailmap file to your repository');
+    }
+    return;
+  }
+
+  const merged = mergeMailmap(existingMailmap, clusters, {
     comments: !opts['no-comments'],
+    overrides,
   });
 
-  const outputPath = join(repoPath, '.mailmap');
-  writeFileSync(outputPath, mailmap);
+  if (merged.conflicts.length > 0 && !opts.quiet) {
+    console.log(formatConflicts(merged.conflicts));
+    console.log('');
+  }
+
+  if (merged.added.length === 0 && merged.retargeted.length === 0) {
+    if (!opts.quiet) {
+      console.log(`✨ ${outputPath} already covers all detected duplicates`);
+    }
+    return;
+  }
+
+  writeFileSync(outputPath, merged.content);
 
   if (!opts.quiet) {
-    const stats = generateStats(clusters, authors.length);
-    console.log(`✅ Created ${outputPath}`);
-    console.log(`   Consolidated ${stats.aliasesConsolidated} aliases into ${stats.clustersFound} canonical identities`);
+    console.log(`✅ Updated ${outputPath}`);
+    console.log(
+      `   Added ${merged.added.length} new mappings, retargeted ${merged.retargeted.length} existing, ${merged.alreadyMapped} already mapped`
+    );
     console.log('\n💡 Commit the .mailmap file to your repository');
   }
 }
 
+async function runReview(repoPath, opts) {
+  const authors = await scanRepository(repoPath, opts);
+
+  if (authors.length === 0) {
+    console.error('No commits found in repository');
+    process.exit(1);
+  }
+
+  const clusters = findClusters(authors, clusterOptions(repoPath, opts));
+  const decisionsPath = opts.decisions || join(repoPath, DECISIONS_FILE);
+  const record = loadDecisions(decisionsPath);
+  const { pending } = applyDecisions(clusters, record);
+
+  if (pending.length === 0) {
+    console.log('✨ No clusters waiting for review');
+  } else {
+    console.log(
+      `🔍 ${pending.length} cluster(s) to review (${clusters.length - pending.length} already decided)`
+    );
+
+    // Read answers through the line iterator so piped input is buffered
+    const rl = createInterface({ input: process.stdin, terminal: false });
+    const answers = rl[Symbol.asyncIterator]();
+    let result;
+    try {
+      result = await reviewClusters(pending, {
+        ask: async (question) => {
+          process.stdout.write(question);
+          const { value, done } = await answers.next();
+          return done ? 'q' : value;
+        },
+        print: (text) => console.log(text),
+      });
+    } finally {
+      rl.close();
+    }
+
+    saveDecisions(decisionsPath, recordDecisions(record, result.decisions));
+    console.log(`\n📝 Recorded ${result.decisions.length} decision(s) in ${decisionsPath}`);
+  }
+
+  const { accepted } = applyDecisions(clusters, loadDecisions(decisionsPath));
+  if (accepted.length === 0) {
+    return;
+  }
+
+  const outputPath = opts.output || mailmapPath(repoPath, opts);
+  const existingMailmap = opts.overwrite ? null : readMailmap(repoPath, opts);
+  const merged = mergeMailmap(existingMailmap, accepted, {
+    comments: !opts['no-comments'],
+    reselect: false,
+  });
+
+  if (merged.conflicts.length > 0) {
+    console.log(formatConflicts(merged.conflicts));
+  }
+
+  if (merged.added.length > 0 || merged.retargeted.length > 0) {
+    writeFileSync(outputPath, merged.content);
+    console.log(
+      `✅ Added ${merged.added.length} reviewed mappings to ${outputPath}` +
+        (merged.retargeted.length > 0
+          ? `, retargeted ${merged.retargeted.length} existing`
+          : '')
+    );
+  }
+}
+
+function formatLintProblems(file, problems) {
+  const lines = problems.map(
+    (p) => `${file}:${p.line}: ${p.severity} [${p.rule}] ${p.message}`
+  );
+  const errors = problems.filter((p) => p.severity === 'error').length;
+  const warnings = problems.length - errors;
+  lines.push('');
+  lines.push(
+    `✖ ${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`
+  );
+  return lines.join('\n');
+}
+
+async function runLint(repoPath, opts) {
+  const file = mailmapPath(repoPath, opts);
+  let content;
+  try {
+    content = readFileSync(file, 'utf-8');
+  } catch {
+    console.error(`No mailmap found at ${file}`);
+    process.exit(1);
+  }
+
+  // Entries are matched against identities as recorded, before mapping,
+  // including the ones only credited in Co-authored-by trailers
+  const identities = await scanRepository(repoPath, opts, {
+    includeCommitters: true,
+    coAuthors: true,
+    mailmap: false,
+  });
+  const problems = lintMailmap(content, { identities });
+
+  if (opts.json) {
+    console.log(JSON.stringify({ file, problems }, null, 2));
+  } else if (problems.length === 0) {
+    if (!opts.quiet) console.log(`✅ ${file}: no problems found`);
+  } else {
+    console.log(formatLintProblems(file, problems));
+  }
+
+  // Warnings are worth a look but do not break the mapping
+  if (problems.some((p) => p.severity === 'error')) process.exit(1);
+}
+
+function formatPreviewRow(row) {
+  const counts = row.coAuthored
+    ? `${row.commits} (+${row.coAuthored})`
+    : String(row.commits);
+  return `${counts.padStart(7)}  ${formatIdentity(row)}`;
+}
+
+function formatPreview(preview) {
+  const { after, stats } = preview;
+  const lines = ['', '📋 Contributors with the proposed mailmap (before → after):', ''];
+
+  for (const row of after) {
+    const tag = row.merged ? '  ⇐ merged' : row.renamed ? '  ⇐ renamed' : '';
+    lines.push(formatPreviewRow(row) + tag);
+    if (row.merged || row.renamed) {
+      for (const source of row.from) {
+        lines.push(`         ${formatPreviewRow(source)}`);
+      }
+    }
+  }
+
+  lines.push('');
+  lines.push(
+    `   Contributors: ${stats.authorsBefore} → ${after.length} (${stats.reductionPercent}% fewer)`
+  );
+  lines.push(
+    `   Merged rows: ${stats.clustersFound}, renamed rows: ${stats.renamed}, commits re-attributed: ${stats.commitsAffected}`
+  );
+  return lines.join('\n');
+}
+
+async function runPreview(repoPath, opts) {
+  const recorded = await scanRepository(repoPath, opts, { mailmap: false });
+  if (recorded.length === 0) {
+    console.log('No commits found in repository');
+    return;
+  }
+
+  const current = opts['no-mailmap'] ? null : readMailmap(repoPath, opts);
+  let proposed;
+  if (opts.proposed) {
+    try {
+      proposed = readFileSync(opts.proposed, 'utf-8');
+    } catch {
+      throw new Error(`Cannot read mailmap file: ${opts.proposed}`);
+    }
+  } else {
+    // Preview what `apply` would write
+    const authors = current
+      ? resolveIdentities(recorded, current, { pathLimit: parseInt(opts['file-limit'], 10) })
+      : recorded;
+    const clusterOpts = clusterOptions(repoPath, opts);
+    const clusters = findClusters(authors, clusterOpts);
+    proposed = mergeMailmap(current, clusters, {
+      comments: false,
+      overrides: clusterOpts.overrides,
+    }).content;
+  }
+
+  const preview = previewMailmap(recorded, { current, proposed });
+
+  if (opts.json) {
+    console.log(JSON.stringify(preview, null, 2));
+    return;
+  }
+
+  console.log(formatPreview(preview));
+}
+
+function formatCheck(result, baselinePath) {
+  const lines = [
+    `❌ ${result.fresh.length} duplicate cluster(s) not covered by .mailmap:`,
+  ];
+  for (const cluster of result.fresh) {
+    lines.push('');
+    lines.push(
+      `   ${formatIdentity(cluster.canonical)} (${Math.round(cluster.confidence * 100)}%, ${cluster.reason})`
+    );
+    for (const alias of cluster.aliases) {
+      lines.push(`     ← ${formatIdentity(alias)}`);
+    }
+  }
+
+  if (result.suggested.length > 0) {
+    lines.push('');
+    lines.push('💡 Add these lines to .mailmap:');
+    lines.push('');
+    for (const line of result.suggested) lines.push(`   ${line}`);
+  }
+  if (result.replaced.length > 0) {
+    lines.push('');
+    lines.push('💡 Change these .mailmap lines:');
+    lines.push('');
+    for (const { line, text } of result.replaced) lines.push(`   ${line}: ${text}`);
+  }
+  lines.push('');
+  lines.push(
+    `   Or accept them as exceptions with \`authorsync check --update-baseline\` (${baselinePath})`
+  );
+  return lines.join('\n');
+}
+
+async function runCheck(repoPath, opts) {
+  const authors = await scanRepository(repoPath, opts);
+  const clusterOpts = clusterOptions(repoPath, opts);
+  const clusters = findClusters(authors, clusterOpts);
+  const baselinePath = opts.baseline || join(repoPath, BASELINE_FILE);
+
+  if (opts['update-baseline']) {
+    saveBaseline(baselinePath, createBaseline(clusters));
+    if (!opts.quiet) {
+      console.log(`📝 Recorded ${clusters.length} accepted cluster(s) in ${baselinePath}`);
+    }
+    return;
+  }
+
+  const result = checkClusters(clusters, {
+    baseline: loadBaseline(baselinePath),
+    decisions: loadDecisions(opts.decisions || join(repoPath, DECISIONS_FILE)),
+    mailmap: opts['no-mailmap'] ? null : readMailmap(repoPath, opts),
+    overrides: clusterOpts.overrides,
+  });
+
+  if (opts.json) {
+    console.log(
+      JSON.stringify(
+        {
+          ok: result.ok,
+          clusters: result.fresh,
+          suggested: result.suggested,
+          replaced: result.replaced,
+          accepted: result.accepted.length,
+        },
+        null,
+        2
+      )
+    );
+  } else if (result.ok) {
+    if (!opts.quiet) {
+      const note = result.accepted.length > 0 ? ` (${result.accepted.length} accepted)` : '';
+      console.log(`✅ No new duplicate identities${note}`);
+    }
+  } else {
+    console.log(formatCheck(result, baselinePath));
+  }
+
+  if (!result.ok) process.exit(1);
+}
+
+async function runOrg(repoPath, opts, paths) {
+  const repositories = opts.repos ? findRepositories(opts.repos) : paths;
+  if (repositories.length === 0) {
+    console.error('No repositories: pass their paths or --repos <dir>');
+    process.exit(1);
+  }
+
+  const missing = repositories.find((repository) => !existsSync(repository));
+  if (missing) {
+    console.error(`Error: ${missing} is not a git repository`);
+    process.exit(1);
+  }
+
+  // Each repository is read with its own .mailmap
+  let authors;
+  try {
+    authors = await runScanner(opts, {}, (options) =>
+      scanRepositories(repositories, {
+        ...options,
+        mailmap: !opts['no-mailmap'],
+        cache: !opts['no-cache'],
+      })
+    );
+  } catch (err) {
+    if (err.message.startsWith('Not a git repository: ')) {
+      const repository = err.message.slice('Not a git repository: '.length);
+      console.error(`Error: ${repository} is not a git repository`);
+      process.exit(1);
+    }
+    throw err;
+  }
+
+  const clusterOpts = clusterOptions(repoPath, opts);
+  const { overrides } = clusterOpts;
+  const clusters = organizationClusters(findClusters(authors, clusterOpts), {
+    overrides,
+  });
+  const comments = !opts['no-comments'];
+
+  if (opts['per-repo']) {
+    const results = repositories.map((repository) => {
+      const existing = opts.overwrite ? null : getExistingMailmap(repository);
+      const merged = mergeMailmap(existing, repositoryClusters(clusters, repository), {
+        comments,
+        reselect: false,
+      });
+      const written = merged.added.length > 0 || merged.retargeted.length > 0;
+      if (written) writeFileSync(join(repository, '.mailmap'), merged.content);
+      return { repository, written, ...merged };
+    });
+
+    if (opts.json) {
+      const mailmaps = Object.fromEntries(
+        results.map(({ repository, content, written, added, retargeted, conflicts }) => [
+          repository,
+          { content, written, added, retargeted, conflicts },
+        ])
+      );
+      console.log(JSON.stringify({ repositories, authors, clusters, mailmaps }, null, 2));
+      return;
+    }
+
+    for (const result of results) {
+      if (result.conflicts.length > 0 && !opts.quiet) {
+        console.error(`${result.repository}:`);
+        console.error(formatConflicts(result.conflicts));
+      }
+      if (opts.quiet) continue;
+      if (!result.written) {
+        console.log(`✨ ${result.repository}: nothing to add`);
+      } else {
+        console.log(
+          `✅ ${result.repository}: added ${result.added.length} mappings` +
+            (result.retargeted.length > 0
+              ? `, retargeted ${result.retargeted.length} existing`
+              : '')
+        );
+      }
+    }
+    return;
+  }
+
+  const existing = opts.mailmap && !opts.overwrite ? readMailmap(repoPath, opts) : null;
+  const merged = mergeMailmap(existing, clusters, { comments, reselect: false });
+
+  if (opts.json) {
+    console.log(
+      JSON.stringify(
+        { repositories, authors, clusters, mailmap: merged.content, added: merged.added },
+        null,
+        2
+      )
+    );
+    return;
+  }
+
+  if (!opts.quiet) {
+    console.error(
+      `🏢 ${repositories.length} repositories, ${authors.length} identities, ${clusters.length} clusters`
+    );
+    if (merged.conflicts.length > 0) console.error(formatConflicts(merged.conflicts));
+  }
+
+  if (opts.output) {
+    writeFileSync(opts.output, merged.content);
+    if (!opts.quiet) console.log(`✅ Written to ${opts.output}`);
+  } else {
+    console.log(merged.content);
+  }
+}
+
+async function runGraph(repoPath, opts) {
+  const format = opts.format || 'dot';
+  if (!GRAPH_FORMATS.includes(format)) {
+    console.error(`Unknown format: ${format} (expected dot, mermaid or graphml)`);
+    process.exit(1);
+  }
+
+  const authors = await scanRepository(repoPath, opts);
+  const graph = identityGraph(authors, {
+    ...clusterOptions(repoPath, opts),
+    minScore: parseFloat(opts['min-score']),
+  });
+
+  if (opts.json) {
+    console.log(JSON.stringify(graph, null, 2));
+    return;
+  }
+
+  const output = formatGraph(graph, format);
+  if (opts.output) {
+    writeFileSync(opts.output, output);
+    if (!opts.quiet) {
+      console.log(`✅ Written to ${opts.output}`);
+    }
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+function formatRewritePlan(plan) {
+  const lines = [
+    `🔁 Rewrite plan: ${plan.changes.length} identit${plan.changes.length === 1 ? 'y' : 'ies'}, ` +
+      `new author on ${plan.authored} commit(s), new committer on ${plan.committed}`,
+  ];
+
+  for (const { from, to, authored, committed } of plan.changes) {
+    lines.push(`   ${formatIdentity(from)}`);
+    lines.push(`     → ${formatIdentity(to)} (${authored} authored, ${committed} committed)`);
+  }
+
+  return lines.join('\n');
+}
+
+async function runRewritePlan(repoPath, opts) {
+  const { head, dir } = rewriteTarget(repoPath);
+  const authors = await scanRepository(repoPath, opts);
+
+  const clusterOpts = clusterOptions(repoPath, opts);
+  const clusters = findClusters(authors, clusterOpts);
+  const decisionsPath = opts.decisions || join(repoPath, DECISIONS_FILE);
+  const { accepted, pending } = applyDecisions(clusters, loadDecisions(decisionsPath));
+
+  const mailmap = rewriteMailmap(
+    readMailmap(repoPath, opts),
+    { reviewed: accepted, unreviewed: pending },
+    { overrides: clusterOpts.overrides }
+  );
+
+  // filter-repo rewrites the identities as recorded, committers included
+  const recorded = { mailmap: false, coAuthors: false, paths: false, signingKeys: false };
+  // Scan issues were reported by the first scan
+  const again = { ...opts, quiet: true };
+  const plan = planRewrite(
+    await scanRepository(repoPath, again, { ...recorded, includeCommitters: false }),
+    await scanRepository(repoPath, again, { ...recorded, includeCommitters: true }),
+    mailmap
+  );
+
+  if (opts.json) {
+    console.log(
+      JSON.stringify({ head, mailmap, ...plan, unreviewed: pending.length }, null, 2)
+    );
+    return;
+  }
+
+  if (plan.changes.length === 0) {
+    console.log('✨ Nothing to rewrite: every identity is already canonical');
+    return;
+  }
+
+  if (!opts.quiet) {
+    console.log(formatRewritePlan(plan));
+    if (pending.length > 0) {
+      console.log(
+        `\n⚠️  ${pending.length} cluster(s) not reviewed yet are included; run \`authorsync review\` to check them first`
+      );
+    }
+  }
+
+  const outputDir = resolve(opts.output || dir);
+  const mailmapFile = join(outputDir, 'mailmap');
+  const scriptFile = join(outputDir, 'rewrite.sh');
+  mkdirSync(outputDir, { recursive: true });
+  writeFileSync(mailmapFile, mailmap);
+  writeFileSync(
+    scriptFile,
+    formatRewriteScript({ repository: repoPath, mailmap: mailmapFile, head }),
+    { mode: 0o755 }
+  );
+
+  if (!opts.quiet) {
+    console.log(`\n✅ Written to ${mailmapFile}`);
+    console.log(`✅ Written to ${scriptFile}`);
+    console.log(`\n💡 Review the mailmap, then run ${scriptFile} to rewrite history`);
+  }
+}
+
+async function runContributors(repoPath, opts) {
+  if (!CONTRIBUTOR_SORTS.includes(opts.sort)) {
+    console.error(`Unknown sort order: ${opts.sort} (expected commits, first or alpha)`);
+    process.exit(1);
+  }
+
+  const authors = await scanRepository(repoPath, opts);
+  const contributors = listContributors(authors, {
+    ...clusterOptions(repoPath, opts),
+    sort: opts.sort,
+    bots: opts.bots,
+  });
+
+  if (opts.json) {
+    console.log(JSON.stringify(contributors, null, 2));
+    return;
+  }
+
+  const outputPath = opts.output || (opts.update ? join(repoPath, 'AUTHORS') : null);
+  const existing =
+    opts.update && existsSync(outputPath) ? readFileSync(outputPath, 'utf-8') : null;
+  const { content, manual } = updateContributors(existing, contributors, {
+    template: opts.template,
+    sort: opts.sort,
+    identities: authors,
+  });
+
+  if (!outputPath) {
+    process.stdout.write(content);
+    return;
+  }
+
+  writeFileSync(outputPath, content);
+  if (!opts.quiet) {
+    console.log(`✅ Written to ${outputPath}`);
+    console.log(
+      `   ${contributors.length} contributors` +
+        (manual.length > 0 ? `, kept ${manual.length} manual entries` : '')
+    );
+  }
+}
+
 async function main() {
-  const { values: opts, command } = parseCliArgs();
+  const { values: opts, command, args } = parseCliArgs();
 
   if (opts.help) {
     console.log(HELP);
@@ -287,6 +1198,30 @@ async function main() {
       case 'write':
         await runApply(repoPath, opts);
         break;
+      case 'review':
+        await runReview(repoPath, opts);
+        break;
+      case 'lint':
+        await runLint(repoPath, opts);
+        break;
+      case 'preview':
+        await runPreview(repoPath, opts);
+        break;
+      case 'check':
+        await runCheck(repoPath, opts);
+        break;
+      case 'org':
+        await runOrg(repoPath, opts, args);
+        break;
+      case 'graph':
+        await runGraph(repoPath, opts);
+        break;
+      case 'rewrite-plan':
+        await runRewritePlan(repoPath, opts);
+        break;
+      case 'contributors':
+        await runContributors(repoPath, opts);
+        break;
       default:
         console.error(`Unknown command: ${command}`);
         console.error('Run `authorsync --help` for usage');
@@ -0,0 +1,322 @@
+/**
+ * Contributor lists - AUTHORS and CONTRIBUTORS files built from the canonical
+ * identity of every person in the history
+ *
+ * Each entry is rendered from a template such as `{name} <{email}>`. When an
+ * existing file is updated, the lines naming someone in the history are
+ * regenerated and every other line (headers, people without commits) is kept.
+ */
+
+import { findClusters } from './matcher.js';
+import { resolveCluster } from './mailmap.js';
+import { hasTimeline, mergeTimeline } from './timeline.js';
+
+/**
+ * @typedef {import('./matcher.js').Author} Author
+ */
+
+/**
+ * @typedef {Object} Contributor
+ * @property {string} name - Canonical name
+ * @property {string} email - Canonical email
+ * @property {number} commits - Commits across all of the person's identities
+ * @property {number} [coAuthored] - Co-authored commits across all identities
+ * @property {number} [firstCommit] - Time of the first commit (Unix seconds)
+ * @property {number} [lastCommit] - Time of the last commit (Unix seconds)
+ * @property {Array<{name: string, email: string}>} identities - Every identity of the person, canonical first
+ */
+
+export const CONTRIBUTOR_SORTS = ['commits', 'first', 'alpha'];
+
+export const DEFAULT_TEMPLATE = '{name} <{email}>';
+
+const TEMPLATE_FIELDS = ['name', 'email', 'commits', 'first', 'last'];
+
+// Apps and services that commit on their own
+const BOT_NAMES = new Set([
+  'dependabot',
+  'dependabot-preview',
+  'renovate',
+  'greenkeeper',
+  'github-actions',
+  'mergify',
+  'pre-commit-ci',
+  'semantic-release-bot',
+  'allcontributors',
+  'snyk-bot',
+  'imgbot',
+  'codecov-io',
+]);
+
+/**
+ * Check whether an identity belongs to a bot rather than a person
+ *
+ * Matches GitHub App identities (`name[bot]`), well-known automation
+ * accounts, and names or email users ending in `bot` as a separate word,
+ * such as `CI Bot` or `release-bot@company.com`.
+ *
+ * @param {{name: string, email: string}} identity - Identity
+ * @returns {boolean} True for a bot
+ */
+export function isBot(identity) {
+  const name = identity.name.toLowerCase().trim();
+  const user = identity.email.toLowerCase().split('@')[0];
+  return (
+    name.endsWith('[bot]') ||
+    user.endsWith('[bot]') ||
+    BOT_NAMES.has(name) ||
+    BOT_NAMES.has(user) ||
+    /(^|[\s._-])bot$/.test(name) ||
+    /(^|[._-])bot$/.test(user)
+  );
+}
+
+/**
+ * Combine the identities of one person into a contributor
+ * @param {Author} canonical - Canonical identity
+ * @param {Author[]} aliases - Other identities of the person
+ * @returns {Contributor} Contributor
+ */
+function toContributor(canonical, aliases) {
+  const contributor = {
+    name: canonical.name,
+    email: canonical.email,
+    commits: 0,
+    identities: [canonical, ...aliases].map(({ name, email }) => ({ name, email })),
+  };
+  for (const identity of [canonical, ...aliases]) {
+    contributor.commits += identity.commits;
+    if (identity.coAuthored !== undefined) {
+      contributor.coAuthored = (contributor.coAuthored || 0) + identity.coAuthored;
+    }
+    mergeTimeline(contributor, identity);
+  }
+  return contributor;
+}
+
+/**
+ * Order contributors
+ * @param {Contributor[]} contributors - Contributors (sorted in place)
+ * @param {'commits'|'first'|'alpha'} sort - Most commits first, earliest first commit first, or by name
+ * @returns {Contributor[]} The sorted contributors
+ */
+function sortContributors(contributors, sort) {
+  const byName = (a, b) =>
+    a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }) ||
+    a.email.localeCompare(b.email);
+  const orders = {
+    commits: (a, b) =>
+      b.commits - a.commits || (b.coAuthored || 0) - (a.coAuthored || 0) || byName(a, b),
+    // Contributors without a timeline go last
+    first: (a, b) =>
+      (a.firstCommit ?? Infinity) - (b.firstCommit ?? Infinity) || byName(a, b),
+    alpha: byName,
+  };
+  if (!orders[sort]) {
+    throw new Error(
+      `Unknown contributor sort: ${sort} (expected ${CONTRIBUTOR_SORTS.join(', ')})`
+    );
+  }
+  return contributors.sort(orders[sort]);
+}
+
+/**
+ * List the people in a history, one entry per person
+ *
+ * Identities are grouped with findClusters() and each person is listed
+ * under the canonical identity selectCanonical() picks.
+ *
+ * @param {Author[]} authors - List of author identities
+ * @param {Object} [options] - Options, plus those of findClusters()
+ * @param {'commits'|'first'|'alpha'} [options.sort='commits'] - Order of the list
+ * @param {boolean} [options.bots=false] - Keep bots (see isBot()) in the list
+ * @param {import('./overrides.js').Overrides} [options.overrides] - Forced/forbidden merges and pinned canonicals
+ * @returns {Contributor[]} Contributors
+ */
+export function listContributors(authors, options = {}) {
+  const { sort = 'commits', bots = false, overrides } = options;
+
+  const clustered = new Set();
+  const contributors = [];
+  for (const cluster of findClusters(authors, options)) {
+    const { canonical, aliases } = resolveCluster(cluster, true, overrides);
+    contributors.push(toContributor(canonical, aliases));
+    for (const identity of [cluster.canonical, ...cluster.aliases]) {
+      clustered.add(`${identity.name}\0${identity.email}`);
+    }
+  }
+  for (const author of authors) {
+    if (!clustered.has(`${author.name}\0${author.email}`)) {
+      contributors.push(toContributor(author, []));
+    }
+  }
+
+  return sortContributors(
+    bots ? contributors : contributors.filter((c) => !isBot(c)),
+    sort
+  );
+}
+
+/**
+ * Check a template for unknown fields
+ * @param {string} template - Entry template
+ */
+function checkTemplate(template) {
+  for (const [, field] of template.matchAll(/\{(\w+)\}/g)) {
+    if (!TEMPLATE_FIELDS.includes(field)) {
+      throw new Error(
+        `Unknown template field: {${field}} (expected ${TEMPLATE_FIELDS.map((f) => `{${f}}`).join(', ')})`
+      );
+    }
+  }
+}
+
+/**
+ * Render a contributor with a template
+ *
+ * Fields: `{name}`, `{email}`, `{commits}`, and `{first}` and `{last}` for
+ * the dates of the first and last commit (`YYYY-MM-DD`, empty without a
+ * timeline).
+ *
+ * @param {Contributor} contributor - Contributor
+ * @param {string} [template] - Entry template (default: `{name} <{email}>`)
+ * @returns {string} Entry line
+ */
+export function formatContributor(contributor, template = DEFAULT_TEMPLATE) {
+  checkTemplate(template);
+  const date = (time) => new Date(time * 1000).toISOString().slice(0, 10);
+  const values = {
+    name: contributor.name,
+    email: contributor.email,
+    commits: contributor.commits,
+    first: hasTimeline(contributor) ? date(contributor.firstCommit) : '',
+    last: hasTimeline(contributor) ? date(contributor.lastCommit) : '',
+  };
+  return template.replace(/\{(\w+)\}/g, (_, field) => String(values[field]));
+}
+
+/**
+ * Take the template text before the first field off an entry line
+ * @param {string} line - Entry line
+ * @param {string} prefix - Template text before the first field, e.g. `- `
+ * @returns {string} Rest of the line, trimmed
+ */
+function entryText(line, prefix) {
+  const text = line.trim();
+  const lead = prefix.trim();
+  return lead && text.startsWith(lead) ? text.slice(lead.length).trim() : text;
+}
+
+/**
+ * Build a pattern matching the lines a template renders
+ *
+ * `{name}` is captured; the other fields change from run to run (counts,
+ * dates), so they match anything.
+ *
+ * @param {string} template - Entry template
+ * @returns {RegExp} Pattern for a trimmed line
+ */
+function templatePattern(template) {
+  let named = false;
+  const source = template
+    .trim()
+    .split(/(\{\w+\})/)
+    .map((part) => {
+      if (part === '{name}') {
+        const group = named ? '\\1' : '(.+?)';
+        named = true;
+        return group;
+      }
+      if (/^\{\w+\}$/.test(part)) return '.*?';
+      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'u');
+}
+
+/**
+ * Check whether a line of an existing file names one of the contributors
+ *
+ * Lines with emails are matched by email. Lines without one only when the
+ * whole entry is a known name or the line is what the template renders for
+ * a known name, so `Sam Jones (design)` is not taken for `Sam`.
+ *
+ * @param {string} line - Line
+ * @param {{emails: Set<string>, names: Set<string>}} known - Emails (lower-cased) and names of every identity
+ * @param {{prefix: string, pattern: RegExp}} template - Template text before the first field and the template's pattern
+ * @returns {boolean} True if the line is generated
+ */
+function namesContributor(line, known, template) {
+  const emails = [...line.matchAll(/<([^<>]*)>/g)].map((m) => m[1].trim().toLowerCase());
+  if (emails.length > 0) return emails.some((email) => known.emails.has(email));
+
+  if (known.names.has(entryText(line, template.prefix))) return true;
+  const match = line.trim().match(template.pattern);
+  return match?.[1] !== undefined && known.names.has(match[1]);
+}
+
+/**
+ * Build a contributor file, updating an existing one
+ *
+ * Without an existing file the result is one line per contributor. With one,
+ * its leading lines (blank or starting with `#`) stay as the header. Lines
+ * that name a contributor, by email, as the whole entry or as a line the
+ * template renders for them, are replaced by the new list; all other lines
+ * are manual entries and kept after it, or sorted in by name with the
+ * `alpha` order. Lines naming anyone in `identities` count as generated,
+ * so bots left out of the list are dropped rather than kept.
+ *
+ * @param {string|null} existing - Existing file content
+ * @param {Contributor[]} contributors - Contributors, sorted
+ * @param {Object} [options] - Options
+ * @param {string} [options.template] - Entry template (default: `{name} <{email}>`)
+ * @param {'commits'|'first'|'alpha'} [options.sort='commits'] - Order the contributors are in
+ * @param {Author[]} [options.identities] - All identities in the history, bots included (default: the contributors' identities)
+ * @returns {{content: string, manual: string[]}} File content and the manual entries kept
+ */
+export function updateContributors(existing, contributors, options = {}) {
+  const {
+    template = DEFAULT_TEMPLATE,
+    sort = 'commits',
+    identities = contributors.flatMap((c) => c.identities),
+  } = options;
+  checkTemplate(template);
+
+  const generated = contributors.map((contributor) => ({
+    line: formatContributor(contributor, template),
+    name: contributor.name,
+  }));
+  const lines = (existing || '').split(/\r?\n/);
+  if (lines[lines.length - 1] === '') lines.pop();
+
+  let start = 0;
+  while (start < lines.length && (!lines[start].trim() || lines[start].startsWith('#'))) {
+    start++;
+  }
+  const header = lines.slice(0, start);
+
+  const known = { emails: new Set(), names: new Set() };
+  for (const identity of identities) {
+    known.emails.add(identity.email.toLowerCase());
+    known.names.add(identity.name);
+  }
+  const prefix = template.split('{')[0];
+  const pattern = templatePattern(template);
+  const manual = lines
+    .slice(start)
+    .filter((line) => line.trim() && !namesContributor(line, known, { prefix, pattern }));
+
+  let entries = [...generated.map((entry) => entry.line), ...manual];
+  if (sort === 'alpha' && manual.length > 0) {
+    // Generated entries are compared by name, manual ones as written
+    entries = [
+      ...generated,
+      ...manual.map((line) => ({ line, name: entryText(line, prefix) })),
+    ]
+      .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }))
+      .map((entry) => entry.line);
+  }
+
+  const content = [...header, ...entries];
+  return { content: content.length > 0 ? `${content.join('\n')}\n` : '', manual };
+}
@@ -0,0 +1,329 @@
+/**
+ * Identity graph - every scored pair of identities, exported for Graphviz,
+ * Mermaid and GraphML tools to show why clusters formed
+ */
+
+import { candidatePairs, findClusters, scorePair } from './matcher.js';
+import { formatEvidence } from './mailmap.js';
+import { formatIdentity } from './identity.js';
+import { isIgnored, isCannotLink } from './overrides.js';
+import { addRosterIdentities, rosterPerson } from './roster.js';
+
+/**
+ * @typedef {import('./matcher.js').Author} Author
+ * @typedef {import('./matcher.js').Evidence} Evidence
+ */
+
+/**
+ * @typedef {Object} GraphNode
+ * @property {string} id - Node id (`n0`, `n1`, ...)
+ * @property {string} name - Author name
+ * @property {string} email - Author email
+ * @property {number} commits - Number of commits
+ * @property {number|null} cluster - Index of the cluster the identity joined, or null
+ */
+
+/**
+ * @typedef {Object} GraphEdge
+ * @property {string} source - Node id of the first identity
+ * @property {string} target - Node id of the second identity
+ * @property {number} confidence - Pair score
+ * @property {string} reason - Main match reason
+ * @property {Evidence[]} evidence - Contributing signals
+ * @property {boolean} linked - The edge joined the identities into their cluster
+ */
+
+/**
+ * @typedef {Object} IdentityGraph
+ * @property {GraphNode[]} nodes - Identities with at least one edge
+ * @property {GraphEdge[]} edges - Scored pairs at or above the floor
+ * @property {string[]} clusters - Canonical identity (`Name <email>`) of each cluster
+ * @property {number} minConfidence - Score needed to cluster
+ */
+
+export const GRAPH_FORMATS = ['dot', 'mermaid', 'graphml'];
+
+/**
+ * Build the pairwise identity graph
+ *
+ * Edges are the pairs findClusters() scores, down to `minScore`, which is
+ * usually below the clustering threshold so borderline pairs show up too.
+ * Edges that joined a cluster are marked `linked` and always included, as
+ * are must-link and roster edges, which need not score at all. Pairs kept
+ * apart by cannot-link overrides or the roster are left out.
+ *
+ * @param {Author[]} authors - List of author identities
+ * @param {Object} [options] - Graph options, plus those of findClusters()
+ * @param {number} [options.minScore=0.3] - Lowest pair score drawn as an edge
+ * @param {number} [options.minConfidence=0.6] - Minimum confidence to cluster
+ * @param {boolean} [options.transliterate=false] - Transliterate names before comparing
+ * @param {import('./overrides.js').Overrides} [options.overrides] - Forced/forbidden merges, ignored and pinned identities
+ * @param {import('./roster.js').Roster} [options.roster] - People directory; its preferred identities are drawn too
+ * @returns {IdentityGraph} Identity graph
+ */
+export function identityGraph(authors, options = {}) {
+  const { minScore = 0.3, minConfidence = 0.6, overrides } = options;
+  const scoreOptions = { transliterate: Boolean(options.transliterate) };
+
+  const identities = addRosterIdentities(authors, options.roster).filter(
+    (a) => !isIgnored(a, overrides)
+  );
+  const keys = identities.map(formatIdentity);
+  const index = new Map(keys.map((key, i) => [key, i]));
+
+  const clusters = findClusters(identities, { ...options, minConfidence });
+  const clusterOf = new Map();
+  const links = new Map();
+  clusters.forEach((cluster, c) => {
+    for (const identity of [cluster.canonical, ...cluster.aliases]) {
+      clusterOf.set(formatIdentity(identity), c);
+    }
+    for (const link of cluster.links) {
+      const i = index.get(link.source);
+      const j = index.get(link.target);
+      links.set(i < j ? `${i},${j}` : `${j},${i}`, link);
+    }
+  });
+
+  const scored = new Map();
+  for (const [i, j] of candidatePairs(identities, scoreOptions)) {
+    if (isCannotLink(identities[i], identities[j], overrides)) continue;
+    const a = rosterPerson(identities[i], options.roster);
+    const b = rosterPerson(identities[j], options.roster);
+    if (a && b && a !== b) continue;
+    const score = scorePair(identities[i], identities[j], scoreOptions);
+    if (score.confidence > 0 && score.confidence >= minScore) {
+      scored.set(`${i},${j}`, score);
+    }
+  }
+  // Every cluster is drawn with the links that formed it
+  for (const [pair, link] of links) {
+    if (!scored.has(pair)) scored.set(pair, link);
+  }
+
+  const edges = [...scored]
+    .map(([pair, score]) => {
+      const [i, j] = pair.split(',').map(Number);
+      return { i, j, score, linked: links.has(pair) };
+    })
+    .sort((a, b) => a.i - b.i || a.j - b.j);
+
+  const used = [...new Set(edges.flatMap((e) => [e.i, e.j]))].sort((a, b) => a - b);
+  const ids = new Map(used.map((i, n) => [i, `n${n}`]));
+
+  return {
+    nodes: used.map((i) => ({
+      id: ids.get(i),
+      name: identities[i].name,
+      email: identities[i].email,
+      commits: identities[i].commits,
+      cluster: clusterOf.get(keys[i]) ?? null,
+    })),
+    edges: edges.map(({ i, j, score, linked }) => ({
+      source: ids.get(i),
+      target: ids.get(j),
+      confidence: score.confidence,
+      reason: score.reason,
+      evidence: score.evidence,
+      linked,
+    })),
+    clusters: clusters.map((cluster) => formatIdentity(cluster.canonical)),
+    minConfidence,
+  };
+}
+
+/**
+ * Describe a node on two lines: identity and commit count
+ * @param {GraphNode} node - Graph node
+ * @returns {string[]} Label lines
+ */
+function nodeLabel(node) {
+  return [formatIdentity(node), `${node.commits} commits`];
+}
+
+/**
+ * Classify an edge for drawing
+ * @param {GraphEdge} edge - Graph edge
+ * @param {IdentityGraph} graph - Identity graph
+ * @returns {'linked'|'match'|'borderline'} Joined a cluster, scored enough to cluster, or below that
+ */
+function edgeKind(edge, graph) {
+  if (edge.linked) return 'linked';
+  return edge.confidence >= graph.minConfidence ? 'match' : 'borderline';
+}
+
+/**
+ * Group node ids by cluster, in cluster order
+ * @param {IdentityGraph} graph - Identity graph
+ * @returns {Array<{cluster: number, ids: string[]}>} Clusters with at least one node
+ */
+function clusterMembers(graph) {
+  return graph.clusters
+    .map((_, cluster) => ({
+      cluster,
+      ids: graph.nodes.filter((node) => node.cluster === cluster).map((node) => node.id),
+    }))
+    .filter((group) => group.ids.length > 0);
+}
+
+/**
+ * Quote a string for DOT
+ * @param {string} text - Text
+ * @returns {string} Quoted string
+ */
+function dotString(text) {
+  const escaped = text
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+  return `"${escaped}"`;
+}
+
+/**
+ * Format an identity graph as Graphviz DOT
+ *
+ * Clusters are drawn as boxes. Edges that joined a cluster are bold, other
+ * edges above the clustering threshold solid and borderline ones dashed.
+ *
+ * @param {IdentityGraph} graph - Identity graph
+ * @returns {string} DOT source
+ */
+export function formatDot(graph) {
+  const lines = [
+    'graph identities {',
+    '  node [shape=box, style=rounded];',
+  ];
+  for (const { cluster, ids } of clusterMembers(graph)) {
+    lines.push(`  subgraph cluster_${cluster} {`);
+    lines.push(`    label=${dotString(graph.clusters[cluster])};`);
+    lines.push(`    ${ids.join('; ')};`);
+    lines.push('  }');
+  }
+  for (const node of graph.nodes) {
+    lines.push(`  ${node.id} [label=${dotString(nodeLabel(node).join('\n'))}];`);
+  }
+  const styles = { linked: 'bold', match: 'solid', borderline: 'dashed' };
+  for (const edge of graph.edges) {
+    const label = dotString(formatEvidence(edge));
+    const style = styles[edgeKind(edge, graph)];
+    lines.push(`  ${edge.source} -- ${edge.target} [label=${label}, style=${style}];`);
+  }
+  lines.push('}', '');
+  return lines.join('\n');
+}
+
+/**
+ * Escape text for a quoted Mermaid label
+ * @param {string} text - Text
+ * @returns {string} Label text with entity codes
+ */
+function mermaidText(text) {
+  return text
+    .replace(/#/g, '#35;')
+    .replace(/&/g, '#amp;')
+    .replace(/"/g, '#quot;')
+    .replace(/</g, '#lt;')
+    .replace(/>/g, '#gt;');
+}
+
+/**
+ * Format an identity graph as a Mermaid flowchart
+ *
+ * Clusters are subgraphs. Edges that joined a cluster are thick, other edges
+ * above the clustering threshold normal and borderline ones dotted.
+ *
+ * @param {IdentityGraph} graph - Identity graph
+ * @returns {string} Mermaid source
+ */
+export function formatMermaid(graph) {
+  const nodes = new Map(graph.nodes.map((node) => [node.id, node]));
+  const label = (node) => nodeLabel(node).map(mermaidText).join('<br/>');
+  const lines = ['graph LR'];
+  for (const { cluster, ids } of clusterMembers(graph)) {
+    lines.push(`  subgraph c${cluster}["${mermaidText(graph.clusters[cluster])}"]`);
+    for (const id of ids) lines.push(`    ${id}["${label(nodes.get(id))}"]`);
+    lines.push('  end');
+  }
+  for (const node of graph.nodes) {
+    if (node.cluster === null) lines.push(`  ${node.id}["${label(node)}"]`);
+  }
+  const arrows = { linked: '===', match: '---', borderline: '-.-' };
+  for (const edge of graph.edges) {
+    const label = mermaidText(formatEvidence(edge));
+    const arrow = arrows[edgeKind(edge, graph)];
+    lines.push(`  ${edge.source} ${arrow}|"${label}"| ${edge.target}`);
+  }
+  lines.push('');
+  return lines.join('\n');
+}
+
+/**
+ * Escape text for XML
+ * @param {string} text - Text
+ * @returns {string} XML text
+ */
+function xmlText(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format an identity graph as GraphML, e.g. for Gephi, yEd or Cytoscape
+ * @param {IdentityGraph} graph - Identity graph
+ * @returns {string} GraphML document
+ */
+export function formatGraphML(graph) {
+  const data = (key, value) => `<data key="${key}">${xmlText(value)}</data>`;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="name" for="node" attr.name="name" attr.type="string"/>',
+    '  <key id="email" for="node" attr.name="email" attr.type="string"/>',
+    '  <key id="commits" for="node" attr.name="commits" attr.type="int"/>',
+    '  <key id="cluster" for="node" attr.name="cluster" attr.type="string"/>',
+    '  <key id="confidence" for="edge" attr.name="confidence" attr.type="double"/>',
+    '  <key id="reason" for="edge" attr.name="reason" attr.type="string"/>',
+    '  <key id="evidence" for="edge" attr.name="evidence" attr.type="string"/>',
+    '  <key id="linked" for="edge" attr.name="linked" attr.type="boolean"/>',
+    '  <graph id="identities" edgedefault="undirected">',
+  ];
+  for (const node of graph.nodes) {
+    const cluster = node.cluster === null ? '' : data('cluster', graph.clusters[node.cluster]);
+    lines.push(
+      `    <node id="${node.id}">` +
+        data('name', node.name) +
+        data('email', node.email) +
+        data('commits', node.commits) +
+        cluster +
+        '</node>'
+    );
+  }
+  graph.edges.forEach((edge, e) => {
+    lines.push(
+      `    <edge id="e${e}" source="${edge.source}" target="${edge.target}">` +
+        data('confidence', Math.round(edge.confidence * 100) / 100) +
+        data('reason', edge.reason) +
+        data('evidence', formatEvidence(edge)) +
+        data('linked', edge.linked) +
+        '</edge>'
+    );
+  });
+  lines.push('  </graph>', '</graphml>', '');
+  return lines.join('\n');
+}
+
+/**
+ * Format an identity graph
+ * @param {IdentityGraph} graph - Identity graph
+ * @param {'dot'|'mermaid'|'graphml'} format - Output format
+ * @returns {string} Graph source
+ */
+export function formatGraph(graph, format) {
+  if (format === 'dot') return formatDot(graph);
+  if (format === 'mermaid') return formatMermaid(graph);
+  if (format === 'graphml') return formatGraphML(graph);
+  throw new Error(`Unknown graph format: ${format} (expected ${GRAPH_FORMATS.join(', ')})`);
+}
@@ -0,0 +1,69 @@
+/**
+ * Identity helpers - formatting and parsing of `Name <email>` identity strings
+ */
+
+/**
+ * @typedef {Object} Author
+ * @property {string} name - Author name
+ * @property {string} email - Author email
+ * @property {number} commits - Number of commits
+ * @property {number} [coAuthored] - Commits crediting the identity as co-author
+ */
+
+/**
+ * Format an identity the way git displays it
+ * @param {{name: string, email: string}} identity - Identity to format
+ * @returns {string} `Name <email>`
+ */
+export function formatIdentity(identity) {
+  return identity.name
+    ? `${identity.name} <${identity.email}>`
+    : `<${identity.email}>`;
+}
+
+/**
+ * Describe how many commits an identity authored and co-authored
+ * @param {Author} identity - Identity with commit counts
+ * @returns {string} e.g. `5 commits` or `5 commits, 3 co-authored`
+ */
+export function formatCommitCounts(identity) {
+  return identity.coAuthored
+    ? `${identity.commits} commits, ${identity.coAuthored} co-authored`
+    : `${identity.commits} commits`;
+}
+
+/**
+ * Parse an identity string
+ *
+ * Accepts `Name <email>`, `<email>` and a bare `email`. The name is empty when
+ * it is not given.
+ *
+ * @param {string} spec - Identity string
+ * @returns {{name: string, email: string}|null} Parsed identity or null if invalid
+ */
+export function parseIdentity(spec) {
+  const trimmed = String(spec).trim();
+  const match = trimmed.match(/^([^<>]*)<([^<>]+)>$/);
+  if (match) {
+    return { name: match[1].trim(), email: match[2].trim() };
+  }
+  if (trimmed && !/[<>\s]/.test(trimmed)) {
+    return { name: '', email: trimmed };
+  }
+  return null;
+}
+
+/**
+ * Check whether an identity string refers to an identity
+ *
+ * Emails compare case-insensitively, like git does. A spec without a name
+ * matches every name used with that email.
+ *
+ * @param {{name: string, email: string}} spec - Parsed identity spec
+ * @param {{name: string, email: string}} identity - Identity to test
+ * @returns {boolean} True if the spec refers to the identity
+ */
+export function identityMatches(spec, identity) {
+  if (spec.email.toLowerCase() !== identity.email.toLowerCase()) return false;
+  return !spec.name || spec.name === identity.name;
+}
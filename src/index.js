@@ -4,10 +4,75 @@
  * Main API module
  */
 
-export { scanAuthors, getExistingMailmap, parseMailmap } from './scanner.js';
+export {
+  scanAuthors,
+  scanAuthorsAsync,
+  getExistingMailmap,
+  parseMailmap,
+} from './scanner.js';
+export { scanAuthorsCached, scanCachePath } from './cache.js';
+export {
+  parseMailmapFile,
+  parseMailmapEntries,
+  mailmapEntries,
+  mailmapErrors,
+  formatMailmapEntry,
+  serializeMailmapFile,
+  addMailmapEntry,
+  removeMailmapEntry,
+} from './mailmap-file.js';
+export { lintMailmap } from './lint.js';
+export { createMailmapResolver, resolveIdentities } from './resolver.js';
+export { previewMailmap } from './preview.js';
+export {
+  REPORT_FORMATS,
+  formatReport,
+  formatMarkdownReport,
+  formatHtmlReport,
+} from './report.js';
+export {
+  GRAPH_FORMATS,
+  identityGraph,
+  formatGraph,
+  formatDot,
+  formatMermaid,
+  formatGraphML,
+} from './graph.js';
+export {
+  CONTRIBUTOR_SORTS,
+  DEFAULT_TEMPLATE,
+  isBot,
+  listContributors,
+  formatContributor,
+  updateContributors,
+} from './contributors.js';
+export {
+  rewriteMailmap,
+  planRewrite,
+  formatRewriteScript,
+  rewriteTarget,
+} from './rewrite.js';
+export {
+  findRepositories,
+  combineRepositories,
+  scanRepositories,
+  organizationClusters,
+  repositoryClusters,
+} from './org.js';
+export {
+  BASELINE_FILE,
+  loadBaseline,
+  saveBaseline,
+  createBaseline,
+  checkClusters,
+} from './check.js';
 export {
   findClusters,
+  candidatePairs,
+  scorePair,
+  scoreAliases,
   analyzeIdentities,
+  signingKeyConflicts,
   normalizeName,
   emailLocal,
   emailDomain,
@@ -17,9 +82,60 @@ export {
 export {
   selectCanonical,
   generateMailmap,
+  mergeMailmap,
+  formatEvidence,
   formatMappingSummary,
   generateStats,
 } from './mailmap.js';
+export {
+  OVERRIDES_FILE,
+  emptyOverrides,
+  parseOverrides,
+  loadOverrides,
+  isIgnored,
+  isMustLink,
+  isCannotLink,
+  pinnedCanonical,
+} from './overrides.js';
+export {
+  parseRoster,
+  loadRoster,
+  rosterPerson,
+  addRosterIdentities,
+  unmatchedIdentities,
+} from './roster.js';
+export { foldName, tokenizeName, transliterate } from './normalize.js';
+export {
+  HANDOFF_DAYS,
+  OVERLAP_MONTHS,
+  commitMonth,
+  hasTimeline,
+  mergeTimeline,
+  compareTimelines,
+  formatActivePeriod,
+} from './timeline.js';
+export {
+  PATH_LIMIT,
+  BULK_COMMIT_FILES,
+  MIN_PATHS,
+  mergePaths,
+  comparePaths,
+} from './paths.js';
+export { mergeSigningKeys, sharedSigningKeys } from './signing.js';
+export {
+  formatIdentity,
+  formatCommitCounts,
+  parseIdentity,
+  identityMatches,
+} from './identity.js';
+export {
+  clusterIdentities,
+  loadDecisions,
+  saveDecisions,
+  recordDecisions,
+  applyDecisions,
+  reviewClusters,
+} from './review.js';
 
 /**
  * High-level function to analyze a repository and generate mailmap
@@ -27,47 +143,105 @@ export {
  * @param {Object} [options] - Options
  * @param {number} [options.minConfidence=0.6] - Minimum confidence for clustering
  * @param {boolean} [options.includeCommitters=false] - Include committer identities
+ * @param {boolean} [options.coAuthors=false] - Include Co-authored-by trailer identities
+ * @param {boolean} [options.timeline=true] - Use commit timelines as matching evidence
+ * @param {boolean} [options.paths=false] - Use the files each identity changed as matching evidence
+ * @param {number} [options.pathLimit=1000] - Files remembered per identity
+ * @param {boolean} [options.signingKeys=false] - Use commit signing keys as matching evidence
  * @param {boolean} [options.comments=true] - Include comments in mailmap
+ * @param {boolean} [options.transliterate=false] - Compare Cyrillic/Greek names in Latin spelling
+ * @param {import('./overrides.js').Overrides} [options.overrides] - Overrides (default: repository's .authorsync.json)
+ * @param {import('./roster.js').Roster} [options.roster] - People directory linking emails to people (see loadRoster())
+ * @param {string|null} [options.mailmap] - Mailmap content applied before clustering (default: repository's .mailmap, null for none)
+ * @param {boolean} [options.cache=false] - Reuse counts from the scan cache and update it
+ * @param {string} [options.cacheDir] - Scan cache directory (default: `authorsync/` in the git directory)
+ * @param {(commits: number) => void} [options.onProgress] - Scan progress callback
+ * @param {AbortSignal} [options.signal] - Cancels the scan
  * @returns {Object} Analysis result
  */
 export async function analyze(repoPath = '.', options = {}) {
-  const { scanAuthors } = await import('./scanner.js');
-  const { findClusters, analyzeIdentities } = await import('./matcher.js');
+  const { scanAuthorsAsync, getExistingMailmap } = await import('./scanner.js');
+  const { scanAuthorsCached } = await import('./cache.js');
+  const { resolveIdentities } = await import('./resolver.js');
+  const { findClusters, analyzeIdentities, signingKeyConflicts } = await import(
+    './matcher.js'
+  );
   const { generateMailmap, formatMappingSummary, generateStats } = await import(
     './mailmap.js'
   );
+  const { loadOverrides } = await import('./overrides.js');
+  const { unmatchedIdentities } = await import('./roster.js');
 
   const {
     minConfidence = 0.6,
     includeCommitters = false,
+    coAuthors = false,
+    timeline = true,
+    paths = false,
+    pathLimit,
+    signingKeys = false,
     comments = true,
+    transliterate = false,
+    overrides = loadOverrides(repoPath),
+    roster,
+    mailmap: existing = getExistingMailmap(repoPath),
+    cache = false,
+    cacheDir,
+    onProgress,
+    signal,
   } = options;
 
-  // Scan repository
-  const authors = scanAuthors(repoPath, { includeCommitters });
+  // Scan repository and apply the mailmap, so only remaining duplicates show
+  const issues = [];
+  const scan = cache ? scanAuthorsCached : scanAuthorsAsync;
+  const recorded = await scan(repoPath, {
+    includeCommitters,
+    coAuthors,
+    timeline,
+    paths,
+    pathLimit,
+    signingKeys,
+    cacheDir,
+    mailmap: false,
+    onIssue: (issue) => issues.push(issue),
+    onProgress,
+    signal,
+  });
+  const authors = existing ? resolveIdentities(recorded, existing, { pathLimit }) : recorded;
   if (authors.length === 0) {
     return {
       authors: [],
+      issues,
       clusters: [],
       stats: analyzeIdentities([]),
+      signingKeyConflicts: [],
+      unmatched: [],
       mailmap: '',
       summary: 'No commits found in repository',
     };
   }
 
   // Find duplicate clusters
-  const clusters = findClusters(authors, { minConfidence });
+  const clusters = findClusters(authors, {
+    minConfidence,
+    transliterate,
+    overrides,
+    roster,
+  });
 
   // Generate outputs
-  const stats = analyzeIdentities(authors);
+  const stats = analyzeIdentities(authors, { transliterate });
   const clusterStats = generateStats(clusters, authors.length);
-  const mailmap = generateMailmap(clusters, { comments });
-  const summary = formatMappingSummary(clusters);
+  const mailmap = generateMailmap(clusters, { comments, overrides });
+  const summary = formatMappingSummary(clusters, { overrides });
 
   return {
     authors,
+    issues,
     clusters,
     stats: { ...stats, ...clusterStats },
+    signingKeyConflicts: signingKeyConflicts(authors, { transliterate }),
+    unmatched: roster ? unmatchedIdentities(authors, roster) : [],
     mailmap,
     summary,
   };
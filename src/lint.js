@@ -0,0 +1,201 @@
+/**
+ * Mailmap linter - finds syntax errors and mappings that do not do what
+ * their author meant
+ */
+
+import { parseMailmapEntries } from './mailmap-file.js';
+import { createMailmapResolver } from './resolver.js';
+
+/**
+ * @typedef {Object} Author
+ * @property {string} name - Author name
+ * @property {string} email - Author email
+ * @property {number} commits - Number of commits
+ */
+
+/**
+ * @typedef {import('./mailmap-file.js').MailmapEntry} MailmapEntry
+ */
+
+/**
+ * @typedef {Object} LintProblem
+ * @property {number} line - 1-based line number
+ * @property {'error'|'warning'} severity - Errors break the mapping, warnings are suspicious
+ * @property {'syntax'|'conflict'|'duplicate'|'chain'|'unknown-canonical'|'unused'|'email-case'} rule - Rule that found the problem
+ * @property {string} message - Human-readable description
+ */
+
+/**
+ * Describe what an entry applies to
+ * @param {MailmapEntry} entry - Mailmap entry
+ * @returns {string} e.g. `John <j@example.com>` or `<j@example.com>`
+ */
+function describeCommit(entry) {
+  return entry.commitName
+    ? `${entry.commitName} <${entry.commitEmail}>`
+    : `<${entry.commitEmail}>`;
+}
+
+/**
+ * Describe what an entry maps to
+ * @param {MailmapEntry} entry - Mailmap entry
+ * @returns {string} e.g. `John Doe <john@example.com>`
+ */
+function describeProper(entry) {
+  const email = entry.properEmail === null ? '' : `<${entry.properEmail}>`;
+  return [entry.properName, email].filter(Boolean).join(' ');
+}
+
+/**
+ * Key of the identity an entry applies to; git compares case-insensitively
+ * @param {string} email - Commit email
+ * @param {string|null} name - Commit name (null for any name)
+ * @returns {string} Lookup key
+ */
+function commitKey(email, name) {
+  return `${email.toLowerCase()}\0${name === null ? '' : name.toLowerCase()}`;
+}
+
+/**
+ * Lint mailmap content
+ *
+ * Without `identities` only the checks that need no history run. With the
+ * identities recorded in history (scanned with the mailmap off, co-authors
+ * included), entries that match no commit and canonical emails never used
+ * are reported too.
+ *
+ * @param {string} content - Mailmap file content
+ * @param {Object} [options] - Lint options
+ * @param {Author[]} [options.identities] - Identities as recorded in history
+ * @returns {LintProblem[]} Problems sorted by line
+ */
+export function lintMailmap(content, options = {}) {
+  const { identities } = options;
+  const { entries, errors } = parseMailmapEntries(content);
+  const problems = errors.map((error) => ({
+    line: error.line,
+    severity: 'error',
+    rule: 'syntax',
+    message: error.message,
+  }));
+
+  // Conflicts and duplicates: later entries for the same identity override
+  // the fields they set
+  const byKey = new Map();
+  for (const entry of entries) {
+    const key = commitKey(entry.commitEmail, entry.commitName);
+    const earlier = byKey.get(key) || [];
+
+    const clash = earlier.find(
+      (e) =>
+        (entry.properName !== null &&
+          e.properName !== null &&
+          e.properName !== entry.properName) ||
+        (entry.properEmail !== null &&
+          e.properEmail !== null &&
+          e.properEmail.toLowerCase() !== entry.properEmail.toLowerCase())
+    );
+    const sameAs = earlier.find(
+      (e) =>
+        (entry.properName === null || e.properName === entry.properName) &&
+        (entry.properEmail === null ||
+          e.properEmail?.toLowerCase() === entry.properEmail.toLowerCase())
+    );
+
+    if (clash) {
+      problems.push({
+        line: entry.line,
+        severity: 'error',
+        rule: 'conflict',
+        message: `${describeCommit(entry)} is mapped to ${describeProper(clash)} on line ${clash.line} and to ${describeProper(entry)} here`,
+      });
+    } else if (sameAs) {
+      problems.push({
+        line: entry.line,
+        severity: 'warning',
+        rule: 'duplicate',
+        message: `${describeCommit(entry)} is already mapped to ${describeProper(sameAs)} on line ${sameAs.line}`,
+      });
+    }
+
+    earlier.push(entry);
+    byKey.set(key, earlier);
+  }
+
+  // Chains: git applies one mapping only, so a canonical identity that is
+  // itself mapped does not end where the author expected
+  const { lookup } = createMailmapResolver(entries);
+  for (const entry of entries) {
+    if (entry.properEmail === null) continue;
+
+    const mapping = lookup({ name: entry.properName ?? '', email: entry.properEmail });
+    const next = (mapping?.entries || []).filter(
+      (e) =>
+        e !== entry &&
+        ((e.properName !== null && e.properName !== entry.properName) ||
+          (e.properEmail !== null &&
+            e.properEmail.toLowerCase() !== entry.properEmail.toLowerCase()))
+    );
+    if (next.length > 0) {
+      problems.push({
+        line: entry.line,
+        severity: 'error',
+        rule: 'chain',
+        message: `maps to ${describeProper(entry)}, which line ${next[0].line} maps again to ${describeProper(next[0])}; git applies only one mapping`,
+      });
+    }
+  }
+
+  // Canonical emails spelled with different case show up as different people
+  const spellings = new Map();
+  for (const entry of entries) {
+    if (entry.properEmail === null) continue;
+    const lower = entry.properEmail.toLowerCase();
+    const first = spellings.get(lower);
+    if (!first) {
+      spellings.set(lower, entry);
+    } else if (first.properEmail !== entry.properEmail) {
+      problems.push({
+        line: entry.line,
+        severity: 'warning',
+        rule: 'email-case',
+        message: `<${entry.properEmail}> differs only in case from <${first.properEmail}> on line ${first.line}`,
+      });
+    }
+  }
+
+  if (identities) {
+    const emails = new Set(identities.map((a) => a.email.toLowerCase()));
+
+    for (const entry of entries) {
+      const used = identities.some(
+        (a) =>
+          a.email.toLowerCase() === entry.commitEmail.toLowerCase() &&
+          (entry.commitName === null ||
+            a.name.toLowerCase() === entry.commitName.toLowerCase())
+      );
+      if (!used) {
+        problems.push({
+          line: entry.line,
+          severity: 'warning',
+          rule: 'unused',
+          message: `no commit is by ${describeCommit(entry)}`,
+        });
+      }
+
+      if (
+        entry.properEmail !== null &&
+        !emails.has(entry.properEmail.toLowerCase())
+      ) {
+        problems.push({
+          line: entry.line,
+          severity: 'warning',
+          rule: 'unknown-canonical',
+          message: `canonical email <${entry.properEmail}> never appears in history`,
+        });
+      }
+    }
+  }
+
+  return problems.sort((a, b) => a.line - b.line);
+}
@@ -0,0 +1,274 @@
+/**
+ * Mailmap file model - parses a .mailmap into entries that keep their source
+ * line and comments, and writes it back unchanged unless it was edited
+ *
+ * Git accepts four entry forms, each optionally followed by a `# comment`:
+ *
+ *   Proper Name <commit@email>
+ *   <proper@email> <commit@email>
+ *   Proper Name <proper@email> <commit@email>
+ *   Proper Name <proper@email> Commit Name <commit@email>
+ *
+ * Git compares emails (and names) case-insensitively when applying entries.
+ */
+
+/**
+ * @typedef {Object} MailmapEntry
+ * @property {number|null} line - 1-based source line (null for added entries)
+ * @property {string|null} properName - Name to show (null to keep the commit's name)
+ * @property {string|null} properEmail - Email to show (null to keep the commit's email)
+ * @property {string|null} commitName - Name the entry applies to (null for any name)
+ * @property {string} commitEmail - Email the entry applies to
+ * @property {string[]} comments - Comment lines directly above the entry, without `#`
+ * @property {string|null} trailingComment - Comment after the entry on the same line, without `#`
+ */
+
+/**
+ * @typedef {Object} MailmapSyntaxError
+ * @property {number} line - 1-based line number
+ * @property {string} message - What is wrong
+ * @property {string} text - Offending line
+ */
+
+/**
+ * @typedef {Object} MailmapLine
+ * @property {string} text - Line as read, without the line break
+ * @property {MailmapEntry} [entry] - Parsed entry
+ * @property {string} [original] - Entry fields when parsed, to detect edits
+ * @property {string} [error] - Syntax error message
+ */
+
+/**
+ * @typedef {Object} MailmapFile
+ * @property {MailmapLine[]} lines - Every line of the file
+ * @property {string} eol - Line break used for added lines
+ * @property {boolean} finalNewline - File ends with a line break
+ */
+
+const FIELDS = ['properName', 'properEmail', 'commitName', 'commitEmail', 'trailingComment'];
+
+/**
+ * Snapshot the editable fields of an entry
+ * @param {MailmapEntry} entry - Mailmap entry
+ * @returns {string} Comparable snapshot
+ */
+function snapshot(entry) {
+  return JSON.stringify(FIELDS.map((field) => entry[field]));
+}
+
+/**
+ * Parse one non-comment mailmap line
+ * @param {string} text - Line content
+ * @returns {{entry: Omit<MailmapEntry, 'line' | 'comments'>}|{error: string}} Entry or error message
+ */
+function parseLine(text) {
+  const pairs = [];
+  const pattern = /\s*([^<>]*?)\s*<([^<>]*)>/y;
+  let end = 0;
+  let match;
+  while ((match = pattern.exec(text))) {
+    pairs.push({ name: match[1], email: match[2].trim() });
+    end = pattern.lastIndex;
+  }
+
+  const rest = text.slice(end).trim();
+  if (/[<>]/.test(rest)) return { error: 'unbalanced `<` or `>`' };
+  if (pairs.length === 0) return { error: 'expected `Name <email>`' };
+  if (pairs.length > 2) return { error: 'more than two emails' };
+  if (rest && !rest.startsWith('#')) {
+    return { error: `unexpected text after email: ${JSON.stringify(rest)}` };
+  }
+  if (pairs.some((p) => !p.email)) return { error: 'empty email' };
+
+  const trailingComment = rest ? rest.slice(1).trim() : null;
+  const [proper, commit] = pairs;
+  if (!commit) {
+    if (!proper.name) return { error: 'no effect: needs a name or a second email' };
+    return {
+      entry: {
+        properName: proper.name,
+        properEmail: null,
+        commitName: null,
+        commitEmail: proper.email,
+        trailingComment,
+      },
+    };
+  }
+
+  return {
+    entry: {
+      properName: proper.name || null,
+      properEmail: proper.email,
+      commitName: commit.name || null,
+      commitEmail: commit.email,
+      trailingComment,
+    },
+  };
+}
+
+/**
+ * Parse mailmap content into a file model
+ * @param {string} content - Mailmap file content
+ * @returns {MailmapFile} File model
+ */
+export function parseMailmapFile(content) {
+  const texts = content.split('\n');
+  const finalNewline = texts.length > 1 && texts[texts.length - 1] === '';
+  if (finalNewline || content === '') texts.pop();
+
+  const lines = [];
+  let comments = [];
+
+  texts.forEach((text, index) => {
+    // Parse without the BOM and CR, keep them in `text` for round-tripping
+    const body = (index === 0 ? text.replace(/^\uFEFF/, '') : text).replace(/\r$/, '');
+    const trimmed = body.trim();
+
+    if (!trimmed) {
+      comments = [];
+      lines.push({ text });
+      return;
+    }
+    if (trimmed.startsWith('#')) {
+      comments.push(trimmed.slice(1).trim());
+      lines.push({ text });
+      return;
+    }
+
+    const result = parseLine(body);
+    if (result.error) {
+      lines.push({ text, error: result.error });
+    } else {
+      const entry = { line: index + 1, ...result.entry, comments };
+      lines.push({ text, entry, original: snapshot(entry) });
+    }
+    comments = [];
+  });
+
+  return {
+    lines,
+    eol: texts[0]?.endsWith('\r') ? '\r\n' : '\n',
+    finalNewline: finalNewline || content === '',
+  };
+}
+
+/**
+ * List the entries of a mailmap file
+ * @param {MailmapFile} file - File model
+ * @returns {MailmapEntry[]} Entries in file order
+ */
+export function mailmapEntries(file) {
+  return file.lines.filter((line) => line.entry).map((line) => line.entry);
+}
+
+/**
+ * List the lines of a mailmap file that are not valid entries
+ * @param {MailmapFile} file - File model
+ * @returns {MailmapSyntaxError[]} Syntax errors in file order
+ */
+export function mailmapErrors(file) {
+  const errors = [];
+  file.lines.forEach((line, index) => {
+    if (line.error) {
+      errors.push({
+        line: index + 1,
+        message: line.error,
+        text: line.text.replace(/\r$/, ''),
+      });
+    }
+  });
+  return errors;
+}
+
+/**
+ * Parse a mailmap into entries with line numbers, collecting syntax errors
+ * @param {string} content - Mailmap file content
+ * @returns {{entries: MailmapEntry[], errors: MailmapSyntaxError[]}} Parsed entries and syntax errors
+ */
+export function parseMailmapEntries(content) {
+  const file = parseMailmapFile(content);
+  return { entries: mailmapEntries(file), errors: mailmapErrors(file) };
+}
+
+/**
+ * Format an entry as a mailmap line
+ * @param {MailmapEntry} entry - Mailmap entry
+ * @returns {string} Mailmap line
+ */
+export function formatMailmapEntry(entry) {
+  const parts = [];
+  if (entry.properName) parts.push(entry.properName);
+  if (entry.properEmail !== null) parts.push(`<${entry.properEmail}>`);
+  if (entry.commitName) parts.push(entry.commitName);
+  parts.push(`<${entry.commitEmail}>`);
+  if (entry.trailingComment) parts.push(`# ${entry.trailingComment}`);
+  return parts.join(' ');
+}
+
+/**
+ * Serialize a file model; untouched lines are written exactly as read
+ * @param {MailmapFile} file - File model
+ * @returns {string} Mailmap content
+ */
+export function serializeMailmapFile(file) {
+  const texts = file.lines.map((line) => {
+    if (!line.entry || line.original === snapshot(line.entry)) return line.text;
+    const cr = line.text.endsWith('\r') ? '\r' : '';
+    return formatMailmapEntry(line.entry) + cr;
+  });
+  if (texts.length === 0) return '';
+  return texts.join('\n') + (file.finalNewline ? '\n' : '');
+}
+
+/**
+ * Append an entry to a mailmap file
+ * @param {MailmapFile} file - File model
+ * @param {Object} fields - Entry fields
+ * @param {string|null} [fields.properName=null] - Name to show
+ * @param {string|null} [fields.properEmail=null] - Email to show
+ * @param {string|null} [fields.commitName=null] - Name the entry applies to
+ * @param {string} fields.commitEmail - Email the entry applies to
+ * @param {string|null} [fields.trailingComment=null] - Comment on the same line
+ * @param {string[]} [fields.comments=[]] - Comment lines to write above the entry
+ * @returns {MailmapEntry} The added entry
+ */
+export function addMailmapEntry(file, fields) {
+  const entry = {
+    line: null,
+    properName: null,
+    properEmail: null,
+    commitName: null,
+    trailingComment: null,
+    comments: [],
+    ...fields,
+  };
+  if (entry.properName === null && entry.properEmail === null) {
+    throw new Error('A mailmap entry needs a proper name or email');
+  }
+
+  const cr = file.eol === '\r\n' ? '\r' : '';
+  for (const comment of entry.comments) {
+    file.lines.push({ text: `# ${comment}${cr}` });
+  }
+  file.lines.push({ text: formatMailmapEntry(entry) + cr, entry, original: snapshot(entry) });
+  if (file.lines.length === entry.comments.length + 1) file.finalNewline = true;
+  return entry;
+}
+
+/**
+ * Remove an entry and the comment lines attached to it
+ * @param {MailmapFile} file - File model
+ * @param {MailmapEntry} entry - Entry to remove
+ * @returns {boolean} True if the entry was found
+ */
+export function removeMailmapEntry(file, entry) {
+  const index = file.lines.findIndex((line) => line.entry === entry);
+  if (index === -1) return false;
+
+  let start = index;
+  while (start > 0 && index - start < entry.comments.length) {
+    start--;
+  }
+  file.lines.splice(start, index - start + 1);
+  return true;
+}
@@ -2,7 +2,16 @@
  * Mailmap generator - creates .mailmap file content from identity clusters
  */
 
-import { isNoReply, emailDomain } from './matcher.js';
+import { isNoReply, emailDomain, scoreAliases } from './matcher.js';
+import { parseMailmap } from './scanner.js';
+import {
+  parseMailmapFile,
+  mailmapEntries,
+  serializeMailmapFile,
+} from './mailmap-file.js';
+import { pinnedCanonical } from './overrides.js';
+import { formatCommitCounts } from './identity.js';
+import { formatActivePeriod } from './timeline.js';
 
 /**
  * @typedef {Object} Author
@@ -14,9 +23,10 @@ import { isNoReply, emailDomain } from './matcher.js';
 /**
  * @typedef {Object} IdentityCluster
  * @property {Author} canonical - The canonical identity
- * @property {Author[]} aliases - Other identities
+ * @property {Author[]} aliases - Other identities, with per-alias confidence and evidence
  * @property {number} confidence - Confidence score
  * @property {string} reason - Clustering reason
+ * @property {Object[]} [links] - Pair links that formed the cluster
  */
 
 /**
@@ -67,9 +77,11 @@ function scoreIdentity(author) {
 /**
  * Select the best canonical identity from a cluster
  * @param {Author[]} identities - All identities in cluster
+ * @param {Object} [options] - Selection options
+ * @param {import('./overrides.js').Overrides} [options.overrides] - Pinned canonical identities
  * @returns {Author} Best canonical identity
  */
-export function selectCanonical(identities) {
+export function selectCanonical(identities, options = {}) {
   if (identities.length === 0) {
     throw new Error('Cannot select canonical from empty list');
   }
@@ -77,6 +89,17 @@ export function selectCanonical(identities) {
     return identities[0];
   }
 
+  const pinned = pinnedCanonical(identities, options.overrides);
+  if (pinned) {
+    return pinned;
+  }
+
+  // The roster's preferred identity comes next
+  const listed = identities.find((identity) => identity.roster !== undefined);
+  if (listed) {
+    return listed;
+  }
+
   // Score each identity
   const scored = identities.map((identity) => ({
     identity,
@@ -89,16 +112,94 @@ export function selectCanonical(identities) {
   return scored[0].identity;
 }
 
+/**
+ * Format a single full-form mailmap line
+ * @param {Author} canonical - Canonical identity
+ * @param {Author} alias - Alias identity
+ * @returns {string} Mailmap line
+ */
+function formatEntry(canonical, alias) {
+  return `${canonical.name} <${canonical.email}> ${alias.name} <${alias.email}>`;
+}
+
+/**
+ * Format the comment line above a cluster's entries
+ * @param {Author} canonical - Canonical identity
+ * @param {Author[]} aliases - Alias identities
+ * @returns {string} e.g. `# John Doe (42 commits)`
+ */
+function formatClusterHeader(canonical, aliases) {
+  const totalCommits =
+    canonical.commits + aliases.reduce((sum, a) => sum + a.commits, 0);
+  return `# ${canonical.name} (${totalCommits} commits)`;
+}
+
+/**
+ * Check whether two identities are the same (emails compare case-insensitively)
+ * @param {{name: string, email: string}} a - First identity
+ * @param {{name: string, email: string}} b - Second identity
+ * @returns {boolean} True if same identity
+ */
+function sameIdentity(a, b) {
+  return a.name === b.name && a.email.toLowerCase() === b.email.toLowerCase();
+}
+
+/**
+ * Split a cluster into its (optionally re-selected) canonical and aliases
+ * @param {IdentityCluster} cluster - Identity cluster
+ * @param {boolean} reselect - Re-select canonical using scoring
+ * @param {import('./overrides.js').Overrides} [overrides] - Pinned canonical identities
+ * @returns {{canonical: Author, aliases: Author[]}} Canonical and remaining aliases
+ */
+export function resolveCluster(cluster, reselect, overrides) {
+  const allIdentities = [cluster.canonical, ...cluster.aliases];
+  const canonical = reselect
+    ? selectCanonical(allIdentities, { overrides })
+    : cluster.canonical;
+
+  // Re-score aliases against a re-selected canonical when links are known
+  if (canonical !== cluster.canonical && cluster.links) {
+    return {
+      canonical,
+      aliases: scoreAliases(canonical, allIdentities, cluster.links),
+    };
+  }
+
+  const aliases = allIdentities.filter(
+    (a) => a.name !== canonical.name || a.email !== canonical.email
+  );
+
+  return { canonical, aliases };
+}
+
+/**
+ * Describe why an alias was matched, e.g. "92% exact-email, name-similarity 0.85"
+ * @param {Author} alias - Alias with optional confidence and evidence
+ * @returns {string} Description, empty if the alias carries no score
+ */
+export function formatEvidence(alias) {
+  if (alias.confidence === undefined) return '';
+
+  const signals = (alias.evidence || []).map((e) =>
+    e.value === undefined ? e.signal : `${e.signal} ${e.value}`
+  );
+  if (alias.via) signals.push(`via ${alias.via}`);
+
+  const percent = `${Math.round(alias.confidence * 100)}%`;
+  return signals.length > 0 ? `${percent} ${signals.join(', ')}` : percent;
+}
+
 /**
  * Generate .mailmap file content from clusters
  * @param {IdentityCluster[]} clusters - Identity clusters
  * @param {Object} [options] - Generation options
  * @param {boolean} [options.comments=true] - Include comments explaining mappings
  * @param {boolean} [options.reselect=true] - Re-select canonical using scoring
+ * @param {import('./overrides.js').Overrides} [options.overrides] - Pinned canonical identities
  * @returns {string} Mailmap file content
  */
 export function generateMailmap(clusters, options = {}) {
-  const { comments = true, reselect = true } = options;
+  const { comments = true, reselect = true, overrides } = options;
   const lines = [];
 
   if (comments) {
@@ -113,28 +214,25 @@ export function generateMailmap(clusters, options = {}) {
 
   for (const cluster of clusters) {
     // Optionally re-select canonical based on scoring
-    const allIdentities = [cluster.canonical, ...cluster.aliases];
-    const canonical = reselect
-      ? selectCanonical(allIdentities)
-      : cluster.canonical;
-
-    const aliases = allIdentities.filter(
-      (a) => a.name !== canonical.name || a.email !== canonical.email
+    const { canonical, aliases } = resolveCluster(
+      cluster,
+      reselect,
+      overrides
     );
 
     if (aliases.length === 0) continue;
 
     if (comments) {
-      const totalCommits =
-        canonical.commits + aliases.reduce((sum, a) => sum + a.commits, 0);
-      lines.push(`# ${canonical.name} (${totalCommits} commits)`);
+      lines.push(formatClusterHeader(canonical, aliases));
     }
 
     for (const alias of aliases) {
+      const evidence = formatEvidence(alias);
+      if (comments && evidence) {
+        lines.push(`# ${alias.name} <${alias.email}>: ${evidence}`);
+      }
       // Full format: Canonical Name <canonical@email> Alias Name <alias@email>
-      lines.push(
-        `${canonical.name} <${canonical.email}> ${alias.name} <${alias.email}>`
-      );
+      lines.push(formatEntry(canonical, alias));
     }
 
     if (comments) {
@@ -148,23 +246,35 @@ export function generateMailmap(clusters, options = {}) {
 /**
  * Generate a simple list showing proposed mappings
  * @param {IdentityCluster[]} clusters - Identity clusters
+ * @param {Object} [options] - Formatting options
+ * @param {import('./overrides.js').Overrides} [options.overrides] - Pinned canonical identities
  * @returns {string} Human-readable mapping list
  */
-export function formatMappingSummary(clusters) {
+export function formatMappingSummary(clusters, options = {}) {
   const lines = [];
 
   for (const cluster of clusters) {
-    const allIdentities = [cluster.canonical, ...cluster.aliases];
-    const canonical = selectCanonical(allIdentities);
-    const aliases = allIdentities.filter(
-      (a) => a.name !== canonical.name || a.email !== canonical.email
+    const { canonical, aliases } = resolveCluster(
+      cluster,
+      true,
+      options.overrides
     );
 
     if (aliases.length === 0) continue;
 
-    lines.push(`\n✓ ${canonical.name} <${canonical.email}>`);
+    const active = formatActivePeriod(canonical);
+    lines.push(
+      `\n✓ ${canonical.name} <${canonical.email}>` + (active ? ` (${active})` : '')
+    );
     for (const alias of aliases) {
-      lines.push(`  ← ${alias.name} <${alias.email}> (${alias.commits} commits)`);
+      const evidence = formatEvidence(alias);
+      const counts = [formatCommitCounts(alias), formatActivePeriod(alias)]
+        .filter(Boolean)
+        .join(', ');
+      lines.push(
+        `  ← ${alias.name} <${alias.email}> (${counts})` +
+          (evidence ? ` [${evidence}]` : '')
+      );
     }
   }
 
@@ -188,14 +298,179 @@ export function generateStats(clusters, totalAuthors) {
     0
   );
 
+  // Identities added from the roster are not among the authors
+  const added = clusters.filter((c) =>
+    [c.canonical, ...c.aliases].some((identity) => identity.fromRoster)
+  ).length;
+  const authorsAfter = totalAuthors - affectedAliases + added;
+
   return {
     clustersFound: clusters.length,
     aliasesConsolidated: affectedAliases,
-    authorsAfter: totalAuthors - affectedAliases,
+    authorsAfter,
     commitsAffected: affectedCommits,
     reductionPercent:
       totalAuthors > 0
-        ? Math.round((affectedAliases / totalAuthors) * 100)
+        ? Math.round(((totalAuthors - authorsAfter) / totalAuthors) * 100)
         : 0,
   };
 }
+
+/**
+ * Identity an existing entry maps to, if its name is known
+ * @param {import('./mailmap-file.js').MailmapEntry} entry - Mailmap entry
+ * @returns {{name: string, email: string}|null} Target identity, or null for `<proper> <commit>` entries
+ */
+function entryTarget(entry) {
+  const name = entry.properName ?? entry.commitName;
+  if (name === null) return null;
+  return { name, email: entry.properEmail ?? entry.commitEmail };
+}
+
+/**
+ * Merge clusters into an existing .mailmap without losing curated entries
+ *
+ * Existing content (entries and comments) is kept verbatim. Only aliases that
+ * the existing file does not map yet are appended. When an existing entry maps
+ * an alias to a different canonical than the generated one, the curated entry
+ * wins and the disagreement is reported as a conflict.
+ *
+ * Clusters are found on identities the existing file has already mapped, so
+ * an alias may be the target of a curated entry. Git applies one mapping
+ * only, so such entries are retargeted to the new canonical rather than
+ * chained to it.
+ *
+ * @param {string|null} existing - Current .mailmap content
+ * @param {IdentityCluster[]} clusters - Identity clusters
+ * @param {Object} [options] - Generation options
+ * @param {boolean} [options.comments=true] - Include comments explaining mappings
+ * @param {boolean} [options.reselect=true] - Re-select canonical using scoring
+ * @param {import('./overrides.js').Overrides} [options.overrides] - Pinned canonical identities
+ * @returns {{content: string, added: Array<{canonical: Author, alias: Author}>, retargeted: Array<{entry: import('./mailmap-file.js').MailmapEntry, from: {name: string, email: string}, to: Author}>, conflicts: Array<{alias: Author, existing: {name: string, email: string}, proposed: Author}>, alreadyMapped: number}} Merge result
+ */
+export function mergeMailmap(existing, clusters, options = {}) {
+  const { comments = true, reselect = true, overrides } = options;
+
+  if (!existing || !existing.trim()) {
+    const added = [];
+    for (const cluster of clusters) {
+      const { canonical, aliases } = resolveCluster(
+        cluster,
+        reselect,
+        overrides
+      );
+      for (const alias of aliases) added.push({ canonical, alias });
+    }
+    return {
+      content: added.length > 0 ? generateMailmap(clusters, options) : '',
+      added,
+      retargeted: [],
+      conflicts: [],
+      alreadyMapped: 0,
+    };
+  }
+
+  // Keys carry lower-cased emails: git matches them case-insensitively
+  const curated = parseMailmap(existing);
+  const file = parseMailmapFile(existing);
+  const entries = mailmapEntries(file);
+
+  // A curated mapping for the canonical itself takes precedence
+  const resolved = clusters.map((cluster) => {
+    const { canonical, aliases } = resolveCluster(cluster, reselect, overrides);
+    const current =
+      curated.get(`${canonical.name}|${canonical.email.toLowerCase()}`) ||
+      curated.get(`|${canonical.email.toLowerCase()}`);
+    return {
+      canonical: current
+        ? { ...canonical, name: current.name || canonical.name, email: current.email }
+        : canonical,
+      members: [canonical, ...aliases],
+      aliases,
+    };
+  });
+
+  const retargeted = [];
+  const retargets = new Set();
+  for (const { canonical, members } of resolved) {
+    for (const entry of entries) {
+      const target = entryTarget(entry);
+      if (
+        !target ||
+        sameIdentity(target, canonical) ||
+        !members.some((member) => sameIdentity(member, target))
+      ) {
+        continue;
+      }
+      entry.properName = canonical.name;
+      entry.properEmail = canonical.email;
+      retargeted.push({ entry, from: target, to: canonical });
+      retargets.add(`${target.name}\0${target.email.toLowerCase()}`);
+    }
+  }
+
+  let content = serializeMailmapFile(file);
+  if (!content.endsWith('\n')) content += '\n';
+
+  const mappings = retargeted.length > 0 ? parseMailmap(content) : curated;
+  const lookup = (identity) =>
+    mappings.get(`${identity.name}|${identity.email.toLowerCase()}`) ||
+    mappings.get(`|${identity.email.toLowerCase()}`);
+
+  const added = [];
+  const conflicts = [];
+  const lines = [];
+  let alreadyMapped = 0;
+
+  for (const { canonical, aliases } of resolved) {
+    const clusterLines = [];
+    for (const alias of aliases) {
+      if (sameIdentity(alias, canonical)) continue;
+      // Nothing left to map when every commit reached the alias through a
+      // retargeted entry (see resolveIdentities())
+      const mappedCommits = (alias.mappedFrom || []).reduce((sum, a) => sum + a.commits, 0);
+      if (
+        retargets.has(`${alias.name}\0${alias.email.toLowerCase()}`) &&
+        mappedCommits >= alias.commits
+      ) {
+        continue;
+      }
+
+      const mapped = lookup(alias);
+      if (mapped) {
+        const target = { name: mapped.name || alias.name, email: mapped.email };
+        if (sameIdentity(target, canonical)) {
+          alreadyMapped++;
+        } else {
+          conflicts.push({ alias, existing: mapped, proposed: canonical });
+        }
+        continue;
+      }
+
+      added.push({ canonical, alias });
+      const evidence = formatEvidence(alias);
+      if (comments && evidence) {
+        clusterLines.push(`# ${alias.name} <${alias.email}>: ${evidence}`);
+      }
+      clusterLines.push(formatEntry(canonical, alias));
+    }
+
+    if (clusterLines.length === 0) continue;
+    if (comments) {
+      lines.push(formatClusterHeader(canonical, aliases));
+    }
+    lines.push(...clusterLines);
+    if (comments) {
+      lines.push('');
+    }
+  }
+
+  if (lines.length > 0) {
+    if (comments) {
+      content += '\n# Added by authorsync\n';
+    }
+    content += lines.join('\n').trim() + '\n';
+  }
+
+  return { content, added, retargeted, conflicts, alreadyMapped };
+}
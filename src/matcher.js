@@ -2,32 +2,85 @@
  * Identity matcher - finds similar/duplicate author identities
  */
 
+import { formatIdentity, identityMatches } from './identity.js';
+import { foldName, tokenizeName, transliterate } from './normalize.js';
+import { compareTimelines } from './timeline.js';
+import { comparePaths } from './paths.js';
+import { sharedSigningKeys } from './signing.js';
+import { addRosterIdentities, rosterPerson } from './roster.js';
+import {
+  isIgnored,
+  isMustLink,
+  isCannotLink,
+  pinnedCanonical,
+} from './overrides.js';
+
 /**
  * @typedef {Object} Author
  * @property {string} name - Author name
  * @property {string} email - Author email
  * @property {number} commits - Number of commits
+ * @property {number} [firstCommit] - Time of the first commit (Unix seconds)
+ * @property {number} [lastCommit] - Time of the last commit (Unix seconds)
+ * @property {string[]} [activeMonths] - Months with commits (`YYYY-MM`)
+ * @property {string[]} [paths] - Files the identity changed
+ * @property {string[]} [signingKeys] - Keys the identity signed commits with
+ * @property {string} [roster] - Roster person id, on the person's preferred identity
+ * @property {boolean} [fromRoster] - Added from the roster, not found in the history
+ */
+
+/**
+ * @typedef {Object} Evidence
+ * @property {string} signal - Signal name (e.g. exact-email, name-similarity)
+ * @property {number} [value] - Signal strength where it has one
+ */
+
+/**
+ * @typedef {Object} ScoredAlias
+ * @property {string} name - Author name
+ * @property {string} email - Author email
+ * @property {number} commits - Number of commits
+ * @property {number} confidence - Confidence this alias belongs to the canonical (0-1)
+ * @property {Evidence[]} evidence - Signals of the link that joined this alias
+ * @property {string} [via] - Identity the alias is linked through, if not the canonical
+ */
+
+/**
+ * @typedef {Object} ClusterLink
+ * @property {string} source - First identity (`Name <email>`)
+ * @property {string} target - Second identity (`Name <email>`)
+ * @property {number} confidence - Pair score
+ * @property {string} reason - Main match reason
+ * @property {Evidence[]} evidence - Contributing signals
  */
 
 /**
  * @typedef {Object} IdentityCluster
  * @property {Author} canonical - The canonical identity (highest commit count)
- * @property {Author[]} aliases - Other identities that likely belong to same person
- * @property {number} confidence - Confidence score (0-1)
- * @property {string} reason - Why these were clustered
+ * @property {ScoredAlias[]} aliases - Other identities that likely belong to same person
+ * @property {number} confidence - Confidence score of the weakest alias (0-1)
+ * @property {string} reason - Reason of the strongest link
+ * @property {ClusterLink[]} links - Pair links that formed the cluster (a spanning tree)
  */
 
 /**
  * Normalize a name for comparison
+ *
+ * Folds case and Latin/Greek/Cyrillic diacritics ("José Müller" → "jose
+ * muller"), keeps letters of every script and splits tokens at punctuation,
+ * whitespace and script changes.
+ *
  * @param {string} name - Name to normalize
+ * @param {Object} [options] - Normalization options
+ * @param {boolean} [options.transliterate=false] - Transliterate Cyrillic and Greek to Latin
  * @returns {string} Normalized name
  */
-function normalizeName(name) {
-  return name
-    .toLowerCase()
-    .replace(/[^a-z0-9]/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
+function normalizeName(name, options = {}) {
+  let folded = foldName(name);
+  if (options.transliterate) {
+    folded = transliterate(folded);
+  }
+  return tokenizeName(folded).join(' ');
 }
 
 /**
@@ -67,49 +120,113 @@ function isNoReply(email) {
 
 /**
  * Calculate Levenshtein distance between two strings
- * @param {string} a - First string
- * @param {string} b - Second string
+ * @param {string|string[]} a - First string (or array of code points)
+ * @param {string|string[]} b - Second string (or array of code points)
  * @returns {number} Edit distance
  */
 function levenshtein(a, b) {
   if (a.length === 0) return b.length;
   if (b.length === 0) return a.length;
 
-  const matrix = [];
-  for (let i = 0; i <= b.length; i++) {
-    matrix[i] = [i];
-  }
+  // Two rolling rows instead of the full matrix
+  let previous = new Int32Array(a.length + 1);
+  let current = new Int32Array(a.length + 1);
   for (let j = 0; j <= a.length; j++) {
-    matrix[0][j] = j;
+    previous[j] = j;
   }
 
   for (let i = 1; i <= b.length; i++) {
+    current[0] = i;
     for (let j = 1; j <= a.length; j++) {
-      if (b.charAt(i - 1) === a.charAt(j - 1)) {
-        matrix[i][j] = matrix[i - 1][j - 1];
+      if (b[i - 1] === a[j - 1]) {
+        current[j] = previous[j - 1];
       } else {
-        matrix[i][j] = Math.min(
-          matrix[i - 1][j - 1] + 1,
-          matrix[i][j - 1] + 1,
-          matrix[i - 1][j] + 1
-        );
+        current[j] = Math.min(previous[j - 1], current[j - 1], previous[j]) + 1;
       }
     }
+    [previous, current] = [current, previous];
+  }
+
+  return previous[a.length];
+}
+
+// Reused rows for withinEdits(), grown on demand
+let bandPrevious = new Int32Array(64);
+let bandCurrent = new Int32Array(64);
+
+/**
+ * Check whether two strings are within a number of edits of each other
+ *
+ * Only the diagonal band of width 2 * maxDistance + 1 is computed and the
+ * scan stops as soon as a row exceeds the bound.
+ *
+ * @param {ArrayLike<number>} a - First string as code points
+ * @param {ArrayLike<number>} b - Second string as code points
+ * @param {number} maxDistance - Largest allowed edit distance
+ * @returns {boolean} True if levenshtein(a, b) <= maxDistance
+ */
+function withinEdits(a, b, maxDistance) {
+  const n = a.length;
+  const m = b.length;
+  if (Math.abs(n - m) > maxDistance) return false;
+
+  if (bandPrevious.length < n + 2) {
+    bandPrevious = new Int32Array(n + 2);
+    bandCurrent = new Int32Array(n + 2);
+  }
+  let previous = bandPrevious;
+  let current = bandCurrent;
+  const inf = maxDistance + 1;
+
+  const firstTo = Math.min(n, maxDistance);
+  for (let j = 0; j <= firstTo; j++) previous[j] = j;
+  if (firstTo < n) previous[firstTo + 1] = inf;
+
+  for (let i = 1; i <= m; i++) {
+    const from = Math.max(1, i - maxDistance);
+    const to = Math.min(n, i + maxDistance);
+    current[from - 1] = from === 1 && i <= maxDistance ? i : inf;
+    let rowMin = current[from - 1];
+
+    for (let j = from; j <= to; j++) {
+      const cost = b[i - 1] === a[j - 1] ? 0 : 1;
+      let value = previous[j - 1] + cost;
+      if (current[j - 1] + 1 < value) value = current[j - 1] + 1;
+      if (previous[j] + 1 < value) value = previous[j] + 1;
+      current[j] = value;
+      if (value < rowMin) rowMin = value;
+    }
+    if (to < n) current[to + 1] = inf;
+
+    if (rowMin > maxDistance) return false;
+    [previous, current] = [current, previous];
   }
 
-  return matrix[b.length][a.length];
+  return previous[n] <= maxDistance;
 }
 
 /**
  * Calculate name similarity score (0-1)
  * @param {string} name1 - First name
  * @param {string} name2 - Second name
+ * @param {Object} [options] - Normalization options
+ * @param {boolean} [options.transliterate=false] - Transliterate Cyrillic and Greek to Latin
  * @returns {number} Similarity score
  */
-function nameSimilarity(name1, name2) {
-  const n1 = normalizeName(name1);
-  const n2 = normalizeName(name2);
+function nameSimilarity(name1, name2, options = {}) {
+  return normalizedSimilarity(
+    normalizeName(name1, options),
+    normalizeName(name2, options)
+  );
+}
 
+/**
+ * Calculate similarity of two already normalized names (0-1)
+ * @param {string} n1 - First normalized name
+ * @param {string} n2 - Second normalized name
+ * @returns {number} Similarity score
+ */
+function normalizedSimilarity(n1, n2) {
   if (n1 === n2) return 1;
   if (!n1 || !n2) return 0;
 
@@ -124,9 +241,11 @@ function nameSimilarity(name1, name2) {
   const jaccardSim = intersection.length / union.size;
   if (jaccardSim > 0.5) return 0.7 + jaccardSim * 0.2;
 
-  // Levenshtein-based similarity
-  const maxLen = Math.max(n1.length, n2.length);
-  const distance = levenshtein(n1, n2);
+  // Levenshtein-based similarity over code points
+  const c1 = [...n1];
+  const c2 = [...n2];
+  const maxLen = Math.max(c1.length, c2.length);
+  const distance = levenshtein(c1, c2);
   const similarity = 1 - distance / maxLen;
 
   return similarity;
@@ -170,103 +289,708 @@ function emailsMatch(email1, email2) {
   return { match: false, confidence: 0, reason: '' };
 }
 
+// Confidence of a match through a shared signing key
+const SIGNING_KEY_CONFIDENCE = 0.98;
+
 /**
- * Find clusters of similar identities
- * @param {Author[]} authors - List of author identities
- * @param {Object} [options] - Matching options
- * @param {number} [options.minConfidence=0.6] - Minimum confidence to cluster
- * @returns {IdentityCluster[]} Clusters of similar identities
+ * Check whether two names clearly belong to different people: both are full
+ * names, they share no word and are not alike. A handle such as "jdoe" next
+ * to "John Doe" does not count.
+ * @param {string} nameA - Normalized name
+ * @param {string} nameB - Normalized name
+ * @param {number} nameSim - Similarity of the names
+ * @returns {boolean} True if the names clearly differ
  */
-export function findClusters(authors, options = {}) {
-  const { minConfidence = 0.6 } = options;
-  const clusters = [];
-  const assigned = new Set();
+function clearlyDifferent(nameA, nameB, nameSim) {
+  if (nameSim >= 0.3) return false;
+  const wordsA = nameA.split(' ');
+  const wordsB = new Set(nameB.split(' '));
+  return (
+    wordsA.length > 1 &&
+    wordsB.size > 1 &&
+    !wordsA.some((word) => wordsB.has(word))
+  );
+}
 
-  // Sort by commits descending for canonical selection
-  const sorted = [...authors].sort((a, b) => b.commits - a.commits);
+/**
+ * Round a signal value for display
+ * @param {number} value - Raw value
+ * @returns {number} Value rounded to two decimals
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
 
-  for (let i = 0; i < sorted.length; i++) {
-    if (assigned.has(i)) continue;
+/**
+ * Score how likely two identities belong to the same person
+ * @param {Author} a - First identity
+ * @param {Author} b - Second identity
+ * @param {Object} [options] - Scoring options
+ * @param {boolean} [options.transliterate=false] - Transliterate names before comparing
+ * @returns {{confidence: number, reason: string, evidence: Evidence[]}} Match score (confidence 0 if unrelated)
+ */
+export function scorePair(a, b, options = {}) {
+  return scoreNormalized(
+    a,
+    b,
+    normalizeName(a.name, options),
+    normalizeName(b.name, options)
+  );
+}
 
-    const canonical = sorted[i];
-    const aliases = [];
-    let clusterReason = '';
+/**
+ * Score two identities whose names are already normalized
+ * @param {Author} a - First identity
+ * @param {Author} b - Second identity
+ * @param {string} nameA - Normalized name of a
+ * @param {string} nameB - Normalized name of b
+ * @returns {{confidence: number, reason: string, evidence: Evidence[]}} Match score
+ */
+function scoreNormalized(a, b, nameA, nameB) {
+  let confidence = 0;
+  let reason = '';
+  const evidence = [];
+
+  const emailResult = emailsMatch(a.email, b.email);
+  const nameSim = normalizedSimilarity(nameA, nameB);
+
+  if (emailResult.match) {
+    confidence = emailResult.confidence;
+    reason = emailResult.reason;
+    evidence.push({ signal: emailResult.reason });
+
+    // If email matches but names very different, lower confidence
+    if (nameSim < 0.3) {
+      confidence = emailResult.confidence * 0.6;
+      reason = `${emailResult.reason}-name-mismatch`;
+      evidence.push({ signal: 'name-mismatch', value: round2(nameSim) });
+    } else {
+      evidence.push({ signal: 'name-similarity', value: round2(nameSim) });
+    }
+  } else if (nameSim > 0.8) {
+    // High name similarity - check if same domain
+    evidence.push({ signal: 'name-similarity', value: round2(nameSim) });
+    if (emailDomain(a.email) === emailDomain(b.email)) {
+      confidence = nameSim * 0.9;
+      reason = 'similar-name-same-domain';
+      evidence.push({ signal: 'same-domain' });
+    } else {
+      confidence = nameSim * 0.7;
+      reason = 'similar-name';
+    }
+  }
 
-    for (let j = i + 1; j < sorted.length; j++) {
-      if (assigned.has(j)) continue;
+  // Timelines only adjust a match that other signals already suggest
+  const timeline = confidence > 0 ? compareTimelines(a, b) : null;
+  if (timeline) {
+    evidence.push(timeline);
+    if (timeline.signal === 'hand-off') {
+      confidence = Math.min(1, confidence + 0.1);
+    } else if (timeline.signal === 'disjoint') {
+      confidence = Math.min(1, confidence + 0.05);
+    } else if (!emailResult.match) {
+      // Two people with similar names working side by side
+      confidence *= 0.85;
+    }
+  }
 
-      const candidate = sorted[j];
-      let confidence = 0;
-      let reason = '';
+  const files = confidence > 0 ? comparePaths(a, b) : null;
+  if (files) {
+    evidence.push(files);
+    if (files.signal === 'path-overlap') {
+      confidence = Math.min(1, confidence + 0.15 * files.value);
+    } else if (!emailResult.match) {
+      confidence *= 0.9;
+    }
+  }
 
-      // Check email match
-      const emailResult = emailsMatch(canonical.email, candidate.email);
-      if (emailResult.match) {
-        confidence = emailResult.confidence;
-        reason = emailResult.reason;
+  // One signing key is near-certain proof of one person, unless the names
+  // belong to clearly different people (a shared team or CI key)
+  if (sharedSigningKeys(a, b).length > 0) {
+    if (clearlyDifferent(nameA, nameB, nameSim)) {
+      evidence.push({ signal: 'signing-key-conflict' });
+    } else {
+      evidence.push({ signal: 'shared-signing-key' });
+      if (confidence < SIGNING_KEY_CONFIDENCE) {
+        confidence = SIGNING_KEY_CONFIDENCE;
+        reason = 'shared-signing-key';
       }
+    }
+  }
+
+  return { confidence, reason, evidence };
+}
+
+/**
+ * Score every alias of a cluster against its canonical
+ *
+ * Walks the cluster's links from the canonical. An alias's confidence is the
+ * weakest link on its path to the canonical and its evidence is the link that
+ * attached it.
+ *
+ * @param {Author} canonical - Canonical identity
+ * @param {Author[]} identities - All identities in the cluster
+ * @param {ClusterLink[]} links - Links forming the cluster
+ * @returns {ScoredAlias[]} Aliases (identities other than the canonical)
+ */
+export function scoreAliases(canonical, identities, links) {
+  const adjacency = new Map();
+  for (const link of links) {
+    for (const [from, to] of [
+      [link.source, link.target],
+      [link.target, link.source],
+    ]) {
+      if (!adjacency.has(from)) adjacency.set(from, []);
+      adjacency.get(from).push({ to, link });
+    }
+  }
 
-      // Check name similarity if emails don't match
-      if (!emailResult.match) {
-        const nameSim = nameSimilarity(canonical.name, candidate.name);
-        if (nameSim > 0.8) {
-          // High name similarity - check if same domain
-          if (emailDomain(canonical.email) === emailDomain(candidate.email)) {
-            confidence = nameSim * 0.9;
-            reason = 'similar-name-same-domain';
-          } else {
-            confidence = nameSim * 0.7;
-            reason = 'similar-name';
+  const root = formatIdentity(canonical);
+  const scores = new Map([[root, { confidence: 1 }]]);
+  const queue = [root];
+  while (queue.length > 0) {
+    const key = queue.shift();
+    for (const { to, link } of adjacency.get(key) || []) {
+      if (scores.has(to)) continue;
+      scores.set(to, {
+        confidence: Math.min(scores.get(key).confidence, link.confidence),
+        evidence: link.evidence,
+        via: key === root ? undefined : key,
+      });
+      queue.push(to);
+    }
+  }
+
+  return identities
+    .filter((identity) => identity !== canonical)
+    .map((identity) => {
+      const alias = { ...identity };
+      delete alias.confidence;
+      delete alias.evidence;
+      delete alias.via;
+
+      const score = scores.get(formatIdentity(identity));
+      if (score) {
+        alias.confidence = score.confidence;
+        alias.evidence = score.evidence;
+        if (score.via) alias.via = score.via;
+      }
+      return alias;
+    });
+}
+
+/**
+ * Add an item to a list-valued map entry
+ * @param {Map<string, number[]>} map - Index
+ * @param {string} key - Key
+ * @param {number} value - Item
+ */
+function addToIndex(map, key, value) {
+  const list = map.get(key);
+  if (list) list.push(value);
+  else map.set(key, [value]);
+}
+
+/**
+ * Largest edit distance that still gives a name similarity above 0.8
+ *
+ * Rounded up (d <= len / 5 rather than d < len / 5) so floating point in the
+ * similarity never rejects a pair the index skipped.
+ *
+ * @param {number} length - Length of the longer name in code points
+ * @returns {number} Maximum edits
+ */
+function maxEdits(length) {
+  return Math.floor(length / 5);
+}
+
+/**
+ * Split a name of the given length into maxEdits + 1 segments
+ * @param {number} length - Name length in code points
+ * @returns {Array<[number, number]>} Segment start and length pairs
+ */
+function segmentsOf(length) {
+  if (length === 0) return [];
+
+  const parts = maxEdits(length) + 1;
+  const base = Math.floor(length / parts);
+  const longerFrom = parts - (length % parts);
+  const segments = [];
+  let pos = 0;
+  for (let x = 0; x < parts; x++) {
+    const len = x >= longerFrom ? base + 1 : base;
+    segments.push([pos, len]);
+    pos += len;
+  }
+  return segments;
+}
+
+/**
+ * Prefix-filter join: pair every record with the records sharing at least
+ * one feature from its prefix of rarest features
+ * @param {string[][]} features - Feature set per record
+ * @param {number[]} prefixSizes - Number of rarest features to probe per record
+ * @param {(i: number, j: number) => void} addPair - Pair callback
+ */
+function prefixJoin(features, prefixSizes, addPair) {
+  const frequency = new Map();
+  const postings = new Map();
+  features.forEach((list, i) => {
+    for (const feature of list) {
+      frequency.set(feature, (frequency.get(feature) || 0) + 1);
+      addToIndex(postings, feature, i);
+    }
+  });
+
+  const rarestFirst = (x, y) =>
+    frequency.get(x) - frequency.get(y) || (x < y ? -1 : x > y ? 1 : 0);
+
+  features.forEach((list, i) => {
+    const prefix = [...list].sort(rarestFirst).slice(0, prefixSizes[i]);
+    for (const feature of prefix) {
+      for (const j of postings.get(feature)) {
+        if (j !== i) addPair(i, j);
+      }
+    }
+  });
+}
+
+/**
+ * Generate the identity pairs worth scoring
+ *
+ * A pair can only score above zero through an email signal (same email, same
+ * local part, GitHub noreply username), a shared signing key or a name
+ * similarity above 0.8. Those cases are found through indexes instead of
+ * comparing every pair:
+ *
+ * - equal emails, local parts and noreply usernames share an index key;
+ * - identities that signed with the same key share that key;
+ * - equal names share a key, contained names are found by substring lookup;
+ * - names with Jaccard word overlap above 0.5 share one of their rarest words;
+ * - names within 20% Levenshtein distance share an unedited segment
+ *   (pigeonhole index).
+ *
+ * @param {Author[]} identities - Identities to pair up
+ * @param {string[]} names - Normalized name of each identity
+ * @returns {Array<[number, number]>} Index pairs with i < j
+ */
+function blockPairs(identities, names) {
+  const n = identities.length;
+  const seen = new Set();
+  const pairs = [];
+  const addPair = (i, j) => {
+    const [lo, hi] = i < j ? [i, j] : [j, i];
+    const key = lo * n + hi;
+    if (seen.has(key)) return;
+    seen.add(key);
+    pairs.push([lo, hi]);
+  };
+  const addBlock = (members) => {
+    for (let x = 0; x < members.length; x++) {
+      for (let y = x + 1; y < members.length; y++) {
+        addPair(members[x], members[y]);
+      }
+    }
+  };
+
+  // Email signals
+  const byEmail = new Map();
+  const byLocal = new Map();
+  const byUsername = new Map();
+  identities.forEach((identity, i) => {
+    const email = identity.email.toLowerCase();
+    const local = emailLocal(email);
+    addToIndex(byEmail, email, i);
+    addToIndex(byLocal, local, i);
+    const gh = email.match(/^(\d+\+)?([^@]+)@users\.noreply\.github\.com$/);
+    if (gh) addToIndex(byUsername, gh[2], i);
+  });
+  for (const members of byEmail.values()) addBlock(members);
+  for (const [local, members] of byLocal) {
+    if (local.length > 3) addBlock(members);
+  }
+  for (const [username, noreply] of byUsername) {
+    const others = (byLocal.get(username) || []).concat(noreply);
+    for (const i of noreply) {
+      for (const j of others) {
+        if (i !== j) addPair(i, j);
+      }
+    }
+  }
+
+  // Signing keys
+  const byKey = new Map();
+  identities.forEach((identity, i) => {
+    for (const key of identity.signingKeys || []) addToIndex(byKey, key, i);
+  });
+  for (const members of byKey.values()) addBlock(members);
+
+  // Identical names, including names that normalize to nothing
+  const byName = new Map();
+  names.forEach((name, i) => addToIndex(byName, name, i));
+  for (const members of byName.values()) addBlock(members);
+
+  const chars = names.map((name) => [...name]);
+  const codes = chars.map((c) => c.map((ch) => ch.codePointAt(0)));
+  // Substring of a name by code point offsets (plain slice for BMP-only names)
+  const slice = (i, start, length) =>
+    names[i].length === chars[i].length
+      ? names[i].slice(start, start + length)
+      : chars[i].slice(start, start + length).join('');
+
+  // Containment: look up every shorter substring of each name
+  chars.forEach((c, j) => {
+    for (let length = 1; length < c.length; length++) {
+      for (let start = 0; start + length <= c.length; start++) {
+        const members = byName.get(slice(j, start, length));
+        if (!members) continue;
+        for (const i of members) addPair(i, j);
+      }
+    }
+  });
+
+  // Levenshtein: similarity above 0.8 allows d < 0.2 * maxLen edits. Split
+  // the longer name into d + 1 segments; one of them survives unedited and
+  // appears in the shorter name shifted by at most d (pigeonhole principle).
+  const bySegment = new Map();
+  chars.forEach((c, i) => {
+    segmentsOf(c.length).forEach(([pos, len], x) => {
+      const segment = slice(i, pos, len);
+      addToIndex(bySegment, `${c.length}:${x}:${segment}`, i);
+    });
+  });
+  chars.forEach((c, i) => {
+    const length = c.length;
+    const tested = new Set([i]);
+    for (let longer = length; longer - length <= maxEdits(longer); longer++) {
+      const edits = maxEdits(longer);
+      segmentsOf(longer).forEach(([pos, len], x) => {
+        const first = Math.max(0, pos - edits);
+        const last = Math.min(length - len, pos + edits);
+        for (let start = first; start <= last; start++) {
+          const key = `${longer}:${x}:${slice(i, start, len)}`;
+          for (const j of bySegment.get(key) || []) {
+            // Common segments match many names: verify before pairing
+            if (tested.has(j)) continue;
+            tested.add(j);
+            if (withinEdits(codes[i], codes[j], edits)) addPair(i, j);
           }
         }
-      }
+      });
+    }
+  });
+
+  // Word overlap: Jaccard above 0.5 needs more than half of each name's words
+  const words = names.map((name) => [...new Set(name.split(' '))]);
+  const wordPrefix = words.map((w) => w.length - Math.floor(w.length / 2));
+  prefixJoin(words, wordPrefix, addPair);
+
+  return pairs;
+}
 
-      // If email matches but names very different, lower confidence
-      if (emailResult.match) {
-        const nameSim = nameSimilarity(canonical.name, candidate.name);
-        if (nameSim < 0.3) {
-          confidence = emailResult.confidence * 0.6;
-          reason = `${emailResult.reason}-name-mismatch`;
+/**
+ * Generate candidate pairs for scoring without comparing every pair
+ * @param {Author[]} authors - List of author identities
+ * @param {Object} [options] - Normalization options
+ * @param {boolean} [options.transliterate=false] - Transliterate names before comparing
+ * @returns {Array<[number, number]>} Index pairs (into authors) with i < j
+ */
+export function candidatePairs(authors, options = {}) {
+  return blockPairs(
+    authors,
+    authors.map((a) => normalizeName(a.name, options))
+  );
+}
+
+/**
+ * Stable sort key for an identity
+ * @param {Author} author - Author identity
+ * @returns {string} Key
+ */
+function identityKey(author) {
+  return `${author.name}\0${author.email.toLowerCase()}`;
+}
+
+/**
+ * Compare identities by commits descending, then by key for stable ordering
+ * @param {Author} a - First identity
+ * @param {Author} b - Second identity
+ * @returns {number} Sort order
+ */
+function compareIdentities(a, b) {
+  if (b.commits !== a.commits) return b.commits - a.commits;
+  const ka = identityKey(a);
+  const kb = identityKey(b);
+  return ka < kb ? -1 : ka > kb ? 1 : 0;
+}
+
+/**
+ * Find clusters of similar identities
+ *
+ * Candidate pairs come from email and name indexes (see `candidatePairs`);
+ * `exhaustive` scores every pair instead and yields the same clusters. Each
+ * pair scoring at least `minConfidence` becomes an edge of an identity
+ * graph. Edges are merged strongest first (single linkage), so
+ * chains like work email → personal email → noreply collapse into one cluster
+ * and the result does not depend on input order. A merge is refused when it
+ * would join cannot-link identities or grow a cluster beyond
+ * `maxClusterSize`; must-link edges are merged first and ignore the size cap.
+ *
+ * With a roster, identities of one person are linked like must-link ones,
+ * identities of two different people never are, and each person's preferred
+ * identity (added if the history lacks it) is the canonical.
+ *
+ * @param {Author[]} authors - List of author identities
+ * @param {Object} [options] - Matching options
+ * @param {number} [options.minConfidence=0.6] - Minimum confidence to cluster
+ * @param {number} [options.maxClusterSize=20] - Largest cluster single linkage may build
+ * @param {boolean} [options.transliterate=false] - Transliterate Cyrillic and Greek names before comparing
+ * @param {boolean} [options.exhaustive=false] - Score every pair instead of indexed candidates
+ * @param {import('./overrides.js').Overrides} [options.overrides] - Forced/forbidden merges, ignored and pinned identities
+ * @param {import('./roster.js').Roster} [options.roster] - People directory linking emails to people
+ * @returns {IdentityCluster[]} Clusters of similar identities
+ */
+export function findClusters(authors, options = {}) {
+  const {
+    minConfidence = 0.6,
+    maxClusterSize = 20,
+    exhaustive = false,
+    overrides,
+    roster,
+  } = options;
+  const scoreOptions = { transliterate: Boolean(options.transliterate) };
+
+  const sorted = addRosterIdentities(authors, roster)
+    .filter((a) => !isIgnored(a, overrides))
+    .sort(compareIdentities);
+  const people = sorted.map((a) => rosterPerson(a, roster)?.id ?? null);
+
+  const names = sorted.map((a) => normalizeName(a.name, scoreOptions));
+
+  // Pairs worth scoring: every pair, or only those sharing an index key
+  let pairs;
+  if (exhaustive) {
+    pairs = [];
+    for (let i = 0; i < sorted.length; i++) {
+      for (let j = i + 1; j < sorted.length; j++) pairs.push([i, j]);
+    }
+  } else {
+    pairs = blockPairs(sorted, names);
+    const byPerson = new Map();
+    people.forEach((person, i) => {
+      if (person === null) return;
+      if (!byPerson.has(person)) byPerson.set(person, []);
+      byPerson.get(person).push(i);
+    });
+    for (const groupMembers of byPerson.values()) {
+      for (let x = 0; x < groupMembers.length; x++) {
+        for (let y = x + 1; y < groupMembers.length; y++) {
+          pairs.push([groupMembers[x], groupMembers[y]]);
         }
       }
-
-      if (confidence >= minConfidence) {
-        aliases.push(candidate);
-        assigned.add(j);
-        if (!clusterReason) clusterReason = reason;
+    }
+    for (const group of overrides ? overrides.mustLink : []) {
+      const groupMembers = [];
+      sorted.forEach((a, i) => {
+        if (group.some((spec) => identityMatches(spec, a))) groupMembers.push(i);
+      });
+      for (let x = 0; x < groupMembers.length; x++) {
+        for (let y = x + 1; y < groupMembers.length; y++) {
+          pairs.push([groupMembers[x], groupMembers[y]]);
+        }
       }
     }
+  }
 
-    if (aliases.length > 0) {
-      assigned.add(i);
-      clusters.push({
-        canonical,
-        aliases,
-        confidence: Math.min(...aliases.map(() => 0.8)), // Simplified
-        reason: clusterReason,
+  // Build the scored identity graph
+  const edges = [];
+  const scored = new Set();
+  for (const [i, j] of pairs) {
+    if (scored.has(i * sorted.length + j)) continue;
+    scored.add(i * sorted.length + j);
+    if (people[i] !== null && people[j] !== null) {
+      // The roster decides: one person, or two different people
+      if (people[i] === people[j]) {
+        edges.push({
+          i,
+          j,
+          confidence: 1,
+          reason: 'roster',
+          evidence: [{ signal: 'roster' }],
+          forced: true,
+        });
+      }
+      continue;
+    }
+    if (isCannotLink(sorted[i], sorted[j], overrides)) continue;
+
+    if (isMustLink(sorted[i], sorted[j], overrides)) {
+      edges.push({
+        i,
+        j,
+        confidence: 1,
+        reason: 'must-link',
+        evidence: [{ signal: 'must-link' }],
+        forced: true,
       });
+      continue;
+    }
+
+    const { confidence, reason, evidence } = scoreNormalized(
+      sorted[i],
+      sorted[j],
+      names[i],
+      names[j]
+    );
+    if (confidence >= minConfidence) {
+      edges.push({ i, j, confidence, reason, evidence, forced: false });
     }
   }
 
+  // Forced edges first, then strongest first; ties keep identity order
+  edges.sort(
+    (a, b) =>
+      Number(b.forced) - Number(a.forced) ||
+      b.confidence - a.confidence ||
+      a.i - b.i ||
+      a.j - b.j
+  );
+
+  // Agglomerative single-linkage merging with union-find
+  const parent = sorted.map((_, i) => i);
+  const members = sorted.map((_, i) => [i]);
+  const links = sorted.map(() => []);
+  const person = [...people];
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  for (const edge of edges) {
+    const ri = find(edge.i);
+    const rj = find(edge.j);
+    if (ri === rj) continue;
+
+    if (
+      !edge.forced &&
+      members[ri].length + members[rj].length > maxClusterSize
+    ) {
+      continue;
+    }
+
+    if (person[ri] !== null && person[rj] !== null && person[ri] !== person[rj]) {
+      continue;
+    }
+
+    const separated =
+      overrides &&
+      overrides.cannotLink.length > 0 &&
+      members[ri].some((a) =>
+        members[rj].some((b) => isCannotLink(sorted[a], sorted[b], overrides))
+      );
+    if (separated) continue;
+
+    // Smaller root joins the larger index root for deterministic roots
+    const [root, child] = ri < rj ? [ri, rj] : [rj, ri];
+    parent[child] = root;
+    person[root] = person[root] ?? person[child];
+    members[root] = members[root].concat(members[child]);
+    links[root] = links[root].concat(links[child], edge);
+    members[child] = [];
+    links[child] = [];
+  }
+
+  const clusters = [];
+  for (let root = 0; root < sorted.length; root++) {
+    if (find(root) !== root || members[root].length < 2) continue;
+
+    const identities = members[root]
+      .sort((a, b) => a - b)
+      .map((i) => sorted[i]);
+    const canonical =
+      pinnedCanonical(identities, overrides) ||
+      identities.find((identity) => identity.roster !== undefined) ||
+      identities[0];
+    const used = links[root];
+    const strongest = used.reduce((best, e) =>
+      e.confidence > best.confidence ? e : best
+    );
+    const clusterLinks = used.map((e) => ({
+      source: formatIdentity(sorted[e.i]),
+      target: formatIdentity(sorted[e.j]),
+      confidence: e.confidence,
+      reason: e.reason,
+      evidence: e.evidence,
+    }));
+    const aliases = scoreAliases(canonical, identities, clusterLinks);
+
+    clusters.push({
+      canonical,
+      aliases,
+      confidence: Math.min(...aliases.map((a) => a.confidence)),
+      reason: strongest.reason,
+      links: clusterLinks,
+    });
+  }
+
   // Sort clusters by total commits
+  const totalCommits = (c) =>
+    c.canonical.commits + c.aliases.reduce((sum, al) => sum + al.commits, 0);
   clusters.sort(
     (a, b) =>
-      b.canonical.commits +
-      b.aliases.reduce((sum, al) => sum + al.commits, 0) -
-      (a.canonical.commits + a.aliases.reduce((sum, al) => sum + al.commits, 0))
+      totalCommits(b) - totalCommits(a) ||
+      compareIdentities(a.canonical, b.canonical)
   );
 
   return clusters;
 }
 
+/**
+ * Find signing keys used by clearly different people
+ *
+ * Such a key is shared by a team, a release bot or a CI job rather than held
+ * by one person, so it links no identities; it is worth a look all the same.
+ *
+ * @param {Author[]} authors - List of author identities
+ * @param {Object} [options] - Normalization options
+ * @param {boolean} [options.transliterate=false] - Transliterate names before comparing
+ * @returns {Array<{key: string, identities: Author[]}>} Keys with every identity that used them, sorted by key
+ */
+export function signingKeyConflicts(authors, options = {}) {
+  const byKey = new Map();
+  for (const author of authors) {
+    for (const key of author.signingKeys || []) addToIndex(byKey, key, author);
+  }
+
+  const conflicts = [];
+  for (const [key, identities] of byKey) {
+    const names = identities.map((a) => normalizeName(a.name, options));
+    const conflicting = names.some((nameA, i) =>
+      names
+        .slice(i + 1)
+        .some((nameB) => clearlyDifferent(nameA, nameB, normalizedSimilarity(nameA, nameB)))
+    );
+    if (conflicting) conflicts.push({ key, identities });
+  }
+
+  return conflicts.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+}
+
 /**
  * Analyze repository for identity issues
  * @param {Author[]} authors - List of author identities
+ * @param {Object} [options] - Normalization options
+ * @param {boolean} [options.transliterate=false] - Transliterate names before counting
  * @returns {Object} Analysis summary
  */
-export function analyzeIdentities(authors) {
+export function analyzeIdentities(authors, options = {}) {
   const noreplyCount = authors.filter((a) => isNoReply(a.email)).length;
-  const uniqueNames = new Set(authors.map((a) => normalizeName(a.name))).size;
+  const uniqueNames = new Set(
+    authors.map((a) => normalizeName(a.name, options))
+  ).size;
   const uniqueEmails = new Set(authors.map((a) => a.email.toLowerCase())).size;
   const uniqueDomains = new Set(
     authors.map((a) => emailDomain(a.email))
@@ -280,6 +1004,9 @@ export function analyzeIdentities(authors) {
     noreplyEmails: noreplyCount,
     potentialDuplicates: authors.length - uniqueNames,
     totalCommits: authors.reduce((sum, a) => sum + a.commits, 0),
+    coAuthorCredits: authors.reduce((sum, a) => sum + (a.coAuthored || 0), 0),
+    coAuthorOnly: authors.filter((a) => a.commits === 0 && a.coAuthored > 0).length,
+    mappedByMailmap: authors.reduce((sum, a) => sum + (a.mappedFrom?.length || 0), 0),
   };
 }
 
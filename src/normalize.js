@@ -0,0 +1,182 @@
+/**
+ * Name normalization - Unicode folding, tokenization and transliteration
+ */
+
+// Scripts whose accents are diacritics that people routinely drop
+// ("José" → "Jose"). Marks in other scripts (e.g. Devanagari vowel signs)
+// are part of the letter and are kept.
+const DIACRITIC_BASE = /([\p{Script=Latin}\p{Script=Greek}\p{Script=Cyrillic}])\p{M}+/gu;
+
+// Letters that do not decompose under NFKD but have a common ASCII spelling,
+// plus the case foldings that toLowerCase() does not perform
+const FOLDS = {
+  ß: 'ss',
+  æ: 'ae',
+  œ: 'oe',
+  ø: 'o',
+  ł: 'l',
+  đ: 'd',
+  ð: 'd',
+  þ: 'th',
+  ı: 'i',
+  ħ: 'h',
+  ŀ: 'l',
+  ς: 'σ',
+};
+
+// й, ё, ї and accented Greek vowels lose their marks in foldName() first
+const CYRILLIC = {
+  а: 'a',
+  б: 'b',
+  в: 'v',
+  г: 'g',
+  ґ: 'g',
+  д: 'd',
+  е: 'e',
+  є: 'ye',
+  ж: 'zh',
+  з: 'z',
+  и: 'i',
+  і: 'i',
+  к: 'k',
+  л: 'l',
+  м: 'm',
+  н: 'n',
+  о: 'o',
+  п: 'p',
+  р: 'r',
+  с: 's',
+  т: 't',
+  у: 'u',
+  ф: 'f',
+  х: 'kh',
+  ц: 'ts',
+  ч: 'ch',
+  ш: 'sh',
+  щ: 'shch',
+  ъ: '',
+  ы: 'y',
+  ь: '',
+  э: 'e',
+  ю: 'yu',
+  я: 'ya',
+};
+
+const GREEK = {
+  α: 'a',
+  β: 'v',
+  γ: 'g',
+  δ: 'd',
+  ε: 'e',
+  ζ: 'z',
+  η: 'i',
+  θ: 'th',
+  ι: 'i',
+  κ: 'k',
+  λ: 'l',
+  μ: 'm',
+  ν: 'n',
+  ξ: 'x',
+  ο: 'o',
+  π: 'p',
+  ρ: 'r',
+  σ: 's',
+  τ: 't',
+  υ: 'y',
+  φ: 'f',
+  χ: 'ch',
+  ψ: 'ps',
+  ω: 'o',
+};
+
+// Scripts that get their own token when they touch another script inside a
+// word, e.g. "李Lee" → "李 lee" or "山田さくら" → "山田 さくら"
+const SCRIPTS = [
+  'Latin',
+  'Greek',
+  'Cyrillic',
+  'Armenian',
+  'Hebrew',
+  'Arabic',
+  'Devanagari',
+  'Bengali',
+  'Tamil',
+  'Thai',
+  'Georgian',
+  'Hangul',
+  'Hiragana',
+  'Katakana',
+  'Han',
+].map((script) => ({
+  script,
+  pattern: new RegExp(`\\p{Script=${script}}`, 'u'),
+}));
+
+/**
+ * Determine the script of a single character
+ * @param {string} char - One code point
+ * @returns {string|null} Script name, or null for marks, digits and unlisted scripts
+ */
+function scriptOf(char) {
+  for (const { script, pattern } of SCRIPTS) {
+    if (pattern.test(char)) return script;
+  }
+  return null;
+}
+
+/**
+ * Fold case and diacritics of a name
+ * @param {string} name - Name to fold
+ * @returns {string} Folded name
+ */
+export function foldName(name) {
+  const lower = name
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(DIACRITIC_BASE, '$1');
+  return [...lower.normalize('NFC')].map((c) => FOLDS[c] ?? c).join('');
+}
+
+/**
+ * Transliterate Cyrillic and Greek letters of a folded name to Latin
+ *
+ * Scripts without an alphabetic mapping (Han, Arabic, ...) are left as is.
+ *
+ * @param {string} name - Folded (lowercase) name
+ * @returns {string} Transliterated name
+ */
+export function transliterate(name) {
+  return [...name].map((c) => CYRILLIC[c] ?? GREEK[c] ?? c).join('');
+}
+
+/**
+ * Split a folded name into tokens
+ *
+ * Tokens are runs of letters, marks and digits. A run is split again where
+ * its script changes.
+ *
+ * @param {string} name - Folded name
+ * @returns {string[]} Tokens
+ */
+export function tokenizeName(name) {
+  const tokens = [];
+
+  for (const word of name.split(/[^\p{L}\p{M}\p{N}]+/u)) {
+    let current = '';
+    let currentScript = null;
+
+    for (const char of word) {
+      const script = scriptOf(char);
+      if (script && currentScript && script !== currentScript && current) {
+        tokens.push(current);
+        current = '';
+      }
+      if (script) currentScript = script;
+      current += char;
+    }
+
+    if (current) tokens.push(current);
+  }
+
+  return tokens;
+}
@@ -0,0 +1,179 @@
+/**
+ * Organization mode - one identity set across many repositories, so the same
+ * person gets the same canonical identity everywhere
+ */
+
+import { existsSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
+
+import { scanAuthorsAsync, getExistingMailmap } from './scanner.js';
+import { scanAuthorsCached } from './cache.js';
+import { resolveIdentities } from './resolver.js';
+import { resolveCluster } from './mailmap.js';
+import { mergeTimeline } from './timeline.js';
+import { mergePaths } from './paths.js';
+import { mergeSigningKeys } from './signing.js';
+
+/**
+ * @typedef {Object} Author
+ * @property {string} name - Author name
+ * @property {string} email - Author email
+ * @property {number} commits - Number of commits
+ * @property {number} [coAuthored] - Commits crediting the identity as co-author
+ */
+
+/**
+ * @typedef {Author & {repositories: Object<string, number>}} OrgAuthor
+ */
+
+/**
+ * @typedef {Object} RepositoryScan
+ * @property {string} repository - Repository path
+ * @property {Author[]} authors - Identities found in the repository
+ */
+
+/**
+ * @typedef {import('./mailmap.js').IdentityCluster} IdentityCluster
+ */
+
+/**
+ * List the git repositories directly inside a directory
+ * @param {string} dir - Directory holding repositories
+ * @returns {string[]} Repository paths, sorted
+ */
+export function findRepositories(dir) {
+  let names;
+  try {
+    names = readdirSync(dir, { withFileTypes: true });
+  } catch {
+    throw new Error(`Cannot read directory: ${dir}`);
+  }
+
+  return names
+    .filter((entry) => entry.isDirectory() && existsSync(join(dir, entry.name, '.git')))
+    .map((entry) => join(dir, entry.name))
+    .sort();
+}
+
+/**
+ * Combine the identities of several repositories
+ *
+ * Identities with the same name and email are one identity; their counts are
+ * added up and `repositories` keeps the commits per repository. Touched
+ * paths are prefixed with their repository.
+ *
+ * @param {RepositoryScan[]} scans - Identities per repository
+ * @param {Object} [options] - Options
+ * @param {number} [options.pathLimit] - Distinct paths kept per combined identity (see mergePaths())
+ * @returns {OrgAuthor[]} Combined identities sorted by commit count
+ */
+export function combineRepositories(scans, options = {}) {
+  const { pathLimit } = options;
+  const identities = new Map();
+
+  for (const { repository, authors } of scans) {
+    for (const author of authors) {
+      const key = `${author.name}\0${author.email}`;
+      let identity = identities.get(key);
+      if (!identity) {
+        identity = { name: author.name, email: author.email, commits: 0, repositories: {} };
+        identities.set(key, identity);
+      }
+      identity.commits += author.commits;
+      if (author.coAuthored !== undefined) {
+        identity.coAuthored = (identity.coAuthored || 0) + author.coAuthored;
+      }
+      mergeTimeline(identity, author);
+      mergeSigningKeys(identity, author);
+      if (author.paths) {
+        // The same file name in two repositories is not the same file
+        mergePaths(
+          identity,
+          { paths: author.paths.map((path) => `${repository}/${path}`) },
+          pathLimit
+        );
+      }
+      if (author.mappedFrom) {
+        identity.mappedFrom = [...(identity.mappedFrom || []), ...author.mappedFrom];
+      }
+      identity.repositories[repository] =
+        (identity.repositories[repository] || 0) + author.commits + (author.coAuthored || 0);
+    }
+  }
+
+  return [...identities.values()].sort(
+    (a, b) => b.commits - a.commits || (b.coAuthored || 0) - (a.coAuthored || 0)
+  );
+}
+
+/**
+ * Scan several repositories and combine their identities
+ *
+ * Each repository's own .mailmap is applied to its identities first, so
+ * mappings curated in one repository are not lost.
+ *
+ * @param {string[]} repositories - Repository paths
+ * @param {Object} [options] - Scan options
+ * @param {boolean} [options.includeCommitters=false] - Include committer identities
+ * @param {boolean} [options.coAuthors=false] - Include Co-authored-by trailer identities
+ * @param {number} [options.pathLimit=1000] - Distinct paths kept per identity
+ * @param {boolean} [options.mailmap=true] - Apply each repository's .mailmap
+ * @param {boolean} [options.cache=false] - Reuse counts from the scan cache and update it
+ * @param {string} [options.cacheDir] - Scan cache directory
+ * @param {AbortSignal} [options.signal] - Cancels the scan
+ * @returns {Promise<OrgAuthor[]>} Combined identities sorted by commit count
+ */
+export async function scanRepositories(repositories, options = {}) {
+  const { mailmap = true, cache = false, ...scanOptions } = options;
+  const scan = cache ? scanAuthorsCached : scanAuthorsAsync;
+
+  const scans = [];
+  for (const repository of repositories) {
+    const recorded = await scan(repository, { ...scanOptions, mailmap: false });
+    const existing = mailmap ? getExistingMailmap(repository) : null;
+    const authors = existing
+      ? resolveIdentities(recorded, existing, { pathLimit: scanOptions.pathLimit })
+      : recorded;
+    scans.push({ repository, authors });
+  }
+  return combineRepositories(scans, { pathLimit: scanOptions.pathLimit });
+}
+
+/**
+ * Fix the canonical identity of each cluster across the organization
+ *
+ * The canonical is selected once over all identities of the cluster, so
+ * mailmaps written for single repositories agree on it. The aliases are
+ * rescored against it (see resolveCluster()). Generate mailmaps from these
+ * clusters with `reselect: false`.
+ *
+ * @param {IdentityCluster[]} clusters - Clusters of combined identities
+ * @param {Object} [options] - Selection options
+ * @param {import('./overrides.js').Overrides} [options.overrides] - Pinned canonical identities
+ * @returns {IdentityCluster[]} Clusters with their final canonical
+ */
+export function organizationClusters(clusters, options = {}) {
+  return clusters.map((cluster) => ({
+    ...cluster,
+    ...resolveCluster(cluster, true, options.overrides),
+  }));
+}
+
+/**
+ * Restrict organization clusters to the aliases found in one repository
+ *
+ * The canonical stays the same even when it never committed to that
+ * repository, so every repository maps a person to one identity.
+ *
+ * @param {IdentityCluster[]} clusters - Clusters from organizationClusters()
+ * @param {string} repository - Repository path
+ * @returns {IdentityCluster[]} Clusters with at least one alias in the repository
+ */
+export function repositoryClusters(clusters, repository) {
+  return clusters
+    .map((cluster) => ({
+      ...cluster,
+      aliases: cluster.aliases.filter((alias) => alias.repositories?.[repository] > 0),
+    }))
+    .filter((cluster) => cluster.aliases.length > 0);
+}
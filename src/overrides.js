@@ -0,0 +1,201 @@
+/**
+ * Overrides - checked-in rules that force or forbid merges and pin canonicals
+ *
+ * The overrides file (`.authorsync.json` by default) looks like:
+ *
+ *   {
+ *     "mustLink": [["John Doe <john@company.com>", "jd@personal.dev"]],
+ *     "cannotLink": [["john@company.com", "john@other.org"]],
+ *     "ignore": ["ci-bot@company.com"],
+ *     "canonical": ["John Doe <john@company.com>"]
+ *   }
+ *
+ * Identities are written as `Name <email>`, `<email>` or a bare `email`; the
+ * email-only forms match every name used with that email.
+ */
+
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+import { parseIdentity, identityMatches } from './identity.js';
+
+/**
+ * @typedef {Object} Author
+ * @property {string} name - Author name
+ * @property {string} email - Author email
+ * @property {number} commits - Number of commits
+ */
+
+/**
+ * @typedef {{name: string, email: string}} IdentitySpec
+ */
+
+/**
+ * @typedef {Object} Overrides
+ * @property {IdentitySpec[][]} mustLink - Groups of identities that are always one person
+ * @property {IdentitySpec[][]} cannotLink - Groups of identities that are all different people
+ * @property {IdentitySpec[]} ignore - Identities excluded from clustering
+ * @property {IdentitySpec[]} canonical - Identities that always win canonical selection
+ */
+
+export const OVERRIDES_FILE = '.authorsync.json';
+
+/**
+ * Create an empty overrides object
+ * @returns {Overrides} Overrides with no rules
+ */
+export function emptyOverrides() {
+  return { mustLink: [], cannotLink: [], ignore: [], canonical: [] };
+}
+
+/**
+ * Parse a list of identity strings
+ * @param {*} list - Raw list from the overrides file
+ * @param {string} field - Field name for error messages
+ * @param {string} source - File name for error messages
+ * @returns {IdentitySpec[]} Parsed identities
+ */
+function parseSpecList(list, field, source) {
+  if (!Array.isArray(list)) {
+    throw new Error(`Invalid overrides in ${source}: "${field}" must be an array`);
+  }
+
+  return list.map((spec) => {
+    const identity = typeof spec === 'string' ? parseIdentity(spec) : null;
+    if (!identity) {
+      throw new Error(
+        `Invalid overrides in ${source}: bad identity ${JSON.stringify(spec)} in "${field}"`
+      );
+    }
+    return identity;
+  });
+}
+
+/**
+ * Parse a list of identity groups
+ * @param {*} groups - Raw groups from the overrides file
+ * @param {string} field - Field name for error messages
+ * @param {string} source - File name for error messages
+ * @returns {IdentitySpec[][]} Parsed groups
+ */
+function parseGroups(groups, field, source) {
+  if (!Array.isArray(groups)) {
+    throw new Error(`Invalid overrides in ${source}: "${field}" must be an array`);
+  }
+
+  return groups.map((group) => {
+    const specs = parseSpecList(group, field, source);
+    if (specs.length < 2) {
+      throw new Error(
+        `Invalid overrides in ${source}: each "${field}" group needs at least two identities`
+      );
+    }
+    return specs;
+  });
+}
+
+/**
+ * Validate and normalize raw overrides data
+ * @param {Object} data - Parsed JSON content
+ * @param {string} [source='overrides'] - File name for error messages
+ * @returns {Overrides} Normalized overrides
+ */
+export function parseOverrides(data, source = 'overrides') {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Invalid overrides in ${source}: expected an object`);
+  }
+
+  const { mustLink = [], cannotLink = [], ignore = [], canonical = [] } = data;
+
+  return {
+    mustLink: parseGroups(mustLink, 'mustLink', source),
+    cannotLink: parseGroups(cannotLink, 'cannotLink', source),
+    ignore: parseSpecList(ignore, 'ignore', source),
+    canonical: parseSpecList(canonical, 'canonical', source),
+  };
+}
+
+/**
+ * Load the overrides file of a repository
+ * @param {string} [repoPath='.'] - Path to git repository
+ * @param {string} [filePath] - Explicit overrides file (must exist)
+ * @returns {Overrides} Overrides (empty if the default file does not exist)
+ */
+export function loadOverrides(repoPath = '.', filePath) {
+  const path = filePath || join(repoPath, OVERRIDES_FILE);
+
+  let content;
+  try {
+    content = readFileSync(path, 'utf-8');
+  } catch (err) {
+    if (!filePath && err.code === 'ENOENT') return emptyOverrides();
+    throw new Error(`Cannot read overrides file: ${path}`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (err) {
+    throw new Error(`Invalid overrides in ${path}: ${err.message}`);
+  }
+
+  return parseOverrides(data, path);
+}
+
+/**
+ * Check whether an identity is excluded from clustering
+ * @param {Author} identity - Identity to test
+ * @param {Overrides} [overrides] - Overrides
+ * @returns {boolean} True if ignored
+ */
+export function isIgnored(identity, overrides) {
+  if (!overrides) return false;
+  return overrides.ignore.some((spec) => identityMatches(spec, identity));
+}
+
+/**
+ * Check whether two identities are forced into the same cluster
+ * @param {Author} a - First identity
+ * @param {Author} b - Second identity
+ * @param {Overrides} [overrides] - Overrides
+ * @returns {boolean} True if a must-link group covers both
+ */
+export function isMustLink(a, b, overrides) {
+  if (!overrides) return false;
+  return overrides.mustLink.some(
+    (group) =>
+      group.some((spec) => identityMatches(spec, a)) &&
+      group.some((spec) => identityMatches(spec, b))
+  );
+}
+
+/**
+ * Check whether two identities must never share a cluster
+ * @param {Author} a - First identity
+ * @param {Author} b - Second identity
+ * @param {Overrides} [overrides] - Overrides
+ * @returns {boolean} True if a cannot-link group separates them
+ */
+export function isCannotLink(a, b, overrides) {
+  if (!overrides) return false;
+  return overrides.cannotLink.some((group) => {
+    const ia = group.findIndex((spec) => identityMatches(spec, a));
+    const ib = group.findIndex((spec) => identityMatches(spec, b));
+    return ia !== -1 && ib !== -1 && ia !== ib;
+  });
+}
+
+/**
+ * Find the pinned canonical identity among a cluster's identities
+ * @param {Author[]} identities - Cluster identities
+ * @param {Overrides} [overrides] - Overrides
+ * @returns {Author|null} Pinned identity, first pin wins
+ */
+export function pinnedCanonical(identities, overrides) {
+  if (!overrides) return null;
+  for (const spec of overrides.canonical) {
+    const pinned = identities.find((identity) => identityMatches(spec, identity));
+    if (pinned) return pinned;
+  }
+  return null;
+}
@@ -0,0 +1,95 @@
+/**
+ * Path overlap - which files an identity touched, and whether two identities
+ * work on the same code
+ *
+ * Two similarly named identities that edit the same files are likely one
+ * person; two that never touch the same code are less likely to be. Paths are
+ * collected per identity up to a limit, and commits that touch very many
+ * files (bulk renames, reformatting, vendored code) are left out, so the
+ * sets stay small on big repositories.
+ */
+
+/**
+ * @typedef {Object} Evidence
+ * @property {string} signal - Signal name
+ * @property {number} [value] - Signal strength where it has one
+ */
+
+// Distinct paths kept per identity
+export const PATH_LIMIT = 1000;
+
+// Commits touching more files than this add no paths
+export const BULK_COMMIT_FILES = 100;
+
+// Paths both identities need before their overlap says anything
+export const MIN_PATHS = 3;
+
+const pathSets = new WeakMap();
+
+/**
+ * Get the paths of an identity as a set, built once per paths list
+ *
+ * Sets are cached by the list itself, so a list replaced by mergePaths()
+ * gets a new set.
+ *
+ * @param {{paths: string[]}} identity - Identity with paths
+ * @returns {Set<string>} Paths
+ */
+function pathSet(identity) {
+  let set = pathSets.get(identity.paths);
+  if (!set || set.size !== identity.paths.length) {
+    set = new Set(identity.paths);
+    pathSets.set(identity.paths, set);
+  }
+  return set;
+}
+
+/**
+ * Add the paths of one identity to another, e.g. when merging identities
+ *
+ * The result keeps at most `limit` paths; by default that is never fewer than
+ * either identity had.
+ *
+ * @param {Object} target - Identity to extend (changed in place)
+ * @param {Object} source - Identity whose paths are added
+ * @param {number} [limit] - Maximum number of paths
+ */
+export function mergePaths(target, source, limit) {
+  if (!source.paths) return;
+  const max =
+    limit ?? Math.max(PATH_LIMIT, target.paths?.length || 0, source.paths.length);
+  target.paths = [...new Set([...(target.paths || []), ...source.paths])]
+    .slice(0, max)
+    .sort();
+}
+
+/**
+ * Compare the paths two identities touched
+ *
+ * The overlap is the share of the smaller set found in the larger one, so an
+ * occasional alias of a prolific author still scores high.
+ *
+ * - `path-overlap`: the identities share paths; value is the overlap (0-1)
+ * - `no-path-overlap`: both touched at least MIN_PATHS paths, none shared
+ *
+ * @param {Object} a - First identity
+ * @param {Object} b - Second identity
+ * @returns {Evidence|null} Path signal, or null if either has too few paths
+ */
+export function comparePaths(a, b) {
+  if (!a.paths || !b.paths) return null;
+  if (a.paths.length < MIN_PATHS || b.paths.length < MIN_PATHS) return null;
+
+  const [small, large] = a.paths.length <= b.paths.length ? [a, b] : [b, a];
+  const lookup = pathSet(large);
+  let shared = 0;
+  for (const path of small.paths) {
+    if (lookup.has(path)) shared++;
+  }
+
+  if (shared === 0) return { signal: 'no-path-overlap' };
+  return {
+    signal: 'path-overlap',
+    value: Math.round((shared / small.paths.length) * 100) / 100,
+  };
+}
@@ -0,0 +1,111 @@
+/**
+ * Mailmap preview - contributor list as it is today and as it would be with
+ * a proposed mailmap, in the shape of `git shortlog -sne`
+ */
+
+import { createMailmapResolver } from './resolver.js';
+import { generateStats } from './mailmap.js';
+
+/**
+ * @typedef {Object} Author
+ * @property {string} name - Author name
+ * @property {string} email - Author email
+ * @property {number} commits - Number of commits
+ * @property {number} [coAuthored] - Commits crediting the identity as co-author
+ */
+
+/**
+ * @typedef {Object} PreviewRow
+ * @property {string} name - Name shown with the proposed mailmap
+ * @property {string} email - Email shown with the proposed mailmap
+ * @property {number} commits - Commits with the proposed mailmap
+ * @property {number} [coAuthored] - Co-authored commits with the proposed mailmap
+ * @property {Author[]} from - Rows of today's list that end up in this row
+ * @property {boolean} merged - Several of today's rows become this one
+ * @property {boolean} renamed - A single row of today's list shows a different name or email
+ */
+
+/**
+ * Add an identity's counts to a row
+ * @param {Map<string, Author>} rows - Rows by name and email
+ * @param {{name: string, email: string}} identity - Row identity
+ * @param {Author} author - Identity as recorded
+ * @returns {Author} The row
+ */
+function addToRow(rows, identity, author) {
+  const key = `${identity.name}\0${identity.email}`;
+  let row = rows.get(key);
+  if (!row) {
+    row = { name: identity.name, email: identity.email, commits: 0 };
+    if (author.coAuthored !== undefined) row.coAuthored = 0;
+    rows.set(key, row);
+  }
+  row.commits += author.commits;
+  if (author.coAuthored !== undefined) row.coAuthored += author.coAuthored;
+  return row;
+}
+
+/**
+ * Sort rows like `git shortlog -sn`: most commits first, then by name
+ * @param {Author} a - First row
+ * @param {Author} b - Second row
+ * @returns {number} Sort order
+ */
+function byCommits(a, b) {
+  return (
+    b.commits - a.commits ||
+    (b.coAuthored || 0) - (a.coAuthored || 0) ||
+    a.name.localeCompare(b.name) ||
+    a.email.localeCompare(b.email)
+  );
+}
+
+/**
+ * Compare the contributor list today with the list under a proposed mailmap
+ *
+ * Summary numbers come from generateStats(): every merged row counts as a
+ * cluster whose busiest row of today's list is the canonical.
+ *
+ * @param {Author[]} authors - Identities as recorded in history
+ * @param {Object} mailmaps - Mailmaps to compare
+ * @param {string|null} [mailmaps.current] - Mailmap in effect today
+ * @param {string} mailmaps.proposed - Proposed mailmap
+ * @returns {{before: Author[], after: PreviewRow[], stats: Object}} Preview
+ */
+export function previewMailmap(authors, { current = null, proposed }) {
+  const today = createMailmapResolver(current || []);
+  const next = createMailmapResolver(proposed);
+
+  const before = new Map();
+  const after = new Map();
+  const sources = new Map();
+
+  for (const author of authors) {
+    const beforeRow = addToRow(before, today.resolve(author), author);
+    const afterRow = addToRow(after, next.resolve(author), author);
+    if (!sources.has(afterRow)) sources.set(afterRow, new Set());
+    sources.get(afterRow).add(beforeRow);
+  }
+
+  const rows = [...after.values()].sort(byCommits).map((row) => {
+    const from = [...sources.get(row)].sort(byCommits);
+    const merged = from.length > 1;
+    const renamed =
+      !merged && (from[0].name !== row.name || from[0].email !== row.email);
+    return { ...row, from, merged, renamed };
+  });
+
+  const clusters = rows
+    .filter((row) => row.merged)
+    .map((row) => ({ canonical: row.from[0], aliases: row.from.slice(1) }));
+
+  return {
+    before: [...before.values()].sort(byCommits),
+    after: rows,
+    stats: {
+      ...generateStats(clusters, before.size),
+      authorsBefore: before.size,
+      renamed: rows.filter((row) => row.renamed).length,
+    },
+  };
+}
@@ -0,0 +1,311 @@
+/**
+ * Identity reports - analysis results as a Markdown document or a
+ * self-contained HTML page, to attach to a cleanup PR or wiki page
+ */
+
+import { formatEvidence, resolveCluster } from './mailmap.js';
+import { formatIdentity } from './identity.js';
+import { formatActivePeriod } from './timeline.js';
+
+/**
+ * @typedef {import('./mailmap.js').IdentityCluster} IdentityCluster
+ */
+
+/**
+ * @typedef {Object} ReportData
+ * @property {string} [title] - What the report is about, e.g. the repository name
+ * @property {Object} stats - Numbers from analyzeIdentities() and generateStats()
+ * @property {IdentityCluster[]} clusters - Identity clusters
+ * @property {string} mailmap - Proposed mailmap content
+ * @property {Array<{key: string, identities: Object[]}>} [signingKeyConflicts] - Keys used by different people
+ * @property {import('./overrides.js').Overrides} [overrides] - Pinned canonical identities
+ * @property {string} [date] - When the report was made, shown under the title
+ */
+
+/**
+ * @typedef {Object} ReportRow
+ * @property {string} identity - `Name <email>`
+ * @property {number} commits - Commits
+ * @property {number} [coAuthored] - Co-authored commits
+ * @property {string} active - Active period, empty without a timeline
+ * @property {string} match - Confidence and evidence, empty for the canonical
+ */
+
+export const REPORT_FORMATS = ['markdown', 'html'];
+
+/**
+ * List the repository numbers shown in a report, like the console summary
+ * @param {Object} stats - Report statistics
+ * @returns {Array<[string, string|number]>} Label and value
+ */
+function statRows(stats) {
+  const rows = [
+    ['Total identities', stats.totalIdentities],
+    ['Unique names', stats.uniqueNames],
+    ['Unique emails', stats.uniqueEmails],
+    ['Unique domains', stats.uniqueDomains],
+    ['NoReply emails', stats.noreplyEmails],
+    ['Total commits', stats.totalCommits],
+  ];
+  if (stats.mappedByMailmap > 0) {
+    rows.push(['Already mapped by .mailmap', stats.mappedByMailmap]);
+  }
+  if (stats.coAuthorCredits > 0) {
+    rows.push(['Co-author credits', stats.coAuthorCredits]);
+    rows.push(['Co-author-only identities', stats.coAuthorOnly]);
+  }
+  if (stats.clustersFound !== undefined) {
+    rows.push(
+      ['Clusters found', stats.clustersFound],
+      ['Aliases to consolidate', stats.aliasesConsolidated],
+      ['Authors after cleanup', `${stats.authorsAfter} (${stats.reductionPercent}% reduction)`],
+      ['Commits affected', stats.commitsAffected]
+    );
+  }
+  return rows;
+}
+
+/**
+ * Turn a cluster into table rows, canonical first
+ * @param {IdentityCluster} cluster - Identity cluster
+ * @param {import('./overrides.js').Overrides} [overrides] - Pinned canonical identities
+ * @returns {ReportRow[]} Rows, empty if nothing is left to map
+ */
+function clusterRows(cluster, overrides) {
+  const { canonical, aliases } = resolveCluster(cluster, true, overrides);
+  if (aliases.length === 0) return [];
+
+  const row = (identity, match) => ({
+    identity: formatIdentity(identity),
+    commits: identity.commits,
+    coAuthored: identity.coAuthored,
+    active: formatActivePeriod(identity),
+    match,
+  });
+  return [
+    row(canonical, ''),
+    ...aliases.map((alias) => row(alias, formatEvidence(alias))),
+  ];
+}
+
+/**
+ * Turn clusters into one table each, leaving out clusters with nothing to map
+ * @param {IdentityCluster[]} clusters - Identity clusters
+ * @param {import('./overrides.js').Overrides} [overrides] - Pinned canonical identities
+ * @returns {ReportRow[][]} Rows per cluster
+ */
+function clusterTables(clusters, overrides) {
+  return clusters
+    .map((cluster) => clusterRows(cluster, overrides))
+    .filter((rows) => rows.length > 0);
+}
+
+/**
+ * Escape text for Markdown, including table cells
+ * @param {string} text - Plain text
+ * @returns {string} Markdown
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/[\\`*_[\]<>|#]/g, '\\$&');
+}
+
+/**
+ * Wrap text in a Markdown code block whose fence the text cannot close
+ * @param {string} text - Code
+ * @returns {string} Fenced code block
+ */
+function codeBlock(text) {
+  const runs = (text.match(/`+/g) || []).map((run) => run.length);
+  const longest = Math.max(0, ...runs);
+  const fence = '`'.repeat(Math.max(3, longest + 1));
+  return `${fence}\n${text.replace(/\n$/, '')}\n${fence}`;
+}
+
+/**
+ * Format an analysis as a Markdown report
+ * @param {ReportData} data - Analysis results
+ * @returns {string} Markdown document
+ */
+export function formatMarkdownReport(data) {
+  const {
+    title,
+    stats,
+    clusters,
+    mailmap,
+    signingKeyConflicts = [],
+    overrides,
+    date,
+  } = data;
+  const coAuthors = stats.coAuthorCredits > 0;
+  const lines = [
+    `# Identity report${title ? `: ${escapeMarkdown(title)}` : ''}`,
+    '',
+  ];
+  if (date) lines.push(`Generated by authorsync on ${date}.`, '');
+
+  lines.push('## Summary', '', '| | |', '|---|---:|');
+  for (const [label, value] of statRows(stats)) {
+    lines.push(`| ${label} | ${escapeMarkdown(value)} |`);
+  }
+
+  lines.push('', '## Clusters', '');
+  const tables = clusterTables(clusters, overrides);
+  if (tables.length === 0) lines.push('No duplicate identities found.');
+  for (const rows of tables) {
+    lines.push(`### ${escapeMarkdown(rows[0].identity)}`, '');
+    lines.push(
+      `| Identity | Commits |${coAuthors ? ' Co-authored |' : ''} Active | Match |`,
+      `|---|---:|${coAuthors ? '---:|' : ''}---|---|`
+    );
+    rows.forEach((row, i) => {
+      const identity = escapeMarkdown(row.identity);
+      const cells = [
+        i === 0 ? `**${identity}** (canonical)` : identity,
+        row.commits,
+        ...(coAuthors ? [row.coAuthored || 0] : []),
+        row.active,
+        escapeMarkdown(row.match),
+      ];
+      lines.push(`| ${cells.join(' | ')} |`);
+    });
+    lines.push('');
+  }
+
+  if (signingKeyConflicts.length > 0) {
+    lines.push('## Signing keys used by different people', '');
+    for (const { key, identities } of signingKeyConflicts) {
+      const names = identities.map((identity) => escapeMarkdown(formatIdentity(identity)));
+      lines.push(`- \`${key}\`: ${names.join(', ')}`);
+    }
+    lines.push('');
+  }
+
+  lines.push('## Proposed .mailmap', '', codeBlock(mailmap), '');
+  return lines.join('\n');
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Plain text
+ * @returns {string} HTML
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const STYLE = `
+body {
+  font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif;
+  max-width: 960px; margin: 2em auto; padding: 0 1em; color: #1f2328;
+}
+h1, h2 { border-bottom: 1px solid #d1d9e0; padding-bottom: .3em; }
+h3 { margin-top: 1.5em; }
+table { border-collapse: collapse; margin: 1em 0; }
+th, td { border: 1px solid #d1d9e0; padding: 4px 10px; text-align: left; }
+td.number { text-align: right; }
+tr.canonical td:first-child { font-weight: 600; }
+pre { background: #f6f8fa; padding: 1em; overflow: auto; }
+.muted { color: #59636e; }
+`;
+
+/**
+ * Format an analysis as a self-contained HTML page (no scripts or external files)
+ * @param {ReportData} data - Analysis results
+ * @returns {string} HTML document
+ */
+export function formatHtmlReport(data) {
+  const {
+    title,
+    stats,
+    clusters,
+    mailmap,
+    signingKeyConflicts = [],
+    overrides,
+    date,
+  } = data;
+  const coAuthors = stats.coAuthorCredits > 0;
+  const heading = `Identity report${title ? `: ${title}` : ''}`;
+  const lines = [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(heading)}</title>`,
+    `<style>${STYLE}</style>`,
+    '</head>',
+    '<body>',
+    `<h1>${escapeHtml(heading)}</h1>`,
+  ];
+  if (date) {
+    lines.push(`<p class="muted">Generated by authorsync on ${escapeHtml(date)}.</p>`);
+  }
+
+  lines.push('<h2>Summary</h2>', '<table>');
+  for (const [label, value] of statRows(stats)) {
+    lines.push(
+      `<tr><th>${escapeHtml(label)}</th><td class="number">${escapeHtml(value)}</td></tr>`
+    );
+  }
+  lines.push('</table>');
+
+  lines.push('<h2>Clusters</h2>');
+  const tables = clusterTables(clusters, overrides);
+  if (tables.length === 0) lines.push('<p>No duplicate identities found.</p>');
+  for (const rows of tables) {
+    lines.push(
+      `<h3>${escapeHtml(rows[0].identity)}</h3>`,
+      '<table>',
+      '<tr><th>Identity</th><th>Commits</th>' +
+        (coAuthors ? '<th>Co-authored</th>' : '') +
+        '<th>Active</th><th>Match</th></tr>'
+    );
+    rows.forEach((row, i) => {
+      const canonical = i === 0 ? ' <span class="muted">(canonical)</span>' : '';
+      const cells = [
+        `<td>${escapeHtml(row.identity)}${canonical}</td>`,
+        `<td class="number">${row.commits}</td>`,
+        ...(coAuthors ? [`<td class="number">${row.coAuthored || 0}</td>`] : []),
+        `<td>${escapeHtml(row.active)}</td>`,
+        `<td>${escapeHtml(row.match)}</td>`,
+      ];
+      lines.push(`<tr${i === 0 ? ' class="canonical"' : ''}>${cells.join('')}</tr>`);
+    });
+    lines.push('</table>');
+  }
+
+  if (signingKeyConflicts.length > 0) {
+    lines.push('<h2>Signing keys used by different people</h2>', '<ul>');
+    for (const { key, identities } of signingKeyConflicts) {
+      const names = identities.map((identity) => escapeHtml(formatIdentity(identity)));
+      lines.push(`<li><code>${escapeHtml(key)}</code>: ${names.join(', ')}</li>`);
+    }
+    lines.push('</ul>');
+  }
+
+  lines.push(
+    '<h2>Proposed .mailmap</h2>',
+    `<pre>${escapeHtml(mailmap)}</pre>`,
+    '</body>',
+    '</html>',
+    ''
+  );
+  return lines.join('\n');
+}
+
+/**
+ * Format an analysis as a report
+ * @param {ReportData} data - Analysis results
+ * @param {'markdown'|'html'} format - Report format
+ * @returns {string} Report
+ */
+export function formatReport(data, format) {
+  if (format === 'markdown') return formatMarkdownReport(data);
+  if (format === 'html') return formatHtmlReport(data);
+  throw new Error(
+    `Unknown report format: ${format} (expected ${REPORT_FORMATS.join(' or ')})`
+  );
+}
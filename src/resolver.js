@@ -0,0 +1,139 @@
+/**
+ * Mailmap resolver - applies a mailmap to identities in-process, following
+ * the lookup rules git uses for `%aN`/`%aE` and `git shortlog`
+ *
+ * An identity is looked up by email (case-insensitive). An entry that also
+ * names the commit name (case-insensitive) wins over one that applies to any
+ * name. When several entries apply to the same identity, later entries
+ * override the fields they set, so `Name <email>` followed by
+ * `<proper@email> <email>` changes both name and email.
+ */
+
+import { parseMailmapEntries } from './mailmap-file.js';
+import { mergeTimeline } from './timeline.js';
+import { mergePaths } from './paths.js';
+import { mergeSigningKeys } from './signing.js';
+
+/**
+ * @typedef {Object} Author
+ * @property {string} name - Author name
+ * @property {string} email - Author email
+ * @property {number} commits - Number of commits
+ * @property {number} [coAuthored] - Commits crediting the identity as co-author
+ */
+
+/**
+ * @typedef {import('./mailmap-file.js').MailmapEntry} MailmapEntry
+ */
+
+/**
+ * @typedef {Object} MailmapMapping
+ * @property {string|null} properName - Name to show (null to keep)
+ * @property {string|null} properEmail - Email to show (null to keep)
+ * @property {MailmapEntry[]} entries - Entries that contributed, in file order
+ */
+
+/**
+ * @typedef {Author & {mappedFrom?: Author[]}} ResolvedAuthor
+ */
+
+/**
+ * Build a resolver for a mailmap
+ * @param {string|MailmapEntry[]} mailmap - Mailmap content or parsed entries
+ * @returns {{lookup: (identity: {name: string, email: string}) => MailmapMapping|null, resolve: (identity: {name: string, email: string}) => {name: string, email: string}}} Resolver
+ */
+export function createMailmapResolver(mailmap) {
+  const entries =
+    typeof mailmap === 'string' ? parseMailmapEntries(mailmap).entries : mailmap;
+
+  // email (lower-case) → mapping for any name plus mappings by name
+  const byEmail = new Map();
+  for (const entry of entries) {
+    const email = entry.commitEmail.toLowerCase();
+    let bucket = byEmail.get(email);
+    if (!bucket) {
+      bucket = { any: null, named: new Map() };
+      byEmail.set(email, bucket);
+    }
+
+    let mapping;
+    if (entry.commitName === null) {
+      bucket.any ||= { properName: null, properEmail: null, entries: [] };
+      mapping = bucket.any;
+    } else {
+      const name = entry.commitName.toLowerCase();
+      mapping = bucket.named.get(name);
+      if (!mapping) {
+        mapping = { properName: null, properEmail: null, entries: [] };
+        bucket.named.set(name, mapping);
+      }
+    }
+
+    if (entry.properName !== null) mapping.properName = entry.properName;
+    if (entry.properEmail !== null) mapping.properEmail = entry.properEmail;
+    mapping.entries.push(entry);
+  }
+
+  const lookup = (identity) => {
+    const bucket = byEmail.get(identity.email.toLowerCase());
+    if (!bucket) return null;
+    return bucket.named.get(identity.name.toLowerCase()) || bucket.any;
+  };
+
+  const resolve = (identity) => {
+    const mapping = lookup(identity);
+    if (!mapping) return { name: identity.name, email: identity.email };
+    return {
+      name: mapping.properName ?? identity.name,
+      email: mapping.properEmail ?? identity.email,
+    };
+  };
+
+  return { lookup, resolve };
+}
+
+/**
+ * Apply a mailmap to scanned identities
+ *
+ * Identities that resolve to the same name and email are merged and their
+ * commit counts added up, like `git shortlog -se` does. Merged or renamed
+ * identities list the identities they came from in `mappedFrom`.
+ *
+ * @param {Author[]} authors - Identities as recorded in history
+ * @param {string|MailmapEntry[]} mailmap - Mailmap content or parsed entries
+ * @param {Object} [options] - Options
+ * @param {number} [options.pathLimit] - Distinct paths kept per merged identity (see mergePaths())
+ * @returns {ResolvedAuthor[]} Effective identities sorted by commit count
+ */
+export function resolveIdentities(authors, mailmap, options = {}) {
+  const { pathLimit } = options;
+  const { resolve } = createMailmapResolver(mailmap);
+  const resolved = new Map();
+
+  for (const author of authors) {
+    const { name, email } = resolve(author);
+    const key = `${name}\0${email}`;
+    let identity = resolved.get(key);
+    if (!identity) {
+      identity = { ...author, name, email, commits: 0 };
+      if (author.coAuthored !== undefined) identity.coAuthored = 0;
+      resolved.set(key, identity);
+    } else {
+      mergeTimeline(identity, author);
+      mergePaths(identity, author, pathLimit);
+      mergeSigningKeys(identity, author);
+    }
+
+    identity.commits += author.commits;
+    if (author.coAuthored !== undefined) {
+      identity.coAuthored = (identity.coAuthored || 0) + author.coAuthored;
+    }
+    if (name !== author.name || email !== author.email) {
+      identity.mappedFrom = [...(identity.mappedFrom || []), author];
+    }
+  }
+
+  return [...resolved.values()].sort(
+    (a, b) => b.commits - a.commits || (b.coAuthored || 0) - (a.coAuthored || 0)
+  );
+}
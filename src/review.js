@@ -0,0 +1,306 @@
+/**
+ * Cluster review - interactive accept/reject of proposed identity clusters
+ * and persistence of the reviewer's decisions
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+
+import { formatIdentity, formatCommitCounts } from './identity.js';
+import { scoreAliases } from './matcher.js';
+import { formatEvidence } from './mailmap.js';
+
+/**
+ * @typedef {Object} Author
+ * @property {string} name - Author name
+ * @property {string} email - Author email
+ * @property {number} commits - Number of commits
+ */
+
+/**
+ * @typedef {Object} IdentityCluster
+ * @property {Author} canonical - The canonical identity
+ * @property {Author[]} aliases - Other identities
+ * @property {number} confidence - Confidence score
+ * @property {string} reason - Clustering reason
+ */
+
+/**
+ * @typedef {Object} ReviewDecision
+ * @property {string[]} identities - Sorted identities of the reviewed cluster
+ * @property {'accepted'|'rejected'} status - Reviewer verdict
+ * @property {string} [canonical] - Canonical identity chosen by the reviewer
+ * @property {string[]} [excluded] - Aliases split off from the cluster
+ */
+
+/**
+ * @typedef {Object} DecisionRecord
+ * @property {number} version - File format version
+ * @property {ReviewDecision[]} decisions - Recorded decisions
+ */
+
+export const DECISIONS_FILE = '.authorsync-decisions.json';
+
+/**
+ * List the identities of a cluster in a stable order
+ * @param {IdentityCluster} cluster - Identity cluster
+ * @returns {string[]} Sorted `Name <email>` strings
+ */
+export function clusterIdentities(cluster) {
+  return [cluster.canonical, ...cluster.aliases].map(formatIdentity).sort();
+}
+
+/**
+ * Load a decision record from disk
+ * @param {string} filePath - Path to the decisions file
+ * @returns {DecisionRecord} Decision record (empty if the file does not exist)
+ */
+export function loadDecisions(filePath) {
+  let content;
+  try {
+    content = readFileSync(filePath, 'utf-8');
+  } catch {
+    return { version: 1, decisions: [] };
+  }
+
+  const record = JSON.parse(content);
+  if (!Array.isArray(record.decisions)) {
+    throw new Error(`Invalid decisions file: ${filePath}`);
+  }
+  return record;
+}
+
+/**
+ * Write a decision record to disk
+ * @param {string} filePath - Path to the decisions file
+ * @param {DecisionRecord} record - Decision record
+ */
+export function saveDecisions(filePath, record) {
+  writeFileSync(filePath, JSON.stringify(record, null, 2) + '\n');
+}
+
+/**
+ * Add decisions to a record, replacing earlier decisions for the same cluster
+ * @param {DecisionRecord} record - Existing record
+ * @param {ReviewDecision[]} decisions - New decisions
+ * @returns {DecisionRecord} Updated record
+ */
+export function recordDecisions(record, decisions) {
+  const byCluster = new Map(
+    record.decisions.map((d) => [d.identities.join('\n'), d])
+  );
+  for (const decision of decisions) {
+    byCluster.set(decision.identities.join('\n'), decision);
+  }
+  return { version: 1, decisions: [...byCluster.values()] };
+}
+
+/**
+ * Copy an identity without the score it had as an alias
+ * @param {Author} identity - Identity
+ * @returns {Author} Copy without confidence, evidence and via
+ */
+function unscored(identity) {
+  const copy = { ...identity };
+  delete copy.confidence;
+  delete copy.evidence;
+  delete copy.via;
+  return copy;
+}
+
+/**
+ * Score the aliases of a cluster against a chosen canonical
+ *
+ * Scores describe the match with the proposed canonical, so without the
+ * cluster's links to rescore them they are dropped.
+ *
+ * @param {IdentityCluster} cluster - Proposed cluster
+ * @param {Author} canonical - Chosen canonical
+ * @param {Author[]} members - Identities to keep, including the canonical
+ * @returns {Author[]} Aliases
+ */
+function rescoreAliases(cluster, canonical, members) {
+  if (canonical === cluster.canonical) return members.filter((a) => a !== canonical);
+  if (cluster.links) return scoreAliases(canonical, members, cluster.links);
+  return members.filter((a) => a !== canonical).map(unscored);
+}
+
+/**
+ * Build the cluster a decision describes
+ * @param {IdentityCluster} cluster - Proposed cluster
+ * @param {ReviewDecision} decision - Accepted decision
+ * @returns {IdentityCluster|null} Reviewed cluster or null if nothing is left to map
+ */
+function reviewedCluster(cluster, decision) {
+  const excluded = new Set(decision.excluded || []);
+  const members = [cluster.canonical, ...cluster.aliases].filter(
+    (a) => !excluded.has(formatIdentity(a))
+  );
+
+  const chosen =
+    members.find((a) => formatIdentity(a) === decision.canonical) ||
+    cluster.canonical;
+  if (!members.includes(chosen)) return null;
+
+  const aliases = rescoreAliases(cluster, chosen, members);
+  if (aliases.length === 0) return null;
+
+  return { ...cluster, canonical: unscored(chosen), aliases, reviewed: true };
+}
+
+/**
+ * Apply recorded decisions to freshly computed clusters
+ *
+ * Clusters are matched to decisions by their exact identity set, so a cluster
+ * that gained or lost members since the last review is asked about again.
+ *
+ * @param {IdentityCluster[]} clusters - Proposed clusters
+ * @param {DecisionRecord} record - Decision record
+ * @returns {{accepted: IdentityCluster[], rejected: IdentityCluster[], pending: IdentityCluster[]}} Clusters grouped by review state
+ */
+export function applyDecisions(clusters, record) {
+  const byCluster = new Map(
+    record.decisions.map((d) => [d.identities.join('\n'), d])
+  );
+  const accepted = [];
+  const rejected = [];
+  const pending = [];
+
+  for (const cluster of clusters) {
+    const decision = byCluster.get(clusterIdentities(cluster).join('\n'));
+    if (!decision) {
+      pending.push(cluster);
+    } else if (decision.status === 'rejected') {
+      rejected.push(cluster);
+    } else {
+      const reviewed = reviewedCluster(cluster, decision);
+      if (reviewed) accepted.push(reviewed);
+    }
+  }
+
+  return { accepted, rejected, pending };
+}
+
+/**
+ * Parse a list of 1-based identity numbers like "2,3" or "2 3"
+ * @param {string} text - User input
+ * @param {number} count - Number of identities shown
+ * @returns {number[]|null} Zero-based indexes or null if invalid
+ */
+function parseSelection(text, count) {
+  const parts = text.split(/[\s,]+/).filter(Boolean);
+  if (parts.length === 0) return null;
+
+  const indexes = parts.map((p) => Number.parseInt(p, 10) - 1);
+  if (indexes.some((i) => !Number.isInteger(i) || i < 0 || i >= count)) {
+    return null;
+  }
+  return indexes;
+}
+
+/**
+ * Walk through clusters and ask the reviewer what to do with each one
+ *
+ * Commands: `a` accept, `r` reject, `s <n,...>` split aliases off,
+ * `c <n>` choose the canonical, `k` skip (ask again next time), `q` quit.
+ *
+ * @param {IdentityCluster[]} clusters - Clusters to review
+ * @param {Object} io - Interaction callbacks
+ * @param {(question: string) => Promise<string>} io.ask - Prompt for one line of input
+ * @param {(text: string) => void} io.print - Print a line of output
+ * @returns {Promise<{decisions: ReviewDecision[], quit: boolean}>} Decisions taken
+ */
+export async function reviewClusters(clusters, { ask, print }) {
+  const decisions = [];
+
+  for (let i = 0; i < clusters.length; i++) {
+    const cluster = clusters[i];
+    const identities = clusterIdentities(cluster);
+    const members = [cluster.canonical, ...cluster.aliases];
+    const excluded = new Set();
+    let canonical = cluster.canonical;
+
+    print('');
+    print(
+      `[${i + 1}/${clusters.length}] ${cluster.reason} (${Math.round(cluster.confidence * 100)}% confidence)`
+    );
+
+    let decision = null;
+    while (!decision) {
+      // Evidence is shown against the canonical currently chosen
+      const aliases = rescoreAliases(cluster, canonical, members);
+      members.forEach((member, n) => {
+        const marker =
+          member === canonical ? '*' : excluded.has(member) ? '-' : ' ';
+        const scored = aliases.find((a) => formatIdentity(a) === formatIdentity(member));
+        const evidence = scored ? formatEvidence(scored) : '';
+        print(
+          `  ${marker} ${n + 1}) ${formatIdentity(member)} (${formatCommitCounts(member)})` +
+            (evidence ? ` [${evidence}]` : '')
+        );
+      });
+
+      const answer = (
+        await ask('[a]ccept [r]eject [s]plit <n> [c]anonical <n> s[k]ip [q]uit > ')
+      ).trim();
+      const [command] = answer.split(/\s+/);
+      const argument = answer.slice(command.length);
+
+      switch (command.toLowerCase()) {
+        case 'a':
+        case 'accept': {
+          decision = {
+            identities,
+            status: 'accepted',
+            canonical: formatIdentity(canonical),
+          };
+          if (excluded.size > 0) {
+            decision.excluded = [...excluded].map(formatIdentity).sort();
+          }
+          break;
+        }
+        case 'r':
+        case 'reject':
+          decision = { identities, status: 'rejected' };
+          break;
+        case 's':
+        case 'split': {
+          const selection = parseSelection(argument, members.length);
+          if (!selection || selection.some((n) => members[n] === canonical)) {
+            print('  Pick alias numbers to split off, e.g. `s 2,3`');
+            break;
+          }
+          for (const n of selection) excluded.add(members[n]);
+          if (excluded.size === members.length - 1) {
+            print('  No aliases left - rejecting cluster');
+            decision = { identities, status: 'rejected' };
+          }
+          break;
+        }
+        case 'c':
+        case 'canonical': {
+          const selection = parseSelection(argument, members.length);
+          if (!selection || selection.length !== 1) {
+            print('  Pick one identity number, e.g. `c 2`');
+            break;
+          }
+          canonical = members[selection[0]];
+          excluded.delete(canonical);
+          break;
+        }
+        case 'k':
+        case 'skip':
+          decision = { skipped: true };
+          break;
+        case 'q':
+        case 'quit':
+          return { decisions, quit: true };
+        default:
+          print('  Unknown choice');
+      }
+    }
+
+    if (!decision.skipped) decisions.push(decision);
+  }
+
+  return { decisions, quit: false };
+}
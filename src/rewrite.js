@@ -0,0 +1,241 @@
+/**
+ * Rewrite plans - turn clusters into a mailmap for `git filter-repo
+ * --mailmap`, count the commits a rewrite would change and write a helper
+ * script that runs it with safety checks
+ *
+ * Nothing here rewrites history; the generated script does, when run.
+ */
+
+import { execFileSync } from 'node:child_process';
+import { resolve } from 'node:path';
+
+import { mergeMailmap } from './mailmap.js';
+import { parseMailmapEntries, formatMailmapEntry } from './mailmap-file.js';
+import { createMailmapResolver } from './resolver.js';
+
+/**
+ * @typedef {import('./scanner.js').Author} Author
+ * @typedef {import('./mailmap.js').IdentityCluster} IdentityCluster
+ */
+
+/**
+ * @typedef {Object} RewriteChange
+ * @property {{name: string, email: string}} from - Identity as recorded
+ * @property {{name: string, email: string}} to - Identity after the rewrite
+ * @property {number} authored - Commits that get a new author
+ * @property {number} committed - Commits that get a new committer
+ */
+
+/**
+ * @typedef {Object} RewritePlan
+ * @property {RewriteChange[]} changes - Identities that change, most commits first
+ * @property {number} authored - Commits that get a new author
+ * @property {number} committed - Commits that get a new committer
+ */
+
+/**
+ * Point every entry at the end of its chain
+ *
+ * `git filter-repo --mailmap` applies one mapping per identity, like git. An
+ * entry whose target is mapped again is changed to map straight to the last
+ * identity of the chain.
+ *
+ * @param {import('./mailmap-file.js').MailmapEntry[]} entries - Entries (changed in place)
+ */
+function resolveChains(entries) {
+  const { resolve: resolveIdentity } = createMailmapResolver(entries);
+  const key = (identity) => `${identity.name}\0${identity.email.toLowerCase()}`;
+
+  const finals = entries.map((entry) => {
+    let current = {
+      name: entry.properName ?? entry.commitName ?? '',
+      email: entry.properEmail ?? entry.commitEmail,
+    };
+    const seen = new Set([key(current)]);
+    for (;;) {
+      const next = resolveIdentity(current);
+      if (seen.has(key(next))) return current;
+      seen.add(key(next));
+      current = next;
+    }
+  });
+
+  entries.forEach((entry, i) => {
+    const final = finals[i];
+    if (final.email !== (entry.properEmail ?? entry.commitEmail)) {
+      entry.properEmail = final.email;
+    }
+    if (final.name && final.name !== (entry.properName ?? entry.commitName)) {
+      entry.properName = final.name;
+    }
+  });
+}
+
+/**
+ * Build the mailmap a rewrite applies
+ *
+ * The existing mailmap's entries come first, so mappings curated there are
+ * rewritten too. Reviewed clusters keep the canonical chosen in review;
+ * clusters not reviewed yet get one selected now. Chains are resolved to
+ * their last identity (see resolveChains()), so planRewrite() counts what
+ * the rewrite will do. Comments are left out.
+ *
+ * @param {string|null} existing - Existing mailmap content
+ * @param {Object} clusters - Clusters to rewrite
+ * @param {IdentityCluster[]} [clusters.reviewed=[]] - Clusters accepted in review
+ * @param {IdentityCluster[]} [clusters.unreviewed=[]] - Clusters nobody reviewed yet
+ * @param {Object} [options] - Options
+ * @param {import('./overrides.js').Overrides} [options.overrides] - Pinned canonical identities
+ * @returns {string} Mailmap content, one entry per line
+ */
+export function rewriteMailmap(existing, clusters, options = {}) {
+  const { reviewed = [], unreviewed = [] } = clusters;
+  const { overrides } = options;
+
+  const withReviewed =
+    mergeMailmap(existing, reviewed, { comments: false, reselect: false }).content ||
+    existing ||
+    '';
+  const content =
+    mergeMailmap(withReviewed, unreviewed, { comments: false, overrides }).content ||
+    withReviewed;
+
+  const { entries } = parseMailmapEntries(content);
+  resolveChains(entries);
+  const lines = entries.map((entry) =>
+    formatMailmapEntry({ ...entry, trailingComment: null })
+  );
+  return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
+
+/**
+ * Count the commits a rewrite with a mailmap would change
+ *
+ * `git filter-repo --mailmap` rewrites authors and committers, so both are
+ * counted. The mailmap is applied with git's lookup rules.
+ *
+ * @param {Author[]} authors - Author identities as recorded (mailmap off)
+ * @param {Author[]} identities - Author and committer identities as recorded (scanned with `includeCommitters`)
+ * @param {string} mailmap - Mailmap the rewrite applies
+ * @returns {RewritePlan} Identities that change and commit totals
+ */
+export function planRewrite(authors, identities, mailmap) {
+  const { resolve: resolveIdentity } = createMailmapResolver(mailmap);
+  const key = (identity) => `${identity.name}\0${identity.email}`;
+  const authored = new Map(authors.map((a) => [key(a), a.commits]));
+
+  const changes = [];
+  for (const identity of identities) {
+    const to = resolveIdentity(identity);
+    if (to.name === identity.name && to.email === identity.email) continue;
+
+    const asAuthor = authored.get(key(identity)) || 0;
+    changes.push({
+      from: { name: identity.name, email: identity.email },
+      to,
+      authored: asAuthor,
+      committed: identity.commits - asAuthor,
+    });
+  }
+
+  changes.sort(
+    (a, b) =>
+      b.authored + b.committed - (a.authored + a.committed) ||
+      a.from.name.localeCompare(b.from.name) ||
+      a.from.email.localeCompare(b.from.email)
+  );
+  return {
+    changes,
+    authored: changes.reduce((sum, c) => sum + c.authored, 0),
+    committed: changes.reduce((sum, c) => sum + c.committed, 0),
+  };
+}
+
+/**
+ * Quote a string for a POSIX shell
+ * @param {string} text - Text
+ * @returns {string} Single-quoted string
+ */
+function shellQuote(text) {
+  return `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Write the shell script that runs a rewrite plan
+ *
+ * The script refuses to run when git filter-repo is missing, the working
+ * tree has uncommitted or untracked changes, or HEAD moved since the plan
+ * was made (the counts would be stale). On a terminal it asks before
+ * rewriting. Extra arguments go to git filter-repo, e.g. `--force`.
+ *
+ * @param {Object} plan - Script settings
+ * @param {string} plan.repository - Repository path
+ * @param {string} plan.mailmap - Path of the rewrite mailmap
+ * @param {string} plan.head - Commit the plan was made at
+ * @returns {string} POSIX shell script
+ */
+export function formatRewriteScript({ repository, mailmap, head }) {
+  return `#!/bin/sh
+# Rewrite author and committer identities with git filter-repo.
+# Generated by authorsync rewrite-plan: review the mailmap before running.
+# Arguments are passed on to git filter-repo.
+set -eu
+
+repository=${shellQuote(resolve(repository))}
+mailmap=${shellQuote(resolve(mailmap))}
+planned=${shellQuote(head)}
+
+cd "$repository"
+
+if ! git filter-repo --version >/dev/null 2>&1; then
+  echo 'git filter-repo is not installed: https://github.com/newren/git-filter-repo' >&2
+  exit 1
+fi
+
+if [ -n "$(git status --porcelain)" ]; then
+  echo 'Refusing to rewrite: the working tree has uncommitted or untracked changes.' >&2
+  exit 1
+fi
+
+if [ "$(git rev-parse HEAD)" != "$planned" ]; then
+  echo 'Refusing to rewrite: HEAD moved since the plan was made. Run authorsync rewrite-plan again.' >&2
+  exit 1
+fi
+
+if [ -t 0 ]; then
+  printf 'Rewrite the history of %s? This cannot be undone. [y/N] ' "$repository"
+  read -r answer
+  case "$answer" in
+    y | Y | yes) ;;
+    *) echo 'Cancelled.'; exit 1 ;;
+  esac
+fi
+
+git filter-repo --mailmap "$mailmap" "$@"
+`;
+}
+
+/**
+ * Find where a repository's rewrite plan goes by default
+ * @param {string} repoPath - Path to git repository
+ * @returns {{head: string, dir: string}} Current HEAD and `authorsync/rewrite` in the git directory
+ */
+export function rewriteTarget(repoPath) {
+  const git = (args) =>
+    execFileSync('git', args, {
+      cwd: repoPath,
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+    }).trim();
+  try {
+    return {
+      head: git(['rev-parse', '--verify', 'HEAD^{commit}']),
+      dir: resolve(git(['rev-parse', '--absolute-git-dir']), 'authorsync', 'rewrite'),
+    };
+  } catch (err) {
+    if (String(err.stderr).includes('not a git repository')) {
+      throw new Error(`Not a git repository: ${repoPath}`);
+    }
+    throw new Error(`No commits to rewrite in ${repoPath}`);
+  }
+}
@@ -0,0 +1,275 @@
+/**
+ * Roster - an external people directory (HR or SSO export) that says which
+ * emails belong to which person
+ *
+ * A roster lists each person once with an id, their full name and every email
+ * they are known by, the preferred one first. As CSV:
+ *
+ *   id,name,emails
+ *   1042,Jane Roe,jane@company.com;jane.roe@gmail.com
+ *
+ * or as JSON: `[{"id": "1042", "name": "Jane Roe", "emails": [...]}]`.
+ *
+ * Identities whose email is on the roster belong to that person outright: the
+ * matcher links them without scoring, never links two people on the roster,
+ * and makes the roster's name and preferred email the canonical identity.
+ */
+
+import { readFileSync } from 'node:fs';
+import { extname } from 'node:path';
+
+/**
+ * @typedef {import('./matcher.js').Author} Author
+ */
+
+/**
+ * @typedef {Object} RosterPerson
+ * @property {string} id - Person id from the directory
+ * @property {string} name - Full name
+ * @property {string} email - Preferred email (the first one listed)
+ * @property {string[]} emails - Every known email
+ */
+
+/**
+ * @typedef {Object} Roster
+ * @property {RosterPerson[]} people - People in the directory
+ */
+
+const indexes = new WeakMap();
+
+/**
+ * Split CSV content into rows of fields (RFC 4180 quoting)
+ * @param {string} content - CSV content
+ * @returns {Array<{line: number, fields: string[]}>} Non-empty rows with their 1-based line
+ */
+function parseCsv(content) {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+
+  const endRow = () => {
+    fields.push(field);
+    if (fields.some((f) => f.trim())) rows.push({ line: start, fields });
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (char === '\n') line++;
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n') {
+      endRow();
+      start = line;
+    } else if (char !== '\r') {
+      field += char;
+    }
+  }
+  endRow();
+  return rows;
+}
+
+/**
+ * Turn CSV rows into raw person records, using the header to find columns
+ * @param {string} content - CSV content
+ * @param {string} source - File name for error messages
+ * @returns {Array<{line: number, id: *, name: *, emails: *}>} Records
+ */
+function csvRecords(content, source) {
+  const [header, ...rows] = parseCsv(content.replace(/^\uFEFF/, ''));
+  if (!header) return [];
+
+  const columns = header.fields.map((f) => f.trim().toLowerCase());
+  const column = (...names) => columns.findIndex((c) => names.includes(c));
+  const id = column('id');
+  const name = column('name');
+  const emails = column('emails', 'email');
+  if (id === -1 || name === -1 || emails === -1) {
+    throw new Error(
+      `Invalid roster in ${source}: the header needs "id", "name" and "emails" columns`
+    );
+  }
+
+  return rows.map(({ line, fields }) => ({
+    line,
+    id: fields[id],
+    name: fields[name],
+    emails: fields[emails],
+  }));
+}
+
+/**
+ * Parse a roster
+ *
+ * Emails may be given as a list or as one string separated by `;`, `,` or
+ * whitespace. An email may belong to one person only.
+ *
+ * @param {string} content - File content
+ * @param {'csv'|'json'} format - File format
+ * @param {string} [source='roster'] - File name for error messages
+ * @returns {Roster} Roster
+ */
+export function parseRoster(content, format, source = 'roster') {
+  let records;
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (err) {
+      throw new Error(`Invalid roster in ${source}: ${err.message}`);
+    }
+    const list = Array.isArray(data) ? data : data?.people;
+    if (!Array.isArray(list)) {
+      throw new Error(
+        `Invalid roster in ${source}: expected an array of people or {"people": [...]}`
+      );
+    }
+    records = list.map((person, i) => ({ entry: i + 1, ...person }));
+  } else if (format === 'csv') {
+    records = csvRecords(content, source);
+  } else {
+    throw new Error(`Unknown roster format: ${format} (expected csv or json)`);
+  }
+
+  const owners = new Map();
+  const ids = new Set();
+  const people = records.map((record) => {
+    const where = record.line ? `line ${record.line}` : `entry ${record.entry}`;
+    const fail = (message) => {
+      throw new Error(`Invalid roster in ${source}: ${where}: ${message}`);
+    };
+
+    const id = ['string', 'number'].includes(typeof record.id) ? String(record.id).trim() : '';
+    if (!id) fail('missing id');
+    if (ids.has(id)) fail(`person ${id} is listed twice`);
+    ids.add(id);
+    const name = typeof record.name === 'string' ? record.name.trim() : '';
+    if (!name) fail('missing name');
+
+    const list =
+      typeof record.emails === 'string' ? record.emails.split(/[\s;,]+/) : record.emails;
+    if (!Array.isArray(list) || list.some((email) => typeof email !== 'string')) {
+      fail('emails must be a list or a string');
+    }
+    // Keep the first spelling of each email, in order
+    const byAddress = new Map();
+    for (const email of list.map((e) => e.trim()).filter(Boolean)) {
+      if (!byAddress.has(email.toLowerCase())) byAddress.set(email.toLowerCase(), email);
+    }
+    const emails = [...byAddress.values()];
+    if (emails.length === 0) fail('no emails');
+
+    for (const email of emails) {
+      if (!/^[^\s@<>]+@[^\s@<>]+$/.test(email)) fail(`bad email ${JSON.stringify(email)}`);
+      const owner = owners.get(email.toLowerCase());
+      if (owner) fail(`${email} is already listed for person ${owner}`);
+      owners.set(email.toLowerCase(), id);
+    }
+
+    return { id, name, email: emails[0], emails };
+  });
+
+  return { people };
+}
+
+/**
+ * Load a roster file; `.json` files are read as JSON, others as CSV
+ * @param {string} filePath - Roster file
+ * @returns {Roster} Roster
+ */
+export function loadRoster(filePath) {
+  let content;
+  try {
+    content = readFileSync(filePath, 'utf-8');
+  } catch {
+    throw new Error(`Cannot read roster file: ${filePath}`);
+  }
+  const format = extname(filePath).toLowerCase() === '.json' ? 'json' : 'csv';
+  return parseRoster(content, format, filePath);
+}
+
+/**
+ * Find the person an identity belongs to
+ * @param {{email: string}} identity - Identity
+ * @param {Roster} [roster] - Roster
+ * @returns {RosterPerson|null} Person whose emails include the identity's, or null
+ */
+export function rosterPerson(identity, roster) {
+  if (!roster) return null;
+  let index = indexes.get(roster);
+  if (!index) {
+    index = new Map();
+    for (const person of roster.people) {
+      for (const email of person.emails) index.set(email.toLowerCase(), person);
+    }
+    indexes.set(roster, index);
+  }
+  return index.get(identity.email.toLowerCase()) || null;
+}
+
+/**
+ * Mark each roster person's preferred identity, adding it if the history
+ * lacks it, for the people who have at least one identity in the history
+ *
+ * The preferred identity carries the person's `roster` id, which makes it the
+ * canonical. An added one has no commits and `fromRoster: true`.
+ *
+ * @param {Author[]} authors - List of author identities
+ * @param {Roster} [roster] - Roster
+ * @returns {Author[]} Identities, with added ones at the end
+ */
+export function addRosterIdentities(authors, roster) {
+  if (!roster) return authors;
+
+  const present = new Set();
+  const found = new Set();
+  const identities = authors.map((author) => {
+    const person = rosterPerson(author, roster);
+    if (!person) return author;
+    found.add(person);
+    const preferred =
+      author.name === person.name && author.email.toLowerCase() === person.email.toLowerCase();
+    if (!preferred) return author;
+    present.add(person);
+    return { ...author, roster: person.id };
+  });
+
+  for (const person of roster.people) {
+    if (found.has(person) && !present.has(person)) {
+      identities.push({
+        name: person.name,
+        email: person.email,
+        commits: 0,
+        roster: person.id,
+        fromRoster: true,
+      });
+    }
+  }
+  return identities;
+}
+
+/**
+ * List the identities the roster does not cover, for triage
+ * @param {Author[]} authors - List of author identities
+ * @param {Roster} roster - Roster
+ * @returns {Author[]} Identities whose email is on no one's list
+ */
+export function unmatchedIdentities(authors, roster) {
+  return authors.filter((author) => !rosterPerson(author, roster));
+}
@@ -2,36 +2,326 @@
  * Git log scanner - extracts author identities from repository history
  */
 
-import { execSync } from 'node:child_process';
+import { execFileSync, spawn } from 'node:child_process';
 import { readFileSync } from 'node:fs';
+import { devNull } from 'node:os';
 import { join } from 'node:path';
 
+import { parseIdentity } from './identity.js';
+import { commitMonth } from './timeline.js';
+import { PATH_LIMIT, BULK_COMMIT_FILES } from './paths.js';
+import { parseMailmapEntries } from './mailmap-file.js';
+
 /**
  * @typedef {Object} Author
  * @property {string} name - Author name
  * @property {string} email - Author email
  * @property {number} commits - Number of commits
+ * @property {number} [coAuthored] - Commits crediting the identity in a Co-authored-by trailer (only when scanning co-authors)
+ * @property {number} [firstCommit] - Time of the first commit in Unix seconds (only when scanning timelines)
+ * @property {number} [lastCommit] - Time of the last commit in Unix seconds (only when scanning timelines)
+ * @property {string[]} [activeMonths] - Months with commits, `YYYY-MM` in UTC (only when scanning timelines)
+ * @property {string[]} [paths] - Files the identity changed, sorted (only when scanning paths)
+ * @property {string[]} [signingKeys] - GPG key IDs and SSH key fingerprints the identity signed with, sorted (only when scanning signing keys)
+ */
+
+/**
+ * @typedef {Object} ScanIssue
+ * @property {'empty-name'|'empty-email'|'malformed'} kind - What is wrong
+ * @property {string} commit - Commit hash (empty if the record is unreadable)
+ * @property {'author'|'committer'|'co-author'} [role] - Which identity of the commit
+ * @property {string} [name] - Name as recorded
+ * @property {string} [email] - Email as recorded
+ * @property {string} [record] - Raw log record or trailer value for malformed entries
+ */
+
+// Fields are separated by US (0x1f), co-author trailers by RS (0x1e) and
+// commits by NUL (-z); none of them can appear in a name or email that git
+// accepts
+const FIELD_SEPARATOR = '\x1f';
+const TRAILER_SEPARATOR = '\x1e';
+const RECORD_SEPARATOR = '\0';
+
+// With --name-only, file names follow each commit as NUL-terminated records;
+// commit records start with SOH to tell them apart
+const COMMIT_MARK = '\x01';
+
+/**
+ * Build the git log arguments for an author scan
+ * @param {Object} options - Scan options
+ * @param {boolean} options.includeCommitters - Include committer identities too
+ * @param {boolean} options.coAuthors - Include Co-authored-by trailers
+ * @param {boolean} options.mailmap - Show identities as mapped by .mailmap
+ * @param {boolean} [options.timeline=false] - Include author (and committer) times
+ * @param {boolean} [options.paths=false] - List the files each commit changed
+ * @param {boolean} [options.signingKeys=false] - Include the committer and the signing key
+ * @param {string[]} [options.revisions=[]] - Revisions to walk (default: HEAD)
+ * @returns {string[]} Arguments for git
  */
+function logArgs(options) {
+  const {
+    includeCommitters,
+    coAuthors,
+    mailmap,
+    timeline = false,
+    paths = false,
+    signingKeys = false,
+    revisions = [],
+  } = options;
+
+  // Upper-case placeholders apply the mailmap, lower-case ones do not
+  const fields = mailmap ? ['%H', '%aN', '%aE'] : ['%H', '%an', '%ae'];
+  if (includeCommitters || signingKeys) {
+    fields.push(...(mailmap ? ['%cN', '%cE'] : ['%cn', '%ce']));
+  }
+  if (timeline) fields.push(...(includeCommitters ? ['%at', '%ct'] : ['%at']));
+  // %GK is the GPG key ID or SSH fingerprint, known even without the public key
+  if (signingKeys) fields.push('%GK');
+  if (coAuthors) {
+    fields.push('%(trailers:key=Co-authored-by,valueonly,separator=%x1e)');
+  }
+  const format = `--format=${paths ? '%x01' : ''}${fields.join('%x1f')}`;
+  const log = paths
+    ? ['log', '-z', format, '--name-only', '--no-renames']
+    : ['log', '-z', format];
+  // git only reports SSH signatures with an allowed signers file; an empty
+  // one yields the key without trusting it
+  const args = signingKeys
+    ? ['-c', `gpg.ssh.allowedSignersFile=${devNull}`, ...log]
+    : log;
+  return revisions.length > 0 ? [...args, ...revisions, '--'] : args;
+}
+
+/**
+ * Create an accumulator for identities read from git log records
+ * @param {Object} options - Scan options
+ * @param {boolean} options.includeCommitters - Records carry committer fields
+ * @param {boolean} options.coAuthors - Records carry Co-authored-by trailers
+ * @param {boolean} [options.timeline=false] - Records carry commit times
+ * @param {boolean} [options.paths=false] - Commit records are followed by file names
+ * @param {number} [options.pathLimit=PATH_LIMIT] - Distinct paths kept per identity
+ * @param {boolean} [options.signingKeys=false] - Records carry the committer and signing key
+ * @param {(issue: ScanIssue) => void} [options.onIssue] - Called for every unusable identity
+ * @returns {{add: (record: string) => boolean, commits: () => number, authors: () => Author[]}} Accumulator; add() returns true for commit records
+ */
+function createTally(options) {
+  const {
+    includeCommitters,
+    coAuthors,
+    timeline = false,
+    paths = false,
+    pathLimit = PATH_LIMIT,
+    signingKeys = false,
+    onIssue,
+  } = options;
+
+  // Keyed by name and email joined with NUL, which neither can contain
+  const identities = new Map();
+  const months = new Map();
+  const touched = new Map();
+  const keys = new Map();
+  // Identities credited for the current commit and the files it changed
+  let credited = [];
+  let files = [];
+  const timeFields = timeline ? (includeCommitters ? 2 : 1) : 0;
+  const timeIndex = 3 + (includeCommitters || signingKeys ? 2 : 0);
+  const keyIndex = timeIndex + timeFields;
+  const fieldCount = keyIndex + (signingKeys ? 1 : 0) + (coAuthors ? 1 : 0);
+  let commits = 0;
+
+  const track = (key, identity, time) => {
+    if (identity.firstCommit === undefined || time < identity.firstCommit) {
+      identity.firstCommit = time;
+    }
+    if (identity.lastCommit === undefined || time > identity.lastCommit) {
+      identity.lastCommit = time;
+    }
+    if (!months.has(key)) months.set(key, new Set());
+    months.get(key).add(commitMonth(time));
+  };
+
+  const flushPaths = () => {
+    if (files.length <= BULK_COMMIT_FILES) {
+      for (const key of credited) {
+        if (!touched.has(key)) touched.set(key, new Set());
+        const set = touched.get(key);
+        for (const file of files) {
+          if (set.size >= pathLimit) break;
+          set.add(file);
+        }
+      }
+    }
+    credited = [];
+    files = [];
+  };
+
+  const count = (commit, role, name, email, time) => {
+    if (!name || !email) {
+      onIssue?.({
+        kind: name ? 'empty-email' : 'empty-name',
+        commit,
+        role,
+        name,
+        email,
+      });
+      return;
+    }
+
+    const key = `${name}\0${email}`;
+    let identity = identities.get(key);
+    if (!identity) {
+      identity = coAuthors
+        ? { name, email, commits: 0, coAuthored: 0 }
+        : { name, email, commits: 0 };
+      identities.set(key, identity);
+    }
+    if (role === 'co-author') {
+      identity.coAuthored++;
+    } else {
+      identity.commits++;
+    }
+    if (timeline) track(key, identity, time);
+    // Files are credited to whoever wrote the change, not the committer
+    if (paths && role !== 'committer') credited.push(key);
+  };
+
+  // The committer made the signature: credit it to authors who committed
+  // their own change, and to other committers only when they are counted
+  const creditKey = (authorName, authorEmail, committerName, committerEmail, key) => {
+    const sameIdentity = authorName === committerName && authorEmail === committerEmail;
+    if (!sameIdentity && !includeCommitters) return;
+    // Identities with an empty name or email were not counted
+    const signer = `${committerName}\0${committerEmail}`;
+    if (!identities.has(signer)) return;
+    if (!keys.has(signer)) keys.set(signer, new Set());
+    keys.get(signer).add(key);
+  };
+
+  const countCoAuthors = (commit, author, trailers, time) => {
+    const seen = new Set([`${author.name}\0${author.email}`]);
+    for (const value of trailers.split(TRAILER_SEPARATOR)) {
+      if (!value.trim()) continue;
+
+      const identity = parseIdentity(value);
+      if (!identity) {
+        onIssue?.({ kind: 'malformed', commit, role: 'co-author', record: value });
+        continue;
+      }
+
+      // Credit each person once per commit, and not for their own commit
+      const key = `${identity.name}\0${identity.email}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      count(commit, 'co-author', identity.name, identity.email, time);
+    }
+  };
+
+  return {
+    add(record) {
+      // git separates records with NUL but may also end them with a newline
+      let text = record.replace(/^\n|\n$/g, '');
+      if (!text) return false;
+
+      if (paths) {
+        if (!text.startsWith(COMMIT_MARK)) {
+          files.push(text);
+          return false;
+        }
+        flushPaths();
+        text = text.slice(COMMIT_MARK.length);
+      }
+
+      const fields = text.split(FIELD_SEPARATOR);
+      commits++;
+      if (fields.length !== fieldCount || !/^[0-9a-f]+$/.test(fields[0])) {
+        onIssue?.({
+          kind: 'malformed',
+          commit: /^[0-9a-f]+$/.test(fields[0]) ? fields[0] : '',
+          record: text,
+        });
+        return true;
+      }
+
+      const [commit, authorName, authorEmail] = fields;
+      const authorTime = timeline ? Number(fields[timeIndex]) : undefined;
+      count(commit, 'author', authorName, authorEmail, authorTime);
+      if (includeCommitters) {
+        const committerTime = timeline ? Number(fields[timeIndex + 1]) : undefined;
+        count(commit, 'committer', fields[3], fields[4], committerTime);
+      }
+      if (signingKeys && fields[keyIndex]) {
+        creditKey(authorName, authorEmail, fields[3], fields[4], fields[keyIndex]);
+      }
+      if (coAuthors) {
+        const author = { name: authorName, email: authorEmail };
+        countCoAuthors(commit, author, fields[fieldCount - 1], authorTime);
+      }
+      return true;
+    },
+    commits: () => commits,
+    authors() {
+      for (const [key, set] of months) {
+        identities.get(key).activeMonths = [...set].sort();
+      }
+      if (paths) {
+        flushPaths();
+        for (const [key, identity] of identities) {
+          identity.paths = [...(touched.get(key) || [])].sort();
+        }
+      }
+      if (signingKeys) {
+        for (const [key, identity] of identities) {
+          identity.signingKeys = [...(keys.get(key) || [])].sort();
+        }
+      }
+      // Sort by commit count descending, then by co-authored commits
+      return [...identities.values()].sort(
+        (a, b) => b.commits - a.commits || (b.coAuthored || 0) - (a.coAuthored || 0)
+      );
+    },
+  };
+}
 
 /**
  * Scan git log for all unique author identities
  * @param {string} [repoPath='.'] - Path to git repository
  * @param {Object} [options] - Scan options
  * @param {boolean} [options.includeCommitters=false] - Include committer identities too
+ * @param {boolean} [options.coAuthors=false] - Count Co-authored-by trailer identities in `coAuthored`
+ * @param {boolean} [options.mailmap=true] - Apply the repository's .mailmap (false for identities as recorded)
+ * @param {boolean} [options.timeline=false] - Record first and last commit times and active months
+ * @param {boolean} [options.paths=false] - Record the files each identity changed
+ * @param {number} [options.pathLimit=1000] - Distinct paths kept per identity
+ * @param {boolean} [options.signingKeys=false] - Record the keys each identity signed commits with (slower: git checks every signature)
+ * @param {(issue: ScanIssue) => void} [options.onIssue] - Called for identities with an empty name or email and unreadable records, which are left out
  * @returns {Author[]} Array of unique author identities with commit counts
  */
 export function scanAuthors(repoPath = '.', options = {}) {
-  const { includeCommitters = false } = options;
-
-  // Get all author name/email combinations with counts
-  const format = includeCommitters ? '%aN|%aE%n%cN|%cE' : '%aN|%aE';
+  const {
+    includeCommitters = false,
+    coAuthors = false,
+    mailmap = true,
+    timeline = false,
+    paths = false,
+    pathLimit,
+    signingKeys = false,
+    onIssue,
+  } = options;
 
+  const args = logArgs({
+    includeCommitters,
+    coAuthors,
+    mailmap,
+    timeline,
+    paths,
+    signingKeys,
+  });
   let output;
   try {
-    output = execSync(`git log --format="${format}"`, {
+    output = execFileSync('git', args, {
       cwd: repoPath,
       encoding: 'utf-8',
-      maxBuffer: 50 * 1024 * 1024, // 50MB for large repos
+      maxBuffer: 50 * 1024 * 1024, // 50MB; use scanAuthorsAsync() for larger histories
       stdio: ['pipe', 'pipe', 'pipe'],
     });
   } catch (err) {
@@ -44,27 +334,127 @@ export function scanAuthors(repoPath = '.', options = {}) {
     throw err;
   }
 
-  const lines = output.trim().split('\n').filter(Boolean);
-  const counts = new Map();
+  const tally = createTally({
+    includeCommitters,
+    coAuthors,
+    timeline,
+    paths,
+    pathLimit,
+    signingKeys,
+    onIssue,
+  });
+  for (const record of output.split(RECORD_SEPARATOR)) {
+    tally.add(record);
+  }
 
-  for (const line of lines) {
-    const [name, email] = line.split('|');
-    if (!name || !email) continue;
+  return tally.authors();
+}
 
-    const key = `${name}|${email}`;
-    counts.set(key, (counts.get(key) || 0) + 1);
-  }
+/**
+ * Scan git log for all unique author identities without buffering the log
+ *
+ * git runs as a child process and its output is aggregated commit by commit,
+ * so memory use depends on the number of identities, not the size of history.
+ *
+ * @param {string} [repoPath='.'] - Path to git repository
+ * @param {Object} [options] - Scan options
+ * @param {boolean} [options.includeCommitters=false] - Include committer identities too
+ * @param {boolean} [options.coAuthors=false] - Count Co-authored-by trailer identities in `coAuthored`
+ * @param {boolean} [options.mailmap=true] - Apply the repository's .mailmap (false for identities as recorded)
+ * @param {boolean} [options.timeline=false] - Record first and last commit times and active months
+ * @param {boolean} [options.paths=false] - Record the files each identity changed
+ * @param {number} [options.pathLimit=1000] - Distinct paths kept per identity
+ * @param {boolean} [options.signingKeys=false] - Record the keys each identity signed commits with (slower: git checks every signature)
+ * @param {(issue: ScanIssue) => void} [options.onIssue] - Called for identities with an empty name or email and unreadable records, which are left out
+ * @param {(commits: number) => void} [options.onProgress] - Called with the number of commits processed so far
+ * @param {number} [options.progressInterval=1000] - Commits between progress calls
+ * @param {AbortSignal} [options.signal] - Stops git and rejects with an AbortError when aborted
+ * @param {string[]} [options.revisions] - Revisions to walk, e.g. `['main', '^v1.0']` (default: HEAD)
+ * @returns {Promise<Author[]>} Array of unique author identities with commit counts
+ */
+export async function scanAuthorsAsync(repoPath = '.', options = {}) {
+  const {
+    includeCommitters = false,
+    coAuthors = false,
+    mailmap = true,
+    timeline = false,
+    paths = false,
+    pathLimit,
+    signingKeys = false,
+    onIssue,
+    onProgress,
+    progressInterval = 1000,
+    signal,
+    revisions,
+  } = options;
+  signal?.throwIfAborted();
+
+  const args = logArgs({
+    includeCommitters,
+    coAuthors,
+    mailmap,
+    timeline,
+    paths,
+    signingKeys,
+    revisions,
+  });
+  const child = spawn('git', args, {
+    cwd: repoPath,
+    stdio: ['ignore', 'pipe', 'pipe'],
+    signal,
+  });
 
-  const authors = [];
-  for (const [key, commits] of counts) {
-    const [name, email] = key.split('|');
-    authors.push({ name, email, commits });
+  let stderr = '';
+  child.stderr.setEncoding('utf-8');
+  child.stderr.on('data', (chunk) => {
+    stderr += chunk;
+  });
+
+  const exited = new Promise((resolve, reject) => {
+    child.on('error', reject);
+    child.on('close', resolve);
+  });
+  // Failures are reported once reading stops, see below
+  exited.catch(() => {});
+
+  const tally = createTally({
+    includeCommitters,
+    coAuthors,
+    timeline,
+    paths,
+    pathLimit,
+    signingKeys,
+    onIssue,
+  });
+  let pending = '';
+
+  child.stdout.setEncoding('utf-8');
+  for await (const chunk of child.stdout) {
+    const records = (pending + chunk).split(RECORD_SEPARATOR);
+    pending = records.pop();
+    for (const record of records) {
+      const commit = tally.add(record);
+      if (commit && onProgress && tally.commits() % progressInterval === 0) {
+        onProgress(tally.commits());
+      }
+    }
   }
+  tally.add(pending);
 
-  // Sort by commit count descending
-  authors.sort((a, b) => b.commits - a.commits);
+  // Rejects with an AbortError when the scan was cancelled
+  const code = await exited;
+  if (code !== 0) {
+    if (stderr.includes('not a git repository')) {
+      throw new Error(`Not a git repository: ${repoPath}`);
+    }
+    if (stderr.includes('does not have any commits')) {
+      return [];
+    }
+    throw new Error(`git log failed: ${stderr.trim() || `exit code ${code}`}`);
+  }
 
-  return authors;
+  onProgress?.(tally.commits());
+  return tally.authors();
 }
 
 /**
@@ -81,41 +471,31 @@ export function getExistingMailmap(repoPath = '.') {
 }
 
 /**
- * Parse existing .mailmap file
+ * Parse existing .mailmap file into a lookup map
+ *
+ * Keys are `name|email` with the email lower-cased, since git matches emails
+ * case-insensitively; the name is empty for entries that apply to any name.
+ * Use parseMailmapFile() for a model that keeps comments and line numbers.
+ *
  * @param {string} content - Mailmap file content
  * @returns {Map<string, {name: string, email: string}>} Map of old identity to canonical
  */
 export function parseMailmap(content) {
   const mappings = new Map();
-  const lines = content.split('\n');
-
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (!trimmed || trimmed.startsWith('#')) continue;
-
-    // Format: Canonical Name <canonical@email> Old Name <old@email>
-    // Or: Canonical Name <canonical@email> <old@email>
-    // Or: Canonical Name <old@email>
-    const match = trimmed.match(
-      /^([^<]+)?<([^>]+)>(?:\s+([^<]+)?<([^>]+)>)?$/
-    );
-
-    if (match) {
-      const [, canonicalName, canonicalEmail, oldName, oldEmail] = match;
-      const canonical = {
-        name: (canonicalName || '').trim(),
-        email: canonicalEmail.trim(),
-      };
-
-      if (oldEmail) {
-        // Full mapping: Canonical <canonical> Old <old>
-        const key = `${(oldName || '').trim()}|${oldEmail.trim()}`;
-        mappings.set(key, canonical);
-      } else if (canonicalName) {
-        // Name mapping only: Name <email>
-        const key = `|${canonicalEmail.trim()}`;
-        mappings.set(key, canonical);
-      }
+
+  for (const entry of parseMailmapEntries(content).entries) {
+    if (entry.properEmail === null) {
+      // Name mapping only: Name <email>
+      mappings.set(`|${entry.commitEmail.toLowerCase()}`, {
+        name: entry.properName,
+        email: entry.commitEmail,
+      });
+    } else {
+      // Full mapping: Canonical <canonical> [Old] <old>
+      mappings.set(`${entry.commitName || ''}|${entry.commitEmail.toLowerCase()}`, {
+        name: entry.properName || '',
+        email: entry.properEmail,
+      });
     }
   }
 
@@ -0,0 +1,55 @@
+/**
+ * Signing keys - the keys an identity signed its commits with, and whether
+ * two identities share one
+ *
+ * A GPG or SSH signing key is normally held by one person, so two identities
+ * that signed with the same key are almost certainly that person. A key used
+ * by a team, a release bot or a CI job is the exception; the matcher flags a
+ * key shared by clearly different names instead of merging them.
+ */
+
+const keySets = new WeakMap();
+
+/**
+ * Get the signing keys of an identity as a set, built once per key list
+ *
+ * Sets are cached by the list itself, so a list replaced by
+ * mergeSigningKeys() gets a new set.
+ *
+ * @param {{signingKeys: string[]}} identity - Identity with signing keys
+ * @returns {Set<string>} Signing keys
+ */
+function keySet(identity) {
+  let set = keySets.get(identity.signingKeys);
+  if (!set || set.size !== identity.signingKeys.length) {
+    set = new Set(identity.signingKeys);
+    keySets.set(identity.signingKeys, set);
+  }
+  return set;
+}
+
+/**
+ * Add the signing keys of one identity to another, e.g. when merging identities
+ * @param {Object} target - Identity to extend (changed in place)
+ * @param {Object} source - Identity whose signing keys are added
+ */
+export function mergeSigningKeys(target, source) {
+  if (!source.signingKeys) return;
+  target.signingKeys = [
+    ...new Set([...(target.signingKeys || []), ...source.signingKeys]),
+  ].sort();
+}
+
+/**
+ * Find the signing keys two identities both used
+ * @param {Object} a - First identity
+ * @param {Object} b - Second identity
+ * @returns {string[]} Shared keys, sorted (empty if either has none)
+ */
+export function sharedSigningKeys(a, b) {
+  if (!a.signingKeys?.length || !b.signingKeys?.length) return [];
+  const [small, large] =
+    a.signingKeys.length <= b.signingKeys.length ? [a, b] : [b, a];
+  const lookup = keySet(large);
+  return small.signingKeys.filter((key) => lookup.has(key));
+}
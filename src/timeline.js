@@ -0,0 +1,123 @@
+/**
+ * Activity timelines - when an identity committed, and what the timelines of
+ * two identities say about them being one person
+ *
+ * A person who changes job or laptop often stops committing under one
+ * identity right when a similar one starts (a hand-off). Two identities that
+ * never committed at the same time fit one person too (disjoint), while two
+ * that were active in the same months are more likely two people with
+ * similar names (overlap).
+ */
+
+/**
+ * @typedef {Object} Timeline
+ * @property {number} firstCommit - Time of the first commit (Unix seconds)
+ * @property {number} lastCommit - Time of the last commit (Unix seconds)
+ * @property {string[]} activeMonths - Months with commits (`YYYY-MM`, UTC), sorted
+ */
+
+/**
+ * @typedef {Object} Evidence
+ * @property {string} signal - Signal name
+ * @property {number} [value] - Signal strength where it has one
+ */
+
+const DAY = 24 * 60 * 60;
+
+// One identity starting within this many days after the other stopped
+export const HANDOFF_DAYS = 90;
+
+// Months both identities must have committed in to count as overlapping
+export const OVERLAP_MONTHS = 2;
+
+/**
+ * Month of a commit time
+ * @param {number} time - Unix seconds
+ * @returns {string} `YYYY-MM` in UTC
+ */
+export function commitMonth(time) {
+  return new Date(time * 1000).toISOString().slice(0, 7);
+}
+
+/**
+ * Check whether an identity carries a timeline
+ * @param {Object} identity - Identity
+ * @returns {boolean} True if first and last commit times are known
+ */
+export function hasTimeline(identity) {
+  return identity.firstCommit !== undefined && identity.lastCommit !== undefined;
+}
+
+/**
+ * Add the timeline of one identity to another, e.g. when merging identities
+ * @param {Object} target - Identity to extend (changed in place)
+ * @param {Object} source - Identity whose timeline is added
+ */
+export function mergeTimeline(target, source) {
+  if (!hasTimeline(source)) return;
+  if (!hasTimeline(target)) {
+    target.firstCommit = source.firstCommit;
+    target.lastCommit = source.lastCommit;
+    target.activeMonths = [...source.activeMonths];
+    return;
+  }
+
+  target.firstCommit = Math.min(target.firstCommit, source.firstCommit);
+  target.lastCommit = Math.max(target.lastCommit, source.lastCommit);
+  target.activeMonths = [...new Set([...target.activeMonths, ...source.activeMonths])].sort();
+}
+
+/**
+ * Compare the timelines of two identities
+ *
+ * - `hand-off`: one started at most HANDOFF_DAYS after the other stopped;
+ *   value is the gap in days. Starting at the very moment the other stopped
+ *   counts only if the other was active for a while before.
+ * - `disjoint`: one started longer after the other stopped; value is the gap
+ *   in days
+ * - `overlap`: both committed in at least OVERLAP_MONTHS of the same months;
+ *   value is the number of shared months
+ *
+ * @param {Object} a - First identity
+ * @param {Object} b - Second identity
+ * @returns {Evidence|null} Timeline signal, or null if there is none
+ */
+export function compareTimelines(a, b) {
+  if (!hasTimeline(a) || !hasTimeline(b)) return null;
+
+  const [earlier, later] =
+    a.firstCommit < b.firstCommit ||
+    (a.firstCommit === b.firstCommit && a.lastCommit <= b.lastCommit)
+      ? [a, b]
+      : [b, a];
+  if (earlier.lastCommit <= later.firstCommit) {
+    // Identities active at one moment, e.g. single commits in the same push,
+    // did not hand anything off
+    if (
+      earlier.lastCommit === later.firstCommit &&
+      earlier.firstCommit === earlier.lastCommit
+    ) {
+      return null;
+    }
+    const days = Math.floor((later.firstCommit - earlier.lastCommit) / DAY);
+    return days <= HANDOFF_DAYS
+      ? { signal: 'hand-off', value: days }
+      : { signal: 'disjoint', value: days };
+  }
+
+  const months = new Set(a.activeMonths);
+  const shared = b.activeMonths.filter((month) => months.has(month)).length;
+  return shared >= OVERLAP_MONTHS ? { signal: 'overlap', value: shared } : null;
+}
+
+/**
+ * Describe when an identity was active
+ * @param {Object} identity - Identity
+ * @returns {string} e.g. `2019-03 – 2021-07`, empty without a timeline
+ */
+export function formatActivePeriod(identity) {
+  if (!hasTimeline(identity)) return '';
+  const first = commitMonth(identity.firstCommit);
+  const last = commitMonth(identity.lastCommit);
+  return first === last ? first : `${first} – ${last}`;
+}
@@ -0,0 +1,145 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { execFileSync } from 'node:child_process';
+import { existsSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { scanAuthorsCached, scanCachePath } from '../src/cache.js';
+import { scanAuthorsAsync } from '../src/scanner.js';
+
+const env = {
+  ...process.env,
+  GIT_CONFIG_NOSYSTEM: '1',
+  GIT_COMMITTER_NAME: 'Committer',
+  GIT_COMMITTER_EMAIL: 'committer@example.com',
+};
+
+function git(dir, args) {
+  return execFileSync('git', args, { cwd: dir, env, encoding: 'utf-8' }).trim();
+}
+
+function commit(dir, name, email, message = 'commit') {
+  git(dir, ['commit', '-q', '--allow-empty', '-m', message, `--author=${name} <${email}>`]);
+}
+
+/**
+ * Scan with the cache and count the commits git had to read
+ * @param {string} dir - Repository path
+ * @param {Object} [options] - Scan options
+ */
+async function scan(dir, options = {}) {
+  let scanned = 0;
+  const authors = await scanAuthorsCached(dir, {
+    ...options,
+    onProgress: (commits) => {
+      scanned = commits;
+    },
+  });
+  return { authors, scanned };
+}
+
+describe('scanAuthorsCached', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'authorsync-cache-'));
+    git(dir, ['init', '-q']);
+    commit(dir, 'John Doe', 'john@example.com');
+    commit(dir, 'Jane Roe', 'jane@example.com');
+    commit(dir, 'John Doe', 'john@example.com');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('writes the cache under the git directory', async () => {
+    const { authors, scanned } = await scan(dir);
+    assert.strictEqual(scanned, 3);
+    assert.deepStrictEqual(authors, await scanAuthorsAsync(dir, { mailmap: false }));
+    assert.ok(existsSync(join(dir, '.git', 'authorsync', 'scan-authors.json')));
+  });
+
+  it('reads nothing when HEAD has not moved', async () => {
+    await scan(dir);
+    const { authors, scanned } = await scan(dir);
+    assert.strictEqual(scanned, 0);
+    assert.strictEqual(authors.length, 2);
+  });
+
+  it('scans only the commits added since the last scan', async () => {
+    await scan(dir);
+    commit(dir, 'Jane Roe', 'jane@example.com');
+    commit(dir, 'New Person', 'new@example.com');
+
+    const { authors, scanned } = await scan(dir);
+    assert.strictEqual(scanned, 2);
+    assert.deepStrictEqual(authors, await scanAuthorsAsync(dir, { mailmap: false }));
+  });
+
+  it('scans everything again after history is rewritten', async () => {
+    await scan(dir);
+    git(dir, ['reset', '-q', '--hard', 'HEAD~2']);
+    commit(dir, 'Other Person', 'other@example.com');
+
+    const { authors, scanned } = await scan(dir);
+    assert.strictEqual(scanned, 2);
+    assert.deepStrictEqual(
+      authors.map((a) => [a.email, a.commits]),
+      [
+        ['other@example.com', 1],
+        ['john@example.com', 1],
+      ]
+    );
+  });
+
+  it('ignores a corrupt cache file', async () => {
+    await scan(dir);
+    writeFileSync(scanCachePath(dir), '{not json');
+    const { authors, scanned } = await scan(dir);
+    assert.strictEqual(scanned, 3);
+    assert.strictEqual(authors.length, 2);
+  });
+
+  it('keeps separate caches per scan options', async () => {
+    await scan(dir);
+    const { authors, scanned } = await scan(dir, { includeCommitters: true });
+    assert.strictEqual(scanned, 3);
+    assert.ok(authors.some((a) => a.email === 'committer@example.com'));
+    assert.notStrictEqual(scanCachePath(dir), scanCachePath(dir, { includeCommitters: true }));
+  });
+
+  it('reports issues from cached commits again', async () => {
+    commit(dir, 'No Email', '', 'empty email');
+    const first = [];
+    await scanAuthorsCached(dir, { onIssue: (issue) => first.push(issue) });
+    const second = [];
+    await scanAuthorsCached(dir, { onIssue: (issue) => second.push(issue) });
+    assert.strictEqual(first.length, 1);
+    assert.deepStrictEqual(second, first);
+  });
+
+  it('uses a per-repository subdirectory of a custom cache directory', async () => {
+    const cacheDir = mkdtempSync(join(tmpdir(), 'authorsync-cachedir-'));
+    try {
+      const file = scanCachePath(dir, { cacheDir });
+      assert.ok(file.startsWith(cacheDir));
+      await scan(dir, { cacheDir });
+      assert.ok(existsSync(file));
+      assert.strictEqual((await scan(dir, { cacheDir })).scanned, 0);
+    } finally {
+      rmSync(cacheDir, { recursive: true, force: true });
+    }
+  });
+
+  it('returns no identities for a repository without commits', async () => {
+    const empty = mkdtempSync(join(tmpdir(), 'authorsync-cache-'));
+    try {
+      git(empty, ['init', '-q']);
+      assert.deepStrictEqual(await scanAuthorsCached(empty), []);
+    } finally {
+      rmSync(empty, { recursive: true, force: true });
+    }
+  });
+});
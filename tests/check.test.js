@@ -0,0 +1,132 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+  checkClusters,
+  createBaseline,
+  loadBaseline,
+  saveBaseline,
+} from '../src/check.js';
+import { findClusters } from '../src/matcher.js';
+import { lintMailmap } from '../src/lint.js';
+
+const authors = [
+  { name: 'John Doe', email: 'john@example.com', commits: 100 },
+  { name: 'Jane Roe', email: 'jane@example.com', commits: 40 },
+  { name: 'John Doe', email: 'jd@example.com', commits: 5 },
+  { name: 'jane', email: 'jane@example.com', commits: 2 },
+];
+
+const clusters = findClusters(authors);
+
+describe('checkClusters', () => {
+  it('passes when there are no clusters', () => {
+    const result = checkClusters([]);
+    assert.strictEqual(result.ok, true);
+    assert.deepStrictEqual(result.suggested, []);
+  });
+
+  it('fails on new clusters and suggests mailmap lines', () => {
+    const result = checkClusters(clusters.slice(0, 1));
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.fresh.length, 1);
+    assert.deepStrictEqual(result.suggested, [
+      'John Doe <john@example.com> John Doe <jd@example.com>',
+    ]);
+  });
+
+  it('accepts clusters recorded in the baseline', () => {
+    const [john, jane] = clusters;
+    const baseline = createBaseline([john]);
+    const result = checkClusters([john, jane], { baseline });
+    assert.strictEqual(result.ok, false);
+    assert.deepStrictEqual(result.accepted, [john]);
+    assert.deepStrictEqual(result.fresh, [jane]);
+  });
+
+  it('accepts a cluster that is part of a larger baseline cluster', () => {
+    const baseline = {
+      version: 1,
+      clusters: [
+        ['John Doe <john@example.com>', 'John Doe <jd@example.com>', 'JD <jd@old.example.com>'],
+      ],
+    };
+    assert.strictEqual(checkClusters(clusters.slice(0, 1), { baseline }).ok, true);
+  });
+
+  it('fails when a baseline cluster gains an identity', () => {
+    const baseline = createBaseline(clusters.slice(0, 1));
+    const [grown] = findClusters(authors);
+    grown.aliases.push({ name: 'J. Doe', email: 'doe@example.com', commits: 1 });
+    assert.strictEqual(checkClusters([grown], { baseline }).ok, false);
+  });
+
+  it('accepts clusters rejected in review', () => {
+    const decisions = {
+      version: 1,
+      decisions: [
+        {
+          identities: ['John Doe <jd@example.com>', 'John Doe <john@example.com>'],
+          status: 'rejected',
+        },
+      ],
+    };
+    const result = checkClusters(clusters.slice(0, 1), { decisions });
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.accepted.length, 1);
+  });
+
+  it('does not suggest lines the mailmap already has', () => {
+    const mailmap = 'John Doe <john@example.com> John Doe <jd@example.com>\n';
+    const result = checkClusters(clusters.slice(0, 1), { mailmap });
+    assert.deepStrictEqual(result.suggested, []);
+  });
+
+  it('suggests retargeting curated entries instead of chaining to them', () => {
+    const mailmap = '# moved\nJohn Doe <jd@example.com> JD <jd@old.example.com>\n';
+    const result = checkClusters(clusters.slice(0, 1), { mailmap });
+
+    assert.deepStrictEqual(result.replaced, [
+      { line: 2, text: 'John Doe <john@example.com> JD <jd@old.example.com>' },
+    ]);
+    const lines = mailmap.split('\n');
+    lines[1] = result.replaced[0].text;
+    const fixed = [...lines.filter(Boolean), ...result.suggested].join('\n');
+    assert.deepStrictEqual(lintMailmap(fixed), []);
+  });
+});
+
+describe('loadBaseline', () => {
+  it('returns an empty baseline when the file does not exist', () => {
+    assert.deepStrictEqual(loadBaseline('/nonexistent/baseline.json'), {
+      version: 1,
+      clusters: [],
+    });
+  });
+
+  it('round-trips through saveBaseline', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'authorsync-check-'));
+    try {
+      const file = join(dir, 'baseline.json');
+      const baseline = createBaseline(clusters.slice(0, 1));
+      saveBaseline(file, baseline);
+      assert.deepStrictEqual(loadBaseline(file), baseline);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('rejects a file without clusters', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'authorsync-check-'));
+    try {
+      const file = join(dir, 'baseline.json');
+      writeFileSync(file, '{"version": 1}');
+      assert.throws(() => loadBaseline(file), /Invalid baseline file/);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,186 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import {
+  isBot,
+  listContributors,
+  formatContributor,
+  updateContributors,
+} from '../src/contributors.js';
+import { parseOverrides } from '../src/overrides.js';
+import { commitMonth } from '../src/timeline.js';
+
+const DAY = 24 * 60 * 60;
+const timeline = (first, last) => ({
+  firstCommit: first * DAY,
+  lastCommit: last * DAY,
+  activeMonths: [commitMonth(first * DAY), commitMonth(last * DAY)],
+});
+const authors = [
+  { name: 'John Doe', email: 'john@company.com', commits: 50, ...timeline(100, 900) },
+  { name: 'John D', email: 'john@company.com', commits: 5, ...timeline(20, 90) },
+  { name: 'alice', email: 'alice@example.com', commits: 8, ...timeline(50, 60) },
+  {
+    name: 'dependabot[bot]',
+    email: '49699333+dependabot[bot]@users.noreply.github.com',
+    commits: 30,
+  },
+];
+
+describe('isBot', () => {
+  it('recognizes bots', () => {
+    for (const [name, email] of [
+      ['dependabot[bot]', '49699333+dependabot[bot]@users.noreply.github.com'],
+      ['renovate', 'bot@renovateapp.com'],
+      ['CI Bot', 'ci@company.com'],
+      ['Release', 'release-bot@company.com'],
+      ['github-actions', '41898282+github-actions[bot]@users.noreply.github.com'],
+    ]) {
+      assert.strictEqual(isBot({ name, email }), true, name);
+    }
+  });
+
+  it('leaves people alone', () => {
+    for (const [name, email] of [
+      ['Abbott Smith', 'abbott@company.com'],
+      ['Bot Nguyen', 'nguyen@company.com'],
+      ['Robert', 'robot@company.com'],
+    ]) {
+      assert.strictEqual(isBot({ name, email }), false, name);
+    }
+  });
+});
+
+describe('listContributors', () => {
+  it('lists each person once under the canonical identity, without bots', () => {
+    const contributors = listContributors(authors);
+
+    assert.deepStrictEqual(
+      contributors.map((c) => [c.name, c.email, c.commits]),
+      [
+        ['John Doe', 'john@company.com', 55],
+        ['alice', 'alice@example.com', 8],
+      ]
+    );
+    assert.strictEqual(contributors[0].firstCommit, 20 * DAY);
+    assert.strictEqual(contributors[0].identities.length, 2);
+  });
+
+  it('sorts by first contribution or name', () => {
+    const first = listContributors(authors, { sort: 'first', bots: true });
+    assert.deepStrictEqual(
+      first.map((c) => c.name),
+      ['John Doe', 'alice', 'dependabot[bot]']
+    );
+
+    const alpha = listContributors(authors, { sort: 'alpha' });
+    assert.deepStrictEqual(alpha.map((c) => c.name), ['alice', 'John Doe']);
+  });
+
+  it('uses pinned canonicals', () => {
+    const overrides = parseOverrides({ canonical: ['John D <john@company.com>'] });
+    const [john] = listContributors(authors, { overrides });
+    assert.strictEqual(john.name, 'John D');
+  });
+
+  it('rejects an unknown order', () => {
+    assert.throws(() => listContributors(authors, { sort: 'size' }), /Unknown contributor sort/);
+  });
+});
+
+describe('formatContributor', () => {
+  const [john] = listContributors(authors);
+
+  it('fills in template fields', () => {
+    assert.strictEqual(formatContributor(john), 'John Doe <john@company.com>');
+    assert.strictEqual(
+      formatContributor(john, '- {name}: {commits} commits, {first} to {last}'),
+      '- John Doe: 55 commits, 1970-01-21 to 1972-06-19'
+    );
+  });
+
+  it('leaves dates empty without a timeline', () => {
+    assert.strictEqual(
+      formatContributor({ name: 'A', email: 'a@x', commits: 1 }, '{name} {first}'),
+      'A '
+    );
+  });
+
+  it('rejects unknown fields', () => {
+    assert.throws(
+      () => formatContributor(john, '{name} {github}'),
+      /Unknown template field: \{github\}/
+    );
+  });
+});
+
+describe('updateContributors', () => {
+  const contributors = listContributors(authors);
+
+  it('writes one line per contributor', () => {
+    assert.deepStrictEqual(updateContributors(null, contributors), {
+      content: 'John Doe <john@company.com>\nalice <alice@example.com>\n',
+      manual: [],
+    });
+  });
+
+  it('keeps the header and manual entries and replaces generated lines', () => {
+    const existing = [
+      '# Authors',
+      '',
+      'John D <JOHN@company.com>',
+      'Jane Designer (logo)',
+      'Old Name <alice@example.com>',
+      '',
+    ].join('\n');
+
+    const { content, manual } = updateContributors(existing, contributors);
+    assert.deepStrictEqual(manual, ['Jane Designer (logo)']);
+    assert.strictEqual(
+      content,
+      '# Authors\n\nJohn Doe <john@company.com>\nalice <alice@example.com>\nJane Designer (logo)\n'
+    );
+  });
+
+  it('matches entries without emails by name after the template prefix', () => {
+    const existing = '- John D (5 commits)\n- Johnny (translations)\n- alice\n';
+    const { content } = updateContributors(existing, contributors, {
+      template: '- {name} ({commits} commits)',
+    });
+
+    assert.strictEqual(
+      content,
+      '- John Doe (55 commits)\n- alice (8 commits)\n- Johnny (translations)\n'
+    );
+  });
+
+  it('keeps manual entries that only start with a contributor name', () => {
+    const sam = listContributors([{ name: 'Sam', email: 'sam@x.org', commits: 3 }]);
+    const existing = 'Sam <sam@x.org>\nSam Jones (design, no commits)\nSamantha Lee\n';
+    const { content, manual } = updateContributors(existing, sam);
+
+    assert.deepStrictEqual(manual, ['Sam Jones (design, no commits)', 'Samantha Lee']);
+    assert.strictEqual(
+      content,
+      'Sam <sam@x.org>\nSam Jones (design, no commits)\nSamantha Lee\n'
+    );
+  });
+
+  it('drops lines of bots left out of the list', () => {
+    const existing =
+      'dependabot[bot] <49699333+dependabot[bot]@users.noreply.github.com>\nBob Designer\n';
+    const { manual } = updateContributors(existing, contributors, { identities: authors });
+
+    assert.deepStrictEqual(manual, ['Bob Designer']);
+  });
+
+  it('sorts manual entries in with the alpha order', () => {
+    const alpha = listContributors(authors, { sort: 'alpha' });
+    const { content } = updateContributors('Bob Designer\n', alpha, { sort: 'alpha' });
+
+    assert.strictEqual(
+      content,
+      'alice <alice@example.com>\nBob Designer\nJohn Doe <john@company.com>\n'
+    );
+  });
+});
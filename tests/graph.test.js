@@ -0,0 +1,125 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import {
+  identityGraph,
+  formatGraph,
+  formatDot,
+  formatMermaid,
+  formatGraphML,
+} from '../src/graph.js';
+import { parseOverrides } from '../src/overrides.js';
+
+const authors = [
+  { name: 'John Doe', email: 'john@company.com', commits: 50 },
+  { name: 'John D', email: 'john@company.com', commits: 5 },
+  { name: 'Jon Doe', email: 'jon@other.org', commits: 2 },
+  { name: 'Alice "Al" Smith', email: 'alice@example.com', commits: 3 },
+];
+
+describe('identityGraph', () => {
+  it('keeps scored pairs down to the floor and marks cluster links', () => {
+    const graph = identityGraph(authors, { minScore: 0.3, minConfidence: 0.7 });
+
+    assert.deepStrictEqual(
+      graph.nodes.map((n) => [n.id, n.email, n.commits, n.cluster]),
+      [
+        ['n0', 'john@company.com', 50, 0],
+        ['n1', 'john@company.com', 5, 0],
+        ['n2', 'jon@other.org', 2, null],
+      ]
+    );
+    assert.deepStrictEqual(graph.clusters, ['John Doe <john@company.com>']);
+
+    const linked = graph.edges.filter((e) => e.linked);
+    assert.deepStrictEqual(
+      linked.map((e) => [e.source, e.target, e.reason]),
+      [['n0', 'n1', 'exact-email']]
+    );
+    const borderline = graph.edges.find((e) => e.source === 'n0' && e.target === 'n2');
+    assert.ok(borderline.confidence >= 0.3 && borderline.confidence < 0.7);
+    assert.strictEqual(borderline.linked, false);
+  });
+
+  it('leaves out pairs below the floor', () => {
+    const graph = identityGraph(authors, { minScore: 0.9, minConfidence: 0.7 });
+    assert.deepStrictEqual(
+      graph.edges.map((e) => [e.source, e.target]),
+      [['n0', 'n1']]
+    );
+  });
+
+  it('follows overrides', () => {
+    const overrides = parseOverrides({
+      mustLink: [['Alice "Al" Smith <alice@example.com>', 'John D <john@company.com>']],
+      ignore: ['Jon Doe <jon@other.org>'],
+    });
+    const graph = identityGraph(authors, { overrides });
+
+    assert.ok(!graph.nodes.some((n) => n.email === 'jon@other.org'));
+    const mustLink = graph.edges.find((e) => e.reason === 'must-link');
+    assert.strictEqual(mustLink.linked, true);
+  });
+
+  it('leaves out pairs the roster keeps apart', () => {
+    const roster = {
+      people: [
+        { id: '1', name: 'John Doe', email: 'john@company.com', emails: ['john@company.com'] },
+        { id: '2', name: 'Jon Doe', email: 'jon@other.org', emails: ['jon@other.org'] },
+      ],
+    };
+    const graph = identityGraph(authors, { minScore: 0.3, roster });
+
+    assert.ok(!graph.edges.some((e) => e.source === 'n0' && e.target === 'n2'));
+  });
+});
+
+describe('graph formats', () => {
+  const graph = identityGraph(authors, { minScore: 0.3, minConfidence: 0.7 });
+
+  it('writes DOT with clusters and edge styles', () => {
+    const dot = formatDot(graph);
+    assert.match(dot, /^graph identities \{/);
+    assert.match(dot, /subgraph cluster_0 \{\n {4}label="John Doe <john@company\.com>";\n {4}n0; n1;/);
+    assert.match(dot, /n0 \[label="John Doe <john@company\.com>\\n50 commits"\];/);
+    assert.match(dot, /n0 -- n1 \[label="100% exact-email[^"]*", style=bold\];/);
+    assert.match(dot, /n0 -- n2 \[label="61% name-similarity 0\.88", style=dashed\];/);
+  });
+
+  it('escapes quotes in DOT labels', () => {
+    const dot = formatDot({
+      nodes: [{ id: 'n0', name: 'A "B" \\ C', email: 'a@b.c', commits: 1, cluster: null }],
+      edges: [],
+      clusters: [],
+      minConfidence: 0.6,
+    });
+    assert.ok(dot.includes('label="A \\"B\\" \\\\ C <a@b.c>\\n1 commits"'));
+  });
+
+  it('writes Mermaid with subgraphs and entity codes', () => {
+    const mermaid = formatMermaid(graph);
+    assert.match(mermaid, /^graph LR\n/);
+    assert.match(mermaid, /subgraph c0\["John Doe #lt;john@company\.com#gt;"\]/);
+    assert.match(mermaid, /n0\["John Doe #lt;john@company\.com#gt;<br\/>50 commits"\]/);
+    assert.match(mermaid, /n0 ===\|"100% exact-email[^"]*"\| n1/);
+    assert.match(mermaid, /n0 -\.-\|"[^"]*"\| n2/);
+    assert.match(mermaid, / {2}n2\["Jon Doe/);
+  });
+
+  it('writes GraphML with node and edge data', () => {
+    const graphml = formatGraphML(graph);
+    assert.match(graphml, /^<\?xml version="1\.0" encoding="UTF-8"\?>/);
+    assert.match(graphml, /<graph id="identities" edgedefault="undirected">/);
+    assert.match(
+      graphml,
+      /<node id="n0"><data key="name">John Doe<\/data><data key="email">john@company\.com<\/data><data key="commits">50<\/data><data key="cluster">John Doe &lt;john@company\.com&gt;<\/data><\/node>/
+    );
+    assert.match(graphml, /<edge id="e0" source="n0" target="n1"><data key="confidence">1<\/data>/);
+    assert.match(graphml, /<data key="linked">true<\/data>/);
+  });
+
+  it('rejects unknown formats', () => {
+    assert.strictEqual(formatGraph(graph, 'dot'), formatDot(graph));
+    assert.throws(() => formatGraph(graph, 'png'), /Unknown graph format: png/);
+  });
+});
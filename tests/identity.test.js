@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import {
+  formatIdentity,
+  formatCommitCounts,
+  parseIdentity,
+  identityMatches,
+} from '../src/identity.js';
+
+describe('formatIdentity', () => {
+  it('formats name and email', () => {
+    assert.strictEqual(
+      formatIdentity({ name: 'John Doe', email: 'john@example.com' }),
+      'John Doe <john@example.com>'
+    );
+  });
+
+  it('formats email-only identities', () => {
+    assert.strictEqual(
+      formatIdentity({ name: '', email: 'john@example.com' }),
+      '<john@example.com>'
+    );
+  });
+});
+
+describe('formatCommitCounts', () => {
+  it('shows authored commits', () => {
+    assert.strictEqual(formatCommitCounts({ commits: 5 }), '5 commits');
+  });
+
+  it('adds co-authored commits when there are any', () => {
+    assert.strictEqual(
+      formatCommitCounts({ commits: 0, coAuthored: 3 }),
+      '0 commits, 3 co-authored'
+    );
+    assert.strictEqual(formatCommitCounts({ commits: 2, coAuthored: 0 }), '2 commits');
+  });
+});
+
+describe('parseIdentity', () => {
+  it('parses name and email', () => {
+    assert.deepStrictEqual(parseIdentity(' John Doe <john@example.com> '), {
+      name: 'John Doe',
+      email: 'john@example.com',
+    });
+  });
+
+  it('parses bracketed and bare emails', () => {
+    assert.deepStrictEqual(parseIdentity('<john@example.com>'), {
+      name: '',
+      email: 'john@example.com',
+    });
+    assert.deepStrictEqual(parseIdentity('john@example.com'), {
+      name: '',
+      email: 'john@example.com',
+    });
+  });
+
+  it('rejects malformed input', () => {
+    assert.strictEqual(parseIdentity('John Doe'), null);
+    assert.strictEqual(parseIdentity('John <a> <b>'), null);
+    assert.strictEqual(parseIdentity(''), null);
+  });
+});
+
+describe('identityMatches', () => {
+  const identity = { name: 'John Doe', email: 'John@Example.com' };
+
+  it('matches emails case-insensitively', () => {
+    assert.ok(identityMatches(parseIdentity('john@example.com'), identity));
+  });
+
+  it('requires the name when given', () => {
+    assert.ok(
+      identityMatches(parseIdentity('John Doe <john@example.com>'), identity)
+    );
+    assert.ok(
+      !identityMatches(parseIdentity('John <john@example.com>'), identity)
+    );
+  });
+});
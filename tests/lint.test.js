@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { lintMailmap } from '../src/lint.js';
+
+const rules = (problems) => problems.map((p) => [p.line, p.rule]);
+
+describe('lintMailmap', () => {
+  it('accepts a clean mailmap', () => {
+    const content = `# Team
+John Doe <john@example.com> John D <john@example.com>
+John Doe <john@example.com> <johndoe@gmail.com>
+Alice Smith <alice@example.com>
+`;
+    assert.deepStrictEqual(lintMailmap(content), []);
+  });
+
+  it('reports syntax errors with line numbers', () => {
+    const content = `John Doe <john@example.com>
+not an entry
+John <john@example.com> trailing text
+<lonely@example.com>
+Jane <jane@example.com> # trailing comments are fine
+`;
+    const problems = lintMailmap(content);
+    assert.deepStrictEqual(rules(problems), [
+      [2, 'syntax'],
+      [3, 'syntax'],
+      [4, 'syntax'],
+    ]);
+    assert.ok(problems.every((p) => p.severity === 'error'));
+  });
+
+  it('reports conflicting mappings for the same alias', () => {
+    const content = `John Doe <john@example.com> <jd@example.com>
+Jane Doe <jane@example.com> <JD@example.com>
+`;
+    const [problem] = lintMailmap(content);
+    assert.strictEqual(problem.rule, 'conflict');
+    assert.strictEqual(problem.line, 2);
+    assert.match(problem.message, /line 1/);
+  });
+
+  it('reports duplicate mappings as warnings', () => {
+    const content = `John Doe <john@example.com> <jd@example.com>
+John Doe <john@example.com> <jd@example.com>
+`;
+    const [problem] = lintMailmap(content);
+    assert.strictEqual(problem.rule, 'duplicate');
+    assert.strictEqual(problem.severity, 'warning');
+  });
+
+  it('does not treat separate name and email fixes as a conflict', () => {
+    const content = `John Doe <jd@example.com>
+<john@example.com> <jd@example.com>
+`;
+    assert.deepStrictEqual(lintMailmap(content), []);
+  });
+
+  it('reports chained mappings', () => {
+    const content = `John Doe <john@example.com> <jd@example.com>
+John Doe <john@company.com> <john@example.com>
+`;
+    const problems = lintMailmap(content);
+    assert.deepStrictEqual(rules(problems), [[1, 'chain']]);
+    assert.match(problems[0].message, /line 2/);
+  });
+
+  it('reports canonical emails that differ only in case', () => {
+    const content = `John Doe <john@example.com> <jd@example.com>
+John Doe <John@Example.com> <johndoe@gmail.com>
+`;
+    assert.deepStrictEqual(rules(lintMailmap(content)), [[2, 'email-case']]);
+  });
+
+  it('checks entries against history when identities are given', () => {
+    const content = `John Doe <john@example.com> <jd@example.com>
+John Doe <john@example.com> Ghost <john@example.com>
+Jane <jane@new.org> <jane@example.com>
+`;
+    const identities = [
+      { name: 'John Doe', email: 'john@example.com', commits: 5 },
+      { name: 'john', email: 'JD@example.com', commits: 2 },
+      { name: 'Jane', email: 'jane@example.com', commits: 1 },
+    ];
+    assert.deepStrictEqual(rules(lintMailmap(content, { identities })), [
+      [2, 'unused'],
+      [3, 'unknown-canonical'],
+    ]);
+  });
+
+  it('counts identities only credited as co-authors as used', () => {
+    const content = 'Bob <bob@example.com> Bobby <bob@example.com>\n';
+    const identities = [
+      { name: 'Bobby', email: 'bob@example.com', commits: 0, coAuthored: 1 },
+    ];
+    assert.deepStrictEqual(lintMailmap(content, { identities }), []);
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import {
+  parseMailmapFile,
+  parseMailmapEntries,
+  mailmapEntries,
+  mailmapErrors,
+  formatMailmapEntry,
+  serializeMailmapFile,
+  addMailmapEntry,
+  removeMailmapEntry,
+} from '../src/mailmap-file.js';
+
+describe('parseMailmapEntries', () => {
+  it('parses all four forms with line numbers', () => {
+    const content = `# comment
+Proper <commit@example.com>
+<proper@example.com> <commit@example.com>
+Proper <proper@example.com> <commit@example.com>
+Proper <proper@example.com> Commit <commit@example.com> # note
+`;
+    const { entries, errors } = parseMailmapEntries(content);
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(
+      entries.map((e) => [e.line, e.properName, e.properEmail, e.commitName, e.commitEmail]),
+      [
+        [2, 'Proper', null, null, 'commit@example.com'],
+        [3, null, 'proper@example.com', null, 'commit@example.com'],
+        [4, 'Proper', 'proper@example.com', null, 'commit@example.com'],
+        [5, 'Proper', 'proper@example.com', 'Commit', 'commit@example.com'],
+      ]
+    );
+  });
+
+  it('reports lines it cannot parse', () => {
+    const { entries, errors } = parseMailmapEntries(
+      'John <john@example.com>\nJohn <john@example.com\nA <a> <b> <c>\nA <>'
+    );
+    assert.strictEqual(entries.length, 1);
+    assert.deepStrictEqual(
+      errors.map((e) => [e.line, e.message]),
+      [
+        [2, 'unbalanced `<` or `>`'],
+        [3, 'more than two emails'],
+        [4, 'empty email'],
+      ]
+    );
+  });
+});
+
+describe('parseMailmapFile', () => {
+  it('attaches comments directly above an entry', () => {
+    const file = parseMailmapFile(`# Team
+
+# John Doe
+# merged 2024-01
+John Doe <john@example.com> <jd@example.com> # work laptop
+Alice <alice@example.com>
+`);
+    const [john, alice] = mailmapEntries(file);
+    assert.deepStrictEqual(john.comments, ['John Doe', 'merged 2024-01']);
+    assert.strictEqual(john.trailingComment, 'work laptop');
+    assert.deepStrictEqual(alice.comments, []);
+  });
+
+  it('lists lines that are not entries as errors', () => {
+    const file = parseMailmapFile('John <john@example.com>\r\nbroken\r\n');
+    assert.deepStrictEqual(mailmapErrors(file), [
+      { line: 2, message: 'expected `Name <email>`', text: 'broken' },
+    ]);
+  });
+});
+
+describe('serializeMailmapFile', () => {
+  const samples = [
+    '',
+    '\n',
+    'John Doe <john@example.com>',
+    '# comment\n\n  John   Doe  <john@example.com>\t<jd@example.com>  # note  \n\n\n',
+    '\uFEFFJohn <john@example.com>\r\nbroken line\r\n<p@example.com> <c@example.com>\r\n',
+    'A <a@example.com>\n\r\n# trailing comment without newline',
+  ];
+
+  for (const content of samples) {
+    it(`round-trips ${JSON.stringify(content).slice(0, 40)}`, () => {
+      assert.strictEqual(serializeMailmapFile(parseMailmapFile(content)), content);
+    });
+  }
+
+  it('rewrites only edited entries', () => {
+    const file = parseMailmapFile(
+      '# keep\n  John  <john@example.com>   <jd@example.com>\nAlice   <alice@example.com>\n'
+    );
+    const [john] = mailmapEntries(file);
+    john.properName = 'John Doe';
+    assert.strictEqual(
+      serializeMailmapFile(file),
+      '# keep\nJohn Doe <john@example.com> <jd@example.com>\nAlice   <alice@example.com>\n'
+    );
+  });
+
+  it('keeps CRLF line breaks on edited and added lines', () => {
+    const file = parseMailmapFile('John <john@example.com> <jd@example.com>\r\n');
+    mailmapEntries(file)[0].properName = 'John Doe';
+    addMailmapEntry(file, {
+      properName: 'Alice',
+      properEmail: 'alice@example.com',
+      commitEmail: 'a@example.com',
+      comments: ['Alice'],
+    });
+    assert.strictEqual(
+      serializeMailmapFile(file),
+      'John Doe <john@example.com> <jd@example.com>\r\n# Alice\r\nAlice <alice@example.com> <a@example.com>\r\n'
+    );
+  });
+});
+
+describe('formatMailmapEntry', () => {
+  it('formats every form', () => {
+    const entry = (properName, properEmail, commitName, commitEmail) => ({
+      properName,
+      properEmail,
+      commitName,
+      commitEmail,
+    });
+    assert.strictEqual(formatMailmapEntry(entry('A', null, null, 'a@x')), 'A <a@x>');
+    assert.strictEqual(formatMailmapEntry(entry(null, 'p@x', null, 'a@x')), '<p@x> <a@x>');
+    assert.strictEqual(formatMailmapEntry(entry('A', 'p@x', null, 'a@x')), 'A <p@x> <a@x>');
+    assert.strictEqual(formatMailmapEntry(entry('A', 'p@x', 'B', 'a@x')), 'A <p@x> B <a@x>');
+  });
+});
+
+describe('addMailmapEntry', () => {
+  it('starts an empty file', () => {
+    const file = parseMailmapFile('');
+    addMailmapEntry(file, { properName: 'John', commitEmail: 'john@example.com' });
+    assert.strictEqual(serializeMailmapFile(file), 'John <john@example.com>\n');
+  });
+
+  it('rejects entries that change nothing', () => {
+    assert.throws(
+      () => addMailmapEntry(parseMailmapFile(''), { commitEmail: 'john@example.com' }),
+      /proper name or email/
+    );
+  });
+});
+
+describe('removeMailmapEntry', () => {
+  it('removes the entry with its comments', () => {
+    const file = parseMailmapFile(`# Team
+
+# John
+John <john@example.com> <jd@example.com>
+Alice <alice@example.com>
+`);
+    const [john] = mailmapEntries(file);
+    assert.strictEqual(removeMailmapEntry(file, john), true);
+    assert.strictEqual(serializeMailmapFile(file), '# Team\n\nAlice <alice@example.com>\n');
+    assert.strictEqual(removeMailmapEntry(file, john), false);
+  });
+});
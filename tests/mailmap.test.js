@@ -4,9 +4,12 @@ import assert from 'node:assert';
 import {
   selectCanonical,
   generateMailmap,
+  mergeMailmap,
   formatMappingSummary,
   generateStats,
 } from '../src/mailmap.js';
+import { parseOverrides } from '../src/overrides.js';
+import { lintMailmap } from '../src/lint.js';
 
 describe('selectCanonical', () => {
   it('prefers higher commit count', () => {
@@ -60,6 +63,35 @@ describe('selectCanonical', () => {
     assert.strictEqual(canonical.name, 'John Doe');
   });
 
+  it('honours pinned canonical identities', () => {
+    const identities = [
+      { name: 'John Doe', email: 'john@company.com', commits: 100 },
+      { name: 'John', email: 'john@gmail.com', commits: 1 },
+    ];
+    const overrides = parseOverrides({ canonical: ['john@gmail.com'] });
+
+    const canonical = selectCanonical(identities, { overrides });
+    assert.strictEqual(canonical.email, 'john@gmail.com');
+  });
+
+  it('prefers the roster identity, after pinned ones', () => {
+    const identities = [
+      { name: 'jroe', email: 'jroe@corp.com', commits: 100 },
+      { name: 'Jane', email: 'jane@gmail.com', commits: 1 },
+      {
+        name: 'Jane Roe',
+        email: 'jane.roe@corp.com',
+        commits: 0,
+        roster: 'p1',
+        fromRoster: true,
+      },
+    ];
+    assert.strictEqual(selectCanonical(identities).name, 'Jane Roe');
+
+    const overrides = parseOverrides({ canonical: ['jane@gmail.com'] });
+    assert.strictEqual(selectCanonical(identities, { overrides }).name, 'Jane');
+  });
+
   it('throws on empty input', () => {
     assert.throws(() => selectCanonical([]), /empty/i);
   });
@@ -183,6 +215,58 @@ describe('formatMappingSummary', () => {
     assert.ok(summary.includes('10 commits'));
   });
 
+  it('shows per-alias evidence', () => {
+    const clusters = [
+      {
+        canonical: { name: 'John Doe', email: 'john@example.com', commits: 100 },
+        aliases: [
+          {
+            name: 'John',
+            email: 'john@example.com',
+            commits: 10,
+            confidence: 0.92,
+            evidence: [
+              { signal: 'exact-email' },
+              { signal: 'name-similarity', value: 0.9 },
+            ],
+          },
+        ],
+        confidence: 0.92,
+        reason: 'exact-email',
+      },
+    ];
+
+    const summary = formatMappingSummary(clusters);
+    assert.ok(summary.includes('[92% exact-email, name-similarity 0.9]'));
+
+    const mailmap = generateMailmap(clusters);
+    assert.ok(
+      mailmap.includes(
+        '# John <john@example.com>: 92% exact-email, name-similarity 0.9'
+      )
+    );
+  });
+
+  it('counts a canonical added from the roster as one author', () => {
+    const clusters = [
+      {
+        canonical: { name: 'Jane Roe', email: 'jane@corp.com', commits: 0, fromRoster: true },
+        aliases: [
+          { name: 'jroe', email: 'jroe@corp.com', commits: 30 },
+          { name: 'Jane', email: 'jane@gmail.com', commits: 20 },
+        ],
+        confidence: 1,
+        reason: 'roster',
+      },
+    ];
+
+    const stats = generateStats(clusters, 5);
+    assert.strictEqual(stats.aliasesConsolidated, 2);
+    assert.strictEqual(stats.commitsAffected, 50);
+    assert.strictEqual(stats.authorsAfter, 4);
+    assert.strictEqual(stats.reductionPercent, 20);
+  });
+
   it('handles empty clusters', () => {
     const summary = formatMappingSummary([]);
     assert.strictEqual(summary, '');
@@ -211,6 +295,26 @@ describe('generateStats', () => {
     assert.strictEqual(stats.reductionPercent, 40); // 2/5 * 100
   });
 
+  it('counts a canonical added from the roster as one author', () => {
+    const clusters = [
+      {
+        canonical: { name: 'Jane Roe', email: 'jane@corp.com', commits: 0, fromRoster: true },
+        aliases: [
+          { name: 'jroe', email: 'jroe@corp.com', commits: 30 },
+          { name: 'Jane', email: 'jane@gmail.com', commits: 20 },
+        ],
+        confidence: 1,
+        reason: 'roster',
+      },
+    ];
+
+    const stats = generateStats(clusters, 5);
+    assert.strictEqual(stats.aliasesConsolidated, 2);
+    assert.strictEqual(stats.commitsAffected, 50);
+    assert.strictEqual(stats.authorsAfter, 4);
+    assert.strictEqual(stats.reductionPercent, 20);
+  });
+
   it('handles empty clusters', () => {
     const stats = generateStats([], 10);
     assert.strictEqual(stats.clustersFound, 0);
@@ -225,3 +329,140 @@ describe('generateStats', () => {
     assert.strictEqual(stats.reductionPercent, 0);
   });
 });
+
+describe('mergeMailmap', () => {
+  const clusters = [
+    {
+      canonical: { name: 'John Doe', email: 'john@example.com', commits: 100 },
+      aliases: [
+        { name: 'John D', email: 'john@example.com', commits: 10 },
+        { name: 'Johnny', email: 'jd@example.com', commits: 5 },
+      ],
+      confidence: 0.9,
+      reason: 'test',
+    },
+  ];
+
+  it('generates a fresh mailmap when none exists', () => {
+    const result = mergeMailmap(null, clusters, { comments: false });
+    assert.strictEqual(result.added.length, 2);
+    assert.strictEqual(result.conflicts.length, 0);
+    assert.ok(result.content.includes('John Doe <john@example.com> Johnny <jd@example.com>'));
+  });
+
+  it('heads a merged cluster like a generated one', () => {
+    const existing = 'Alice Smith <alice@example.com> <a@example.com>\n';
+    const { content } = mergeMailmap(existing, clusters);
+    const header = generateMailmap(clusters).split('\n').find((l) => l.startsWith('# John Doe'));
+    assert.strictEqual(header, '# John Doe (115 commits)');
+    assert.ok(content.includes(`\n${header}\n`));
+  });
+
+  it('keeps existing entries and comments verbatim', () => {
+    const existing = `# Curated by hand
+Alice Smith <alice@example.com> <a@example.com>
+`;
+    const result = mergeMailmap(existing, clusters, { comments: false });
+    assert.ok(result.content.startsWith(existing));
+    assert.strictEqual(result.added.length, 2);
+  });
+
+  it('does not re-add aliases that are already mapped', () => {
+    const existing = 'John Doe <john@example.com> Johnny <JD@example.com>\n';
+    const result = mergeMailmap(existing, clusters, { comments: false });
+    assert.strictEqual(result.alreadyMapped, 1);
+    assert.strictEqual(result.added.length, 1);
+    assert.strictEqual(result.added[0].alias.name, 'John D');
+  });
+
+  it('reports conflicts and keeps the curated mapping', () => {
+    const existing = 'Jane Roe <jane@example.com> Johnny <jd@example.com>\n';
+    const result = mergeMailmap(existing, clusters, { comments: false });
+    assert.strictEqual(result.conflicts.length, 1);
+    assert.strictEqual(result.conflicts[0].existing.name, 'Jane Roe');
+    assert.strictEqual(result.conflicts[0].proposed.name, 'John Doe');
+    assert.ok(!result.content.includes('John Doe <john@example.com> Johnny'));
+  });
+
+  it('maps new aliases to the curated target of the canonical', () => {
+    const existing = 'Johnathan Doe <john@example.com>\n';
+    const result = mergeMailmap(existing, clusters, { comments: false });
+    assert.ok(
+      result.content.includes(
+        'Johnathan Doe <john@example.com> Johnny <jd@example.com>'
+      )
+    );
+  });
+
+  it('retargets curated entries whose target joins a cluster', () => {
+    // Identities are scanned with the mailmap applied, so Jane S shows up as
+    // Jane Smith <jane@x.org>
+    const existing = '# moved\nJane Smith <jane@x.org> Jane S <js@old.org>\n';
+    const jane = [
+      {
+        canonical: { name: 'Jane Smith', email: 'jane.smith@corp.com', commits: 5 },
+        aliases: [{ name: 'Jane Smith', email: 'jane@x.org', commits: 1 }],
+        confidence: 0.9,
+        reason: 'test',
+      },
+    ];
+    const result = mergeMailmap(existing, jane, { comments: false });
+
+    assert.strictEqual(
+      result.content,
+      '# moved\n' +
+        'Jane Smith <jane.smith@corp.com> Jane S <js@old.org>\n' +
+        'Jane Smith <jane.smith@corp.com> Jane Smith <jane@x.org>\n'
+    );
+    assert.deepStrictEqual(
+      result.retargeted.map((r) => [r.entry.commitName, r.from.email, r.to.email]),
+      [['Jane S', 'jane@x.org', 'jane.smith@corp.com']]
+    );
+    assert.deepStrictEqual(lintMailmap(result.content), []);
+  });
+
+  it('adds no entry for an alias only reached through a retargeted entry', () => {
+    const existing = 'Jane Smith <jane@x.org> Jane S <js@old.org>\n';
+    const jane = [
+      {
+        canonical: { name: 'Jane Smith', email: 'jane.smith@corp.com', commits: 5 },
+        aliases: [
+          {
+            name: 'Jane Smith',
+            email: 'jane@x.org',
+            commits: 1,
+            mappedFrom: [{ name: 'Jane S', email: 'js@old.org', commits: 1 }],
+          },
+        ],
+        confidence: 0.9,
+        reason: 'test',
+      },
+    ];
+    const result = mergeMailmap(existing, jane, { comments: false });
+
+    assert.strictEqual(
+      result.content,
+      'Jane Smith <jane.smith@corp.com> Jane S <js@old.org>\n'
+    );
+    assert.strictEqual(result.added.length, 0);
+    assert.strictEqual(result.retargeted.length, 1);
+  });
+
+  it('counts a retargeted name-only entry as already mapped', () => {
+    const existing = 'Johnny <jd@example.com>\n';
+    const result = mergeMailmap(existing, clusters, { comments: false });
+
+    assert.ok(result.content.startsWith('John Doe <john@example.com> <jd@example.com>\n'));
+    assert.strictEqual(result.alreadyMapped, 1);
+    assert.strictEqual(result.added.length, 1);
+    assert.deepStrictEqual(lintMailmap(result.content), []);
+  });
+
+  it('returns existing content unchanged when nothing is new', () => {
+    const existing = `John Doe <john@example.com> John D <john@example.com>
+John Doe <john@example.com> Johnny <jd@example.com>`;
+    const result = mergeMailmap(existing, clusters);
+    assert.strictEqual(result.added.length, 0);
+    assert.strictEqual(result.content, `${existing}\n`);
+  });
+});
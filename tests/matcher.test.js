@@ -8,8 +8,14 @@ import {
   isNoReply,
   nameSimilarity,
   findClusters,
+  scorePair,
+  scoreAliases,
   analyzeIdentities,
+  candidatePairs,
+  signingKeyConflicts,
 } from '../src/matcher.js';
+import { parseOverrides } from '../src/overrides.js';
+import { parseRoster } from '../src/roster.js';
 
 describe('normalizeName', () => {
   it('converts to lowercase', () => {
@@ -27,6 +33,28 @@ describe('normalizeName', () => {
   it('handles empty string', () => {
     assert.strictEqual(normalizeName(''), '');
   });
+
+  it('folds diacritics', () => {
+    assert.strictEqual(normalizeName('José Müller'), 'jose muller');
+    assert.strictEqual(normalizeName('Łukasz Straße'), 'lukasz strasse');
+  });
+
+  it('keeps non-Latin names', () => {
+    assert.strictEqual(normalizeName('Иван Петров'), 'иван петров');
+    assert.strictEqual(normalizeName('王小明'), '王小明');
+    assert.strictEqual(normalizeName('محمد علي'), 'محمد علي');
+  });
+
+  it('transliterates Cyrillic and Greek on request', () => {
+    assert.strictEqual(
+      normalizeName('Иван Петров', { transliterate: true }),
+      'ivan petrov'
+    );
+    assert.strictEqual(
+      normalizeName('Σωκράτης', { transliterate: true }),
+      'sokratis'
+    );
+  });
 });
 
 describe('emailLocal', () => {
@@ -112,6 +140,23 @@ describe('nameSimilarity', () => {
     assert.strictEqual(nameSimilarity('', 'John'), 0);
     assert.strictEqual(nameSimilarity('John', ''), 0);
   });
+
+  it('matches names that differ only in accents', () => {
+    assert.strictEqual(nameSimilarity('José', 'Jose'), 1);
+  });
+
+  it('compares non-Latin names', () => {
+    assert.ok(nameSimilarity('Иван Петров', 'Иван Петрова') > 0.8);
+    assert.ok(nameSimilarity('王小明', '王小民') > 0);
+  });
+
+  it('matches across scripts only when transliterating', () => {
+    assert.ok(nameSimilarity('Иван Петров', 'Ivan Petrov') < 0.5);
+    assert.strictEqual(
+      nameSimilarity('Иван Петров', 'Ivan Petrov', { transliterate: true }),
+      1
+    );
+  });
 });
 
 describe('findClusters', () => {
@@ -179,6 +224,440 @@ describe('findClusters', () => {
     const clusters = findClusters([]);
     assert.strictEqual(clusters.length, 0);
   });
+
+  it('clusters transitive alias chains', () => {
+    // work ~ personal by name, personal ~ noreply by username,
+    // but work and noreply share nothing directly
+    const authors = [
+      { name: 'Jane Roe', email: 'jane.roe@company.com', commits: 50 },
+      { name: 'Jane Roe', email: 'jroe@gmail.com', commits: 20 },
+      { name: 'jroe', email: '123+jroe@users.noreply.github.com', commits: 5 },
+    ];
+
+    assert.strictEqual(scorePair(authors[0], authors[2]).confidence, 0);
+
+    const clusters = findClusters(authors);
+    assert.strictEqual(clusters.length, 1);
+    assert.strictEqual(clusters[0].aliases.length, 2);
+  });
+
+  it('is independent of input order', () => {
+    const authors = [
+      { name: 'Jane Roe', email: 'jane.roe@company.com', commits: 50 },
+      { name: 'Jane Roe', email: 'jroe@gmail.com', commits: 20 },
+      { name: 'jroe', email: '123+jroe@users.noreply.github.com', commits: 5 },
+      { name: 'John Doe', email: 'john@example.com', commits: 5 },
+      { name: 'John Doe', email: 'john@other.com', commits: 5 },
+    ];
+
+    const forward = findClusters(authors);
+    const backward = findClusters([...authors].reverse());
+    assert.deepStrictEqual(backward, forward);
+  });
+
+  it('caps cluster size', () => {
+    const authors = ['a', 'b', 'c', 'd'].map((suffix, i) => ({
+      name: `Dev ${suffix}`,
+      email: 'shared@example.com',
+      commits: 10 - i,
+    }));
+
+    const clusters = findClusters(authors, { maxClusterSize: 2 });
+    assert.strictEqual(clusters.length, 2);
+    for (const cluster of clusters) {
+      assert.strictEqual(cluster.aliases.length, 1);
+    }
+  });
+
+  it('reports the weakest link as cluster confidence', () => {
+    const authors = [
+      { name: 'Jane Roe', email: 'jroe@company.com', commits: 50 },
+      { name: 'Jane Roe', email: 'jroe@company.com', commits: 20 },
+      { name: 'Jane Roe', email: 'jroe@gmail.com', commits: 5 },
+    ];
+
+    const [cluster] = findClusters(authors);
+    assert.strictEqual(cluster.confidence, 0.8);
+    assert.strictEqual(cluster.reason, 'exact-email');
+  });
+
+  it('never merges cannot-link identities', () => {
+    const authors = [
+      { name: 'John Doe', email: 'john@a.com', commits: 50 },
+      { name: 'John Doe', email: 'john@b.com', commits: 20 },
+    ];
+    const overrides = parseOverrides({
+      cannotLink: [['john@a.com', 'john@b.com']],
+    });
+
+    assert.strictEqual(findClusters(authors).length, 1);
+    assert.strictEqual(findClusters(authors, { overrides }).length, 0);
+  });
+
+  it('does not chain across cannot-link identities', () => {
+    const authors = [
+      { name: 'John Doe', email: 'john@a.com', commits: 50 },
+      { name: 'John Doe', email: 'john@b.com', commits: 20 },
+      { name: 'John Doe', email: 'john@c.com', commits: 10 },
+    ];
+    const overrides = parseOverrides({
+      cannotLink: [['john@a.com', 'john@c.com']],
+    });
+
+    const clusters = findClusters(authors, { overrides });
+    assert.strictEqual(clusters.length, 1);
+    assert.strictEqual(clusters[0].aliases.length, 1);
+  });
+
+  it('always merges must-link identities', () => {
+    const authors = [
+      { name: 'John Doe', email: 'john@example.com', commits: 50 },
+      { name: 'Alice Smith', email: 'alice@example.com', commits: 30 },
+    ];
+    const overrides = parseOverrides({
+      mustLink: [['john@example.com', 'alice@example.com']],
+    });
+
+    const clusters = findClusters(authors, { overrides });
+    assert.strictEqual(clusters.length, 1);
+    assert.strictEqual(clusters[0].reason, 'must-link');
+  });
+
+  it('skips ignored identities', () => {
+    const authors = [
+      { name: 'John Doe', email: 'john@example.com', commits: 50 },
+      { name: 'John D', email: 'john@example.com', commits: 10 },
+    ];
+    const overrides = parseOverrides({ ignore: ['John D <john@example.com>'] });
+
+    assert.strictEqual(findClusters(authors, { overrides }).length, 0);
+  });
+
+  it('uses the pinned canonical', () => {
+    const authors = [
+      { name: 'John Doe', email: 'john@example.com', commits: 50 },
+      { name: 'John D', email: 'john@example.com', commits: 10 },
+    ];
+    const overrides = parseOverrides({
+      canonical: ['John D <john@example.com>'],
+    });
+
+    const clusters = findClusters(authors, { overrides });
+    assert.strictEqual(clusters[0].canonical.name, 'John D');
+    assert.strictEqual(clusters[0].aliases[0].name, 'John Doe');
+  });
+
+  describe('with a roster', () => {
+    const roster = parseRoster(
+      JSON.stringify([
+        {
+          id: 'p1',
+          name: 'Jane Roe',
+          emails: ['jane.roe@corp.com', 'jroe@corp.com', 'jr@home.net'],
+        },
+        { id: 'p2', name: 'John Smith', emails: ['jsmith@corp.com'] },
+        { id: 'p3', name: 'John Smith', emails: ['john.smith@corp.com'] },
+      ]),
+      'json'
+    );
+
+    it('links a person\'s identities under the roster identity', () => {
+      const authors = [
+        { name: 'jroe', email: 'jroe@corp.com', commits: 20 },
+        { name: 'Hacker42', email: 'jr@home.net', commits: 3 },
+      ];
+
+      const [cluster, ...rest] = findClusters(authors, { roster });
+      assert.strictEqual(rest.length, 0);
+      assert.deepStrictEqual(cluster.canonical, {
+        name: 'Jane Roe',
+        email: 'jane.roe@corp.com',
+        commits: 0,
+        roster: 'p1',
+        fromRoster: true,
+      });
+      assert.deepStrictEqual(
+        cluster.aliases.map((a) => [a.name, a.confidence, a.evidence]),
+        [
+          ['jroe', 1, [{ signal: 'roster' }]],
+          ['Hacker42', 1, [{ signal: 'roster' }]],
+        ]
+      );
+    });
+
+    it('uses the roster identity when the history has it', () => {
+      const authors = [
+        { name: 'jroe', email: 'jroe@corp.com', commits: 20 },
+        { name: 'Jane Roe', email: 'JANE.ROE@corp.com', commits: 2 },
+      ];
+
+      const [cluster] = findClusters(authors, { roster });
+      assert.strictEqual(cluster.canonical.email, 'JANE.ROE@corp.com');
+      assert.strictEqual(cluster.canonical.roster, 'p1');
+      assert.deepStrictEqual(cluster.aliases.map((a) => a.name), ['jroe']);
+    });
+
+    it('maps a single identity to the roster identity', () => {
+      const authors = [{ name: 'JS', email: 'jsmith@corp.com', commits: 4 }];
+      const clusters = findClusters(authors, { roster });
+      assert.strictEqual(clusters[0].canonical.name, 'John Smith');
+      assert.deepStrictEqual(clusters[0].aliases.map((a) => a.email), ['jsmith@corp.com']);
+    });
+
+    it('never links two people on the roster', () => {
+      const authors = [
+        { name: 'John Smith', email: 'jsmith@corp.com', commits: 10 },
+        { name: 'John Smith', email: 'john.smith@corp.com', commits: 8 },
+        // Matches both by name, but may join only one of them
+        { name: 'John Smith', email: 'john@gmail.com', commits: 1 },
+      ];
+
+      const clusters = findClusters(authors, { roster });
+      assert.strictEqual(clusters.length, 1);
+      assert.strictEqual(clusters[0].aliases.length, 1);
+      assert.strictEqual(clusters[0].aliases[0].email, 'john@gmail.com');
+    });
+  });
+});
+
+describe('scorePair', () => {
+  it('lists the signals behind an email match', () => {
+    const result = scorePair(
+      { name: 'John Doe', email: 'john@example.com', commits: 1 },
+      { name: 'John D', email: 'John@example.com', commits: 1 }
+    );
+
+    assert.strictEqual(result.confidence, 1);
+    assert.deepStrictEqual(result.evidence, [
+      { signal: 'exact-email' },
+      { signal: 'name-similarity', value: 0.9 },
+    ]);
+  });
+
+  it('records domain matches for name-based links', () => {
+    const result = scorePair(
+      { name: 'John Doe', email: 'john@example.com', commits: 1 },
+      { name: 'John Doe', email: 'jdoe@example.com', commits: 1 }
+    );
+
+    assert.strictEqual(result.reason, 'similar-name-same-domain');
+    assert.deepStrictEqual(result.evidence, [
+      { signal: 'name-similarity', value: 1 },
+      { signal: 'same-domain' },
+    ]);
+  });
+
+  it('raises name-based matches when one identity takes over from the other', () => {
+    const old = {
+      name: 'John Doe',
+      email: 'john@oldjob.com',
+      commits: 50,
+      firstCommit: Date.parse('2018-01-01') / 1000,
+      lastCommit: Date.parse('2021-06-30') / 1000,
+      activeMonths: ['2018-01', '2021-06'],
+    };
+    const next = {
+      name: 'John Doe',
+      email: 'john@newjob.com',
+      commits: 20,
+      firstCommit: Date.parse('2021-07-10') / 1000,
+      lastCommit: Date.parse('2022-01-01') / 1000,
+      activeMonths: ['2021-07', '2022-01'],
+    };
+
+    const without = scorePair({ ...old, firstCommit: undefined }, next);
+    const result = scorePair(old, next);
+    assert.ok(result.confidence > without.confidence);
+    assert.deepStrictEqual(result.evidence.at(-1), { signal: 'hand-off', value: 10 });
+  });
+
+  it('lowers name-based matches for identities active side by side', () => {
+    const months = ['2020-01', '2020-02', '2020-03', '2020-04'];
+    const a = {
+      name: 'John Smith',
+      email: 'john@a.com',
+      commits: 10,
+      firstCommit: Date.parse('2020-01-01') / 1000,
+      lastCommit: Date.parse('2020-04-30') / 1000,
+      activeMonths: months,
+    };
+    const b = { ...a, email: 'jsmith@b.com' };
+
+    const result = scorePair(a, b);
+    assert.ok(result.confidence < scorePair({ ...a, firstCommit: undefined }, b).confidence);
+    assert.deepStrictEqual(result.evidence.at(-1), { signal: 'overlap', value: 4 });
+  });
+
+  it('raises name-based matches for identities that change the same files', () => {
+    const a = { name: 'John Doe', email: 'john@a.com', commits: 5, paths: ['a', 'b', 'c'] };
+    const b = { name: 'John Doe', email: 'john@b.org', commits: 5, paths: ['a', 'b', 'c', 'd'] };
+
+    const result = scorePair(a, b);
+    assert.ok(result.confidence > scorePair({ ...a, paths: undefined }, b).confidence);
+    assert.deepStrictEqual(result.evidence.at(-1), { signal: 'path-overlap', value: 1 });
+  });
+
+  it('lowers name-based matches for identities that never change the same files', () => {
+    const a = { name: 'John Doe', email: 'john@a.com', commits: 5, paths: ['a', 'b', 'c'] };
+    const b = { name: 'John Doe', email: 'jdoe@b.org', commits: 5, paths: ['x', 'y', 'z'] };
+
+    const result = scorePair(a, b);
+    assert.ok(result.confidence < scorePair({ ...a, paths: undefined }, b).confidence);
+    assert.deepStrictEqual(result.evidence.at(-1), { signal: 'no-path-overlap' });
+  });
+
+  it('links identities that signed with the same key', () => {
+    const result = scorePair(
+      { name: 'John Doe', email: 'john@work.com', commits: 5, signingKeys: ['SHA256:k'] },
+      { name: 'jdoe', email: 'me@home.org', commits: 5, signingKeys: ['SHA256:k'] }
+    );
+    assert.strictEqual(result.confidence, 0.98);
+    assert.strictEqual(result.reason, 'shared-signing-key');
+    assert.deepStrictEqual(result.evidence.at(-1), { signal: 'shared-signing-key' });
+  });
+
+  it('does not link clearly different people through a shared key', () => {
+    const result = scorePair(
+      { name: 'John Doe', email: 'john@example.com', commits: 5, signingKeys: ['ci'] },
+      { name: 'Alice Smith', email: 'alice@example.com', commits: 5, signingKeys: ['ci'] }
+    );
+    assert.strictEqual(result.confidence, 0);
+    assert.deepStrictEqual(result.evidence, [{ signal: 'signing-key-conflict' }]);
+  });
+
+  it('does not link identities on timelines alone', () => {
+    const timeline = { firstCommit: 0, lastCommit: 0, activeMonths: ['1970-01'] };
+    const result = scorePair(
+      { name: 'Alice', email: 'alice@a.com', commits: 1, ...timeline },
+      { name: 'Bob', email: 'bob@b.com', commits: 1, ...timeline }
+    );
+    assert.strictEqual(result.confidence, 0);
+  });
+
+  it('flags name mismatches on shared emails', () => {
+    const result = scorePair(
+      { name: 'John Doe', email: 'shared@example.com', commits: 1 },
+      { name: 'Zed', email: 'shared@example.com', commits: 1 }
+    );
+
+    assert.strictEqual(result.reason, 'exact-email-name-mismatch');
+    assert.strictEqual(result.evidence[1].signal, 'name-mismatch');
+  });
+
+  it('returns zero confidence for unrelated identities', () => {
+    const result = scorePair(
+      { name: 'John Doe', email: 'john@example.com', commits: 1 },
+      { name: 'Alice Smith', email: 'alice@other.com', commits: 1 }
+    );
+
+    assert.strictEqual(result.confidence, 0);
+    assert.deepStrictEqual(result.evidence, []);
+  });
+});
+
+describe('per-alias scoring', () => {
+  const authors = [
+    { name: 'Jane Roe', email: 'jane.roe@company.com', commits: 50 },
+    { name: 'Jane Roe', email: 'jroe@gmail.com', commits: 20 },
+    { name: 'jroe', email: '123+jroe@users.noreply.github.com', commits: 5 },
+  ];
+
+  it('gives every alias its own score and evidence', () => {
+    const [cluster] = findClusters(authors);
+    const [personal, noreply] = cluster.aliases;
+
+    assert.strictEqual(personal.confidence, 0.7);
+    assert.strictEqual(personal.evidence[0].signal, 'name-similarity');
+    assert.strictEqual(personal.via, undefined);
+
+    assert.strictEqual(noreply.evidence[0].signal, 'github-noreply-match');
+    assert.strictEqual(noreply.via, 'Jane Roe <jroe@gmail.com>');
+    assert.strictEqual(cluster.confidence, 0.7);
+    assert.strictEqual(cluster.links.length, 2);
+  });
+
+  it('re-scores aliases for a different canonical', () => {
+    const [cluster] = findClusters(authors);
+    const identities = [cluster.canonical, ...cluster.aliases];
+
+    const aliases = scoreAliases(identities[1], identities, cluster.links);
+    assert.strictEqual(aliases.length, 2);
+    assert.ok(aliases.every((a) => a.via === undefined));
+    assert.strictEqual(aliases[0].email, 'jane.roe@company.com');
+  });
+});
+
+describe('candidatePairs', () => {
+  // Names built from shared parts so that many of them are near misses
+  const FIRST = ['Anna', 'Anne', 'Jon', 'John', 'José', 'Jose', 'Li', 'Lee', 'Maria', 'Mária'];
+  const LAST = ['Smith', 'Smyth', 'Müller', 'Muller', 'Chen', 'Cheng', 'Doe', 'Do'];
+  const DOMAINS = ['company.com', 'gmail.com', 'users.noreply.github.com'];
+  const identities = [];
+  FIRST.forEach((first, f) => {
+    LAST.forEach((last, l) => {
+      const domain = DOMAINS[(f + l) % DOMAINS.length];
+      const local = (f + l) % 2 ? `${first}.${last}` : `${f}+${first[0]}${last}`;
+      identities.push({
+        name: (f * l) % 3 ? `${first} ${last}` : `${last}, ${first}`,
+        email: `${local.toLowerCase()}@${domain}`,
+        commits: 1 + ((f * 7 + l) % 13),
+      });
+    });
+  });
+
+  it('finds every pair that clears the confidence threshold', () => {
+    const found = new Set(
+      candidatePairs(identities).map(([i, j]) => `${Math.min(i, j)},${Math.max(i, j)}`)
+    );
+    for (let i = 0; i < identities.length; i++) {
+      for (let j = i + 1; j < identities.length; j++) {
+        if (scorePair(identities[i], identities[j]).confidence >= 0.6) {
+          assert.ok(found.has(`${i},${j}`), `missing pair ${i},${j}`);
+        }
+      }
+    }
+  });
+
+  it('pairs identities that share a signing key', () => {
+    const keyed = [
+      { name: 'John Doe', email: 'john@work.com', commits: 1, signingKeys: ['k'] },
+      { name: 'Zed', email: 'zed@example.com', commits: 1 },
+      { name: 'jd', email: 'me@home.org', commits: 1, signingKeys: ['k'] },
+    ];
+    assert.deepStrictEqual(candidatePairs(keyed), [[0, 2]]);
+  });
+
+  it('skips most pairs', () => {
+    const total = (identities.length * (identities.length - 1)) / 2;
+    assert.ok(candidatePairs(identities).length < total / 2);
+  });
+
+  it('yields the same clusters as comparing every pair', () => {
+    assert.deepStrictEqual(
+      findClusters(identities),
+      findClusters(identities, { exhaustive: true })
+    );
+  });
+});
+
+describe('signingKeyConflicts', () => {
+  it('lists keys used by clearly different people', () => {
+    const authors = [
+      { name: 'John Doe', email: 'john@example.com', commits: 3, signingKeys: ['ci', 'john'] },
+      { name: 'Alice Smith', email: 'alice@example.com', commits: 2, signingKeys: ['ci'] },
+      { name: 'jdoe', email: 'jdoe@home.org', commits: 1, signingKeys: ['john'] },
+    ];
+    assert.deepStrictEqual(signingKeyConflicts(authors), [
+      { key: 'ci', identities: [authors[0], authors[1]] },
+    ]);
+  });
+
+  it('returns nothing without signing keys', () => {
+    assert.deepStrictEqual(
+      signingKeyConflicts([{ name: 'John Doe', email: 'john@example.com', commits: 1 }]),
+      []
+    );
+  });
 });
 
 describe('analyzeIdentities', () => {
@@ -205,6 +684,18 @@ describe('analyzeIdentities', () => {
     assert.strictEqual(stats.noreplyEmails, 1);
   });
 
+  it('counts co-author credits', () => {
+    const authors = [
+      { name: 'John', email: 'john@example.com', commits: 10, coAuthored: 2 },
+      { name: 'Alice', email: 'alice@example.com', commits: 0, coAuthored: 3 },
+    ];
+
+    const stats = analyzeIdentities(authors);
+    assert.strictEqual(stats.totalCommits, 10);
+    assert.strictEqual(stats.coAuthorCredits, 5);
+    assert.strictEqual(stats.coAuthorOnly, 1);
+  });
+
   it('handles empty input', () => {
     const stats = analyzeIdentities([]);
     assert.strictEqual(stats.totalIdentities, 0);
@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { foldName, tokenizeName, transliterate } from '../src/normalize.js';
+
+describe('foldName', () => {
+  it('lowercases and strips Latin diacritics', () => {
+    assert.strictEqual(foldName('ÉLODIE Ñúñez'), 'elodie nunez');
+  });
+
+  it('applies folds that toLowerCase misses', () => {
+    assert.strictEqual(foldName('Groß'), 'gross');
+    assert.strictEqual(foldName('Søren Ærø'), 'soren aero');
+  });
+
+  it('keeps marks that belong to the letter', () => {
+    assert.strictEqual(foldName('राम'), 'राम');
+  });
+
+  it('keeps Hangul syllables intact', () => {
+    assert.strictEqual(foldName('김민수'), '김민수');
+  });
+});
+
+describe('tokenizeName', () => {
+  it('splits on punctuation and whitespace', () => {
+    assert.deepStrictEqual(tokenizeName("o'brien,  john"), [
+      'o',
+      'brien',
+      'john',
+    ]);
+  });
+
+  it('splits where the script changes', () => {
+    assert.deepStrictEqual(tokenizeName('李lee'), ['李', 'lee']);
+    assert.deepStrictEqual(tokenizeName('山田さくら'), ['山田', 'さくら']);
+  });
+
+  it('keeps digits with their word', () => {
+    assert.deepStrictEqual(tokenizeName('dev42'), ['dev42']);
+  });
+});
+
+describe('transliterate', () => {
+  it('transliterates Cyrillic', () => {
+    assert.strictEqual(transliterate('щукин'), 'shchukin');
+  });
+
+  it('transliterates Greek', () => {
+    assert.strictEqual(transliterate('νικοσ'), 'nikos');
+  });
+
+  it('leaves other scripts alone', () => {
+    assert.strictEqual(transliterate('王 lee'), '王 lee');
+  });
+});
@@ -0,0 +1,225 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { execFileSync } from 'node:child_process';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+  findRepositories,
+  combineRepositories,
+  scanRepositories,
+  organizationClusters,
+  repositoryClusters,
+} from '../src/org.js';
+import { findClusters } from '../src/matcher.js';
+import { parseOverrides } from '../src/overrides.js';
+import { formatIdentity } from '../src/identity.js';
+
+const env = {
+  ...process.env,
+  GIT_CONFIG_NOSYSTEM: '1',
+  GIT_COMMITTER_NAME: 'Committer',
+  GIT_COMMITTER_EMAIL: 'committer@example.com',
+};
+
+/**
+ * Create a repository with one commit per author inside a parent directory
+ * @param {string} parent - Parent directory
+ * @param {string} name - Repository directory name
+ * @param {string[][]} authors - [name, email] per commit
+ * @returns {string} Repository path
+ */
+function createRepo(parent, name, authors) {
+  const dir = join(parent, name);
+  mkdirSync(dir);
+  execFileSync('git', ['init', '-q'], { cwd: dir, env });
+  for (const [author, email] of authors) {
+    execFileSync(
+      'git',
+      ['commit', '-q', '--allow-empty', '-m', 'commit', `--author=${author} <${email}>`],
+      { cwd: dir, env }
+    );
+  }
+  return dir;
+}
+
+// One person across two repositories
+const combined = combineRepositories([
+  {
+    repository: 'api',
+    authors: [
+      { name: 'John Doe', email: 'john@company.com', commits: 100 },
+      { name: 'John D', email: 'john@company.com', commits: 1 },
+    ],
+  },
+  {
+    repository: 'web',
+    authors: [
+      { name: 'John Doe', email: 'jd@personal.dev', commits: 30 },
+      { name: 'John D', email: 'john@company.com', commits: 1 },
+    ],
+  },
+]);
+
+describe('combineRepositories', () => {
+  it('adds up counts and keeps them per repository', () => {
+    const authors = combineRepositories([
+      {
+        repository: 'api',
+        authors: [{ name: 'John Doe', email: 'john@company.com', commits: 3 }],
+      },
+      {
+        repository: 'web',
+        authors: [
+          { name: 'Jane Roe', email: 'jane@company.com', commits: 1 },
+          { name: 'John Doe', email: 'john@company.com', commits: 2 },
+        ],
+      },
+    ]);
+
+    assert.deepStrictEqual(authors, [
+      {
+        name: 'John Doe',
+        email: 'john@company.com',
+        commits: 5,
+        repositories: { api: 3, web: 2 },
+      },
+      {
+        name: 'Jane Roe',
+        email: 'jane@company.com',
+        commits: 1,
+        repositories: { web: 1 },
+      },
+    ]);
+  });
+
+  it('counts co-authored commits towards a repository', () => {
+    const [author] = combineRepositories([
+      {
+        repository: 'api',
+        authors: [{ name: 'John Doe', email: 'john@company.com', commits: 0, coAuthored: 4 }],
+      },
+    ]);
+    assert.strictEqual(author.coAuthored, 4);
+    assert.deepStrictEqual(author.repositories, { api: 4 });
+  });
+
+  it('keeps combined paths within the path limit', () => {
+    const [author] = combineRepositories(
+      [
+        {
+          repository: 'api',
+          authors: [{ name: 'John Doe', email: 'john@company.com', commits: 1, paths: ['a.js'] }],
+        },
+        {
+          repository: 'web',
+          authors: [
+            { name: 'John Doe', email: 'john@company.com', commits: 1, paths: ['a.js', 'b.js'] },
+          ],
+        },
+      ],
+      { pathLimit: 2 }
+    );
+    assert.deepStrictEqual(author.paths, ['api/a.js', 'web/a.js']);
+  });
+});
+
+describe('organizationClusters', () => {
+  it('selects the canonical over all repositories', () => {
+    const [cluster] = organizationClusters(findClusters(combined));
+    assert.strictEqual(cluster.canonical.email, 'john@company.com');
+    assert.strictEqual(cluster.canonical.name, 'John Doe');
+    assert.strictEqual(cluster.aliases.length, 2);
+  });
+
+  it('respects pinned canonicals', () => {
+    const overrides = {
+      mustLink: [],
+      cannotLink: [],
+      ignore: [],
+      canonical: [{ name: 'John Doe', email: 'jd@personal.dev' }],
+    };
+    const [cluster] = organizationClusters(findClusters(combined), { overrides });
+    assert.strictEqual(cluster.canonical.email, 'jd@personal.dev');
+    assert.ok(cluster.aliases.some((a) => a.email === 'john@company.com'));
+  });
+
+  it('rescores the aliases against the new canonical', () => {
+    const clusters = findClusters([
+      { name: 'John Doe', email: 'john@company.com', commits: 100 },
+      { name: 'johnd', email: 'john@company.com', commits: 30 },
+    ]);
+    const overrides = parseOverrides({ canonical: ['johnd <john@company.com>'] });
+    const [cluster] = organizationClusters(clusters, { overrides });
+
+    assert.strictEqual(cluster.canonical.name, 'johnd');
+    assert.deepStrictEqual(
+      cluster.aliases.map((a) => [a.name, a.confidence, a.evidence[0].signal]),
+      [['John Doe', 1, 'exact-email']]
+    );
+  });
+});
+
+describe('repositoryClusters', () => {
+  it('keeps the aliases of one repository and the shared canonical', () => {
+    const clusters = organizationClusters(findClusters(combined));
+    const [api] = repositoryClusters(clusters, 'api');
+    const [web] = repositoryClusters(clusters, 'web');
+
+    assert.strictEqual(api.canonical, web.canonical);
+    assert.deepStrictEqual(api.aliases.map(formatIdentity), ['John D <john@company.com>']);
+    assert.deepStrictEqual(web.aliases.map(formatIdentity).sort(), [
+      'John D <john@company.com>',
+      'John Doe <jd@personal.dev>',
+    ]);
+  });
+
+  it('drops clusters with no alias in the repository', () => {
+    const clusters = organizationClusters(findClusters(combined));
+    assert.deepStrictEqual(repositoryClusters(clusters, 'docs'), []);
+  });
+});
+
+describe('findRepositories and scanRepositories', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'authorsync-org-'));
+    createRepo(dir, 'web', [
+      ['John Doe', 'john@company.com'],
+      ['johnd', 'jd@personal.dev'],
+    ]);
+    const api = createRepo(dir, 'api', [
+      ['J. Doe', 'john@company.com'],
+      ['Jane Roe', 'jane@company.com'],
+    ]);
+    mkdirSync(join(dir, 'notes'));
+    writeFileSync(join(api, '.mailmap'), 'John Doe <john@company.com>\n');
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('lists git repositories in a directory', () => {
+    assert.deepStrictEqual(findRepositories(dir), [join(dir, 'api'), join(dir, 'web')]);
+  });
+
+  it('fails for a missing directory', () => {
+    assert.throws(() => findRepositories(join(dir, 'missing')), /Cannot read directory/);
+  });
+
+  it('applies each repository mailmap before combining', async () => {
+    const repositories = findRepositories(dir);
+    const authors = await scanRepositories(repositories);
+    const john = authors.find((a) => a.name === 'John Doe');
+
+    assert.strictEqual(john.commits, 2);
+    assert.deepStrictEqual(john.repositories, {
+      [join(dir, 'api')]: 1,
+      [join(dir, 'web')]: 1,
+    });
+    assert.ok(!authors.some((a) => a.name === 'J. Doe'));
+  });
+});
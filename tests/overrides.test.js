@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import {
+  emptyOverrides,
+  parseOverrides,
+  isIgnored,
+  isMustLink,
+  isCannotLink,
+  pinnedCanonical,
+} from '../src/overrides.js';
+
+const john = { name: 'John Doe', email: 'john@company.com', commits: 10 };
+const johnPersonal = { name: 'John Doe', email: 'jd@personal.dev', commits: 5 };
+const otherJohn = { name: 'John Doe', email: 'john@other.org', commits: 3 };
+
+describe('parseOverrides', () => {
+  it('parses all sections', () => {
+    const overrides = parseOverrides({
+      mustLink: [['John Doe <john@company.com>', 'jd@personal.dev']],
+      cannotLink: [['john@company.com', '<john@other.org>']],
+      ignore: ['ci@company.com'],
+      canonical: ['John Doe <john@company.com>'],
+    });
+
+    assert.deepStrictEqual(overrides.mustLink[0][0], {
+      name: 'John Doe',
+      email: 'john@company.com',
+    });
+    assert.strictEqual(overrides.cannotLink[0][1].email, 'john@other.org');
+    assert.strictEqual(overrides.ignore.length, 1);
+    assert.strictEqual(overrides.canonical.length, 1);
+  });
+
+  it('defaults missing sections to empty', () => {
+    assert.deepStrictEqual(parseOverrides({}), emptyOverrides());
+  });
+
+  it('rejects malformed identities', () => {
+    assert.throws(
+      () => parseOverrides({ ignore: ['not an identity'] }),
+      /bad identity/
+    );
+  });
+
+  it('rejects groups with a single identity', () => {
+    assert.throws(
+      () => parseOverrides({ mustLink: [['john@company.com']] }),
+      /at least two/
+    );
+  });
+
+  it('rejects non-object input', () => {
+    assert.throws(() => parseOverrides([]), /expected an object/);
+  });
+});
+
+describe('override predicates', () => {
+  const overrides = parseOverrides({
+    mustLink: [['john@company.com', 'jd@personal.dev']],
+    cannotLink: [['john@company.com', 'john@other.org']],
+    ignore: ['<ci@company.com>'],
+    canonical: ['jd@personal.dev'],
+  });
+
+  it('detects ignored identities', () => {
+    assert.ok(isIgnored({ name: 'CI', email: 'CI@company.com' }, overrides));
+    assert.ok(!isIgnored(john, overrides));
+  });
+
+  it('detects must-link pairs', () => {
+    assert.ok(isMustLink(john, johnPersonal, overrides));
+    assert.ok(!isMustLink(john, otherJohn, overrides));
+  });
+
+  it('detects cannot-link pairs', () => {
+    assert.ok(isCannotLink(john, otherJohn, overrides));
+    assert.ok(!isCannotLink(john, johnPersonal, overrides));
+  });
+
+  it('finds the pinned canonical', () => {
+    assert.strictEqual(
+      pinnedCanonical([john, johnPersonal], overrides),
+      johnPersonal
+    );
+    assert.strictEqual(pinnedCanonical([john, otherJohn], overrides), null);
+  });
+
+  it('treats missing overrides as no rules', () => {
+    assert.ok(!isIgnored(john));
+    assert.ok(!isMustLink(john, johnPersonal));
+    assert.strictEqual(pinnedCanonical([john]), null);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { comparePaths, mergePaths, PATH_LIMIT } from '../src/paths.js';
+
+describe('comparePaths', () => {
+  it('measures overlap against the smaller set', () => {
+    const a = { paths: ['a.js', 'b.js', 'c.js', 'd.js'] };
+    const b = { paths: ['a.js', 'b.js', 'c.js', 'x.js', 'y.js', 'z.js'] };
+    assert.deepStrictEqual(comparePaths(a, b), { signal: 'path-overlap', value: 0.75 });
+    assert.deepStrictEqual(comparePaths(b, a), { signal: 'path-overlap', value: 0.75 });
+  });
+
+  it('sees paths replaced with a list of the same size', () => {
+    const a = { paths: ['a.js', 'b.js', 'c.js'] };
+    const b = { paths: ['x.js', 'y.js', 'z.js', 'w.js'] };
+    assert.deepStrictEqual(comparePaths(a, b), { signal: 'no-path-overlap' });
+
+    b.paths = ['a.js', 'b.js', 'c.js', 'w.js'];
+    assert.deepStrictEqual(comparePaths(a, b), { signal: 'path-overlap', value: 1 });
+  });
+
+  it('reports identities that never touched the same file', () => {
+    const a = { paths: ['a.js', 'b.js', 'c.js'] };
+    const b = { paths: ['x.js', 'y.js', 'z.js'] };
+    assert.deepStrictEqual(comparePaths(a, b), { signal: 'no-path-overlap' });
+  });
+
+  it('needs enough paths on both identities', () => {
+    const a = { paths: ['a.js', 'b.js', 'c.js'] };
+    assert.strictEqual(comparePaths(a, { paths: ['a.js'] }), null);
+    assert.strictEqual(comparePaths(a, {}), null);
+  });
+
+  it('sees paths added to an identity after an earlier comparison', () => {
+    const a = { paths: ['a.js', 'b.js', 'c.js'] };
+    const b = { paths: ['x.js', 'y.js', 'z.js', 'w.js'] };
+    assert.strictEqual(comparePaths(a, b).signal, 'no-path-overlap');
+    mergePaths(b, { paths: ['a.js'] });
+    assert.strictEqual(comparePaths(a, b).signal, 'path-overlap');
+  });
+});
+
+describe('mergePaths', () => {
+  it('joins paths without duplicates, sorted', () => {
+    const target = { paths: ['b.js', 'a.js'] };
+    mergePaths(target, { paths: ['c.js', 'a.js'] });
+    assert.deepStrictEqual(target.paths, ['a.js', 'b.js', 'c.js']);
+  });
+
+  it('copies paths onto an identity without any', () => {
+    const target = {};
+    mergePaths(target, { paths: ['a.js'] });
+    assert.deepStrictEqual(target.paths, ['a.js']);
+  });
+
+  it('keeps at most the limit, preferring the target paths', () => {
+    const target = { paths: ['x.js', 'y.js'] };
+    mergePaths(target, { paths: ['a.js', 'b.js'] }, 3);
+    assert.deepStrictEqual(target.paths, ['a.js', 'x.js', 'y.js']);
+  });
+
+  it('never drops below what either identity had by default', () => {
+    const many = Array.from({ length: PATH_LIMIT + 5 }, (_, i) => `f${i}`);
+    const target = { paths: many };
+    mergePaths(target, { paths: ['extra'] });
+    assert.strictEqual(target.paths.length, PATH_LIMIT + 5);
+  });
+});
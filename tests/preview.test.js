@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { previewMailmap } from '../src/preview.js';
+
+const authors = [
+  { name: 'John Doe', email: 'john@example.com', commits: 10 },
+  { name: 'John D', email: 'john@example.com', commits: 3 },
+  { name: 'jdoe', email: 'jdoe@gmail.com', commits: 2 },
+  { name: 'alice', email: 'alice@example.com', commits: 4 },
+  { name: 'Bob', email: 'bob@example.com', commits: 1 },
+];
+
+const proposed = `John Doe <john@example.com> John D <john@example.com>
+John Doe <john@example.com> <jdoe@gmail.com>
+Alice Smith <alice@example.com>
+`;
+
+describe('previewMailmap', () => {
+  it('lists contributors before and after', () => {
+    const { before, after } = previewMailmap(authors, { proposed });
+    assert.strictEqual(before.length, 5);
+    assert.deepStrictEqual(
+      after.map((row) => [row.name, row.commits]),
+      [
+        ['John Doe', 15],
+        ['Alice Smith', 4],
+        ['Bob', 1],
+      ]
+    );
+  });
+
+  it('marks merged and renamed rows', () => {
+    const { after } = previewMailmap(authors, { proposed });
+    const [john, alice, bob] = after;
+    assert.strictEqual(john.merged, true);
+    assert.deepStrictEqual(
+      john.from.map((row) => row.name),
+      ['John Doe', 'John D', 'jdoe']
+    );
+    assert.strictEqual(alice.renamed, true);
+    assert.strictEqual(alice.merged, false);
+    assert.strictEqual(bob.merged || bob.renamed, false);
+  });
+
+  it('summarizes the change with generateStats numbers', () => {
+    const { stats } = previewMailmap(authors, { proposed });
+    assert.strictEqual(stats.authorsBefore, 5);
+    assert.strictEqual(stats.clustersFound, 1);
+    assert.strictEqual(stats.aliasesConsolidated, 2);
+    assert.strictEqual(stats.authorsAfter, 3);
+    assert.strictEqual(stats.commitsAffected, 5);
+    assert.strictEqual(stats.renamed, 1);
+  });
+
+  it('starts from the mailmap in effect today', () => {
+    const current = 'John Doe <john@example.com> John D <john@example.com>\n';
+    const { before, after, stats } = previewMailmap(authors, { current, proposed });
+    assert.strictEqual(before.length, 4);
+    assert.deepStrictEqual(
+      after[0].from.map((row) => [row.name, row.commits]),
+      [
+        ['John Doe', 13],
+        ['jdoe', 2],
+      ]
+    );
+    assert.strictEqual(stats.aliasesConsolidated, 1);
+  });
+
+  it('keeps co-authored counts apart', () => {
+    const { after } = previewMailmap(
+      [
+        { name: 'John Doe', email: 'john@example.com', commits: 2, coAuthored: 1 },
+        { name: 'jdoe', email: 'jdoe@gmail.com', commits: 0, coAuthored: 3 },
+      ],
+      { proposed }
+    );
+    assert.deepStrictEqual(
+      after.map((row) => [row.commits, row.coAuthored]),
+      [[2, 4]]
+    );
+  });
+});
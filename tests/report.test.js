@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import {
+  formatReport,
+  formatMarkdownReport,
+  formatHtmlReport,
+} from '../src/report.js';
+import { findClusters, analyzeIdentities } from '../src/matcher.js';
+import { generateMailmap, generateStats } from '../src/mailmap.js';
+
+const authors = [
+  { name: 'John Doe', email: 'john@company.com', commits: 50 },
+  { name: 'John D', email: 'john@company.com', commits: 5 },
+  { name: 'Alice <Admin> | Ops', email: 'alice@example.com', commits: 3 },
+];
+
+function reportData(extra = {}) {
+  const clusters = findClusters(authors);
+  return {
+    title: 'project',
+    stats: { ...analyzeIdentities(authors), ...generateStats(clusters, authors.length) },
+    clusters,
+    mailmap: generateMailmap(clusters),
+    ...extra,
+  };
+}
+
+describe('formatMarkdownReport', () => {
+  it('includes stats, clusters with evidence and the mailmap', () => {
+    const report = formatMarkdownReport(reportData({ date: '2024-05-01' }));
+
+    assert.match(report, /^# Identity report: project\n/);
+    assert.match(report, /Generated by authorsync on 2024-05-01\./);
+    assert.match(report, /\| Total identities \| 3 \|/);
+    assert.match(report, /\| Clusters found \| 1 \|/);
+    assert.match(report, /### John Doe \\<john@company\.com\\>/);
+    assert.match(report, /\| \*\*John Doe \\<john@company\.com\\>\*\* \(canonical\) \| 50 \|/);
+    assert.match(report, /\| John D \\<john@company\.com\\> \| 5 \| {2}\| 100% exact-email/);
+    assert.match(report, /## Proposed \.mailmap\n\n```\n# \.mailmap/);
+    assert.match(report, /John Doe <john@company\.com> John D <john@company\.com>\n```\n$/);
+  });
+
+  it('escapes table syntax in identities', () => {
+    const data = reportData();
+    data.clusters = [
+      {
+        canonical: authors[2],
+        aliases: [{ ...authors[2], email: 'ops@example.com', commits: 1, confidence: 0.8 }],
+        confidence: 0.8,
+        reason: 'similar-name',
+      },
+    ];
+    const report = formatMarkdownReport(data);
+    assert.ok(report.includes('Alice \\<Admin\\> \\| Ops \\<ops@example.com\\>'));
+  });
+
+  it('uses a longer fence when the mailmap contains one', () => {
+    const report = formatMarkdownReport(reportData({ mailmap: '# ```\n' }));
+    assert.match(report, /````\n# ```\n````/);
+  });
+
+  it('says when there are no clusters', () => {
+    const report = formatMarkdownReport(reportData({ clusters: [] }));
+    assert.match(report, /## Clusters\n\nNo duplicate identities found\./);
+  });
+
+  it('lists signing keys used by different people', () => {
+    const report = formatMarkdownReport(
+      reportData({ signingKeyConflicts: [{ key: 'SHA256:abc', identities: authors.slice(0, 1) }] })
+    );
+    assert.match(report, /- `SHA256:abc`: John Doe \\<john@company\.com\\>/);
+  });
+});
+
+describe('formatHtmlReport', () => {
+  it('builds a standalone page with escaped content', () => {
+    const data = reportData();
+    data.clusters[0].aliases[0].name = 'John <script>';
+    const report = formatHtmlReport(data);
+
+    assert.match(report, /^<!DOCTYPE html>/);
+    assert.match(report, /<title>Identity report: project<\/title>/);
+    assert.match(report, /<style>/);
+    assert.ok(!report.includes('<script'));
+    assert.ok(!/<link|src=/.test(report));
+    assert.match(report, /John &lt;script&gt; &lt;john@company\.com&gt;/);
+    assert.match(report, /<th>Clusters found<\/th><td class="number">1<\/td>/);
+    assert.match(report, /<pre># \.mailmap/);
+  });
+});
+
+describe('formatReport', () => {
+  it('picks the format', () => {
+    const data = reportData();
+    assert.strictEqual(formatReport(data, 'markdown'), formatMarkdownReport(data));
+    assert.strictEqual(formatReport(data, 'html'), formatHtmlReport(data));
+  });
+
+  it('rejects unknown formats', () => {
+    assert.throws(() => formatReport(reportData(), 'pdf'), /Unknown report format: pdf/);
+  });
+});
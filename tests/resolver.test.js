@@ -0,0 +1,160 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { execFileSync } from 'node:child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { createMailmapResolver, resolveIdentities } from '../src/resolver.js';
+
+const MAILMAP = `# Name fix for any name used with the email
+John Doe <john@example.com>
+# Email fix for any name
+<john@example.com> <JD@Example.com>
+# Name-specific mappings win over email-only ones
+Alice Smith <alice@example.com> alice <shared@example.com>
+Bob Jones <bob@example.com> <shared@example.com>
+# Name and email fix for the same key combine
+Carol <carol@example.com>
+<carol@work.com> <carol@example.com>
+`;
+
+describe('createMailmapResolver', () => {
+  const { resolve, lookup } = createMailmapResolver(MAILMAP);
+
+  it('leaves unmapped identities alone', () => {
+    assert.deepStrictEqual(resolve({ name: 'Eve', email: 'eve@example.com' }), {
+      name: 'Eve',
+      email: 'eve@example.com',
+    });
+    assert.strictEqual(lookup({ name: 'Eve', email: 'eve@example.com' }), null);
+  });
+
+  it('replaces only the name for name-only entries', () => {
+    assert.deepStrictEqual(resolve({ name: 'jd', email: 'john@example.com' }), {
+      name: 'John Doe',
+      email: 'john@example.com',
+    });
+  });
+
+  it('matches emails case-insensitively', () => {
+    assert.deepStrictEqual(resolve({ name: 'J', email: 'jd@EXAMPLE.com' }), {
+      name: 'J',
+      email: 'john@example.com',
+    });
+  });
+
+  it('prefers entries for the exact name, matched case-insensitively', () => {
+    assert.deepStrictEqual(resolve({ name: 'ALICE', email: 'shared@example.com' }), {
+      name: 'Alice Smith',
+      email: 'alice@example.com',
+    });
+    assert.deepStrictEqual(resolve({ name: 'Someone', email: 'shared@example.com' }), {
+      name: 'Bob Jones',
+      email: 'bob@example.com',
+    });
+  });
+
+  it('combines entries for the same identity', () => {
+    assert.deepStrictEqual(resolve({ name: 'c', email: 'carol@example.com' }), {
+      name: 'Carol',
+      email: 'carol@work.com',
+    });
+    const mapping = lookup({ name: 'c', email: 'carol@example.com' });
+    assert.deepStrictEqual(
+      mapping.entries.map((e) => e.line),
+      [9, 10]
+    );
+  });
+});
+
+describe('resolveIdentities', () => {
+  it('merges identities that resolve to the same one', () => {
+    const authors = [
+      { name: 'John Doe', email: 'john@example.com', commits: 10 },
+      { name: 'jd', email: 'john@example.com', commits: 3 },
+      { name: 'Alice', email: 'alice@example.com', commits: 5 },
+    ];
+    const resolved = resolveIdentities(authors, MAILMAP);
+    assert.deepStrictEqual(
+      resolved.map((a) => [a.name, a.email, a.commits]),
+      [
+        ['John Doe', 'john@example.com', 13],
+        ['Alice', 'alice@example.com', 5],
+      ]
+    );
+    assert.deepStrictEqual(resolved[0].mappedFrom, [authors[1]]);
+    assert.strictEqual(resolved[1].mappedFrom, undefined);
+  });
+
+  it('adds up co-authored commits', () => {
+    const authors = [
+      { name: 'John Doe', email: 'john@example.com', commits: 2, coAuthored: 1 },
+      { name: 'John Doe', email: 'jd@example.com', commits: 0, coAuthored: 4 },
+    ];
+    const [john] = resolveIdentities(authors, MAILMAP);
+    assert.strictEqual(john.commits, 2);
+    assert.strictEqual(john.coAuthored, 5);
+  });
+
+  it('keeps merged paths within the path limit', () => {
+    const authors = [
+      { name: 'John Doe', email: 'john@example.com', commits: 2, paths: ['a.js', 'b.js'] },
+      { name: 'jd', email: 'john@example.com', commits: 1, paths: ['c.js'] },
+    ];
+    const [john] = resolveIdentities(authors, MAILMAP, { pathLimit: 2 });
+    assert.strictEqual(john.paths.length, 2);
+  });
+});
+
+describe('resolver agrees with git', () => {
+  let repo;
+
+  before(() => {
+    repo = mkdtempSync(join(tmpdir(), 'authorsync-'));
+    const env = {
+      ...process.env,
+      GIT_CONFIG_NOSYSTEM: '1',
+      GIT_COMMITTER_NAME: 'Committer',
+      GIT_COMMITTER_EMAIL: 'committer@example.com',
+    };
+    execFileSync('git', ['init', '-q'], { cwd: repo, env });
+    const authors = [
+      'jd <john@example.com>',
+      'John <JD@Example.com>',
+      'alice <shared@example.com>',
+      'ALICE <SHARED@example.com>',
+      'Somebody <shared@example.com>',
+      'c <carol@example.com>',
+      'Eve <eve@example.com>',
+    ];
+    for (const author of authors) {
+      execFileSync(
+        'git',
+        ['commit', '-q', '--allow-empty', '-m', 'commit', `--author=${author}`],
+        { cwd: repo, env }
+      );
+    }
+    writeFileSync(join(repo, '.mailmap'), MAILMAP);
+  });
+
+  after(() => {
+    rmSync(repo, { recursive: true, force: true });
+  });
+
+  it('resolves every commit the way git log does', () => {
+    const log = execFileSync('git', ['log', '--format=%an%x1f%ae%x1f%aN%x1f%aE'], {
+      cwd: repo,
+      encoding: 'utf-8',
+    });
+    const { resolve } = createMailmapResolver(MAILMAP);
+
+    for (const line of log.trim().split('\n')) {
+      const [name, email, mappedName, mappedEmail] = line.split('\x1f');
+      assert.deepStrictEqual(resolve({ name, email }), {
+        name: mappedName,
+        email: mappedEmail,
+      });
+    }
+  });
+});
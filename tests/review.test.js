@@ -0,0 +1,191 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import {
+  clusterIdentities,
+  applyDecisions,
+  recordDecisions,
+  reviewClusters,
+} from '../src/review.js';
+import { findClusters } from '../src/matcher.js';
+import { mergeMailmap } from '../src/mailmap.js';
+import { lintMailmap } from '../src/lint.js';
+
+const authors = [
+  { name: 'John Doe', email: 'john@example.com', commits: 100 },
+  { name: 'John D', email: 'john@example.com', commits: 10 },
+  { name: 'John Doe', email: 'jd@example.com', commits: 5 },
+  { name: 'Alice', email: 'alice@example.com', commits: 3 },
+  { name: 'Alice S', email: 'alice@example.com', commits: 1 },
+];
+
+const clusters = findClusters(authors);
+
+/**
+ * Build review callbacks that answer from a script
+ * @param {string[]} answers - Scripted answers
+ */
+function scripted(answers) {
+  const output = [];
+  return {
+    output,
+    io: {
+      ask: async () => answers.shift() ?? 'q',
+      print: (text) => output.push(text),
+    },
+  };
+}
+
+describe('clusterIdentities', () => {
+  it('returns sorted identity strings', () => {
+    const [john] = clusters;
+    assert.deepStrictEqual(clusterIdentities(john), [
+      'John D <john@example.com>',
+      'John Doe <jd@example.com>',
+      'John Doe <john@example.com>',
+    ]);
+  });
+});
+
+describe('reviewClusters', () => {
+  it('records accept and reject decisions', async () => {
+    const { io } = scripted(['a', 'r']);
+    const { decisions, quit } = await reviewClusters(clusters, io);
+
+    assert.strictEqual(quit, false);
+    assert.strictEqual(decisions.length, 2);
+    assert.strictEqual(decisions[0].status, 'accepted');
+    assert.strictEqual(decisions[0].canonical, 'John Doe <john@example.com>');
+    assert.strictEqual(decisions[1].status, 'rejected');
+  });
+
+  it('splits aliases and changes the canonical', async () => {
+    const { io } = scripted(['s 3', 'c 2', 'a']);
+    const { decisions } = await reviewClusters(clusters.slice(0, 1), io);
+
+    assert.strictEqual(decisions[0].canonical, 'John D <john@example.com>');
+    assert.deepStrictEqual(decisions[0].excluded, ['John Doe <jd@example.com>']);
+  });
+
+  it('rejects when every alias is split off', async () => {
+    const { io } = scripted(['s 2,3']);
+    const { decisions } = await reviewClusters(clusters.slice(0, 1), io);
+    assert.strictEqual(decisions[0].status, 'rejected');
+  });
+
+  it('re-asks on invalid input and skips without deciding', async () => {
+    const { io, output } = scripted(['x', 's 1', 'k']);
+    const { decisions } = await reviewClusters(clusters.slice(0, 1), io);
+
+    assert.strictEqual(decisions.length, 0);
+    assert.ok(output.includes('  Unknown choice'));
+  });
+
+  it('stops on quit', async () => {
+    const { io } = scripted(['q']);
+    const { decisions, quit } = await reviewClusters(clusters.slice(0, 1), io);
+    assert.strictEqual(quit, true);
+    assert.strictEqual(decisions.length, 0);
+  });
+});
+
+describe('applyDecisions', () => {
+  it('leaves undecided clusters pending', () => {
+    const result = applyDecisions(clusters, { version: 1, decisions: [] });
+    assert.strictEqual(result.pending.length, 2);
+  });
+
+  it('applies canonical choice and exclusions', () => {
+    const [cluster] = clusters;
+    const record = {
+      version: 1,
+      decisions: [
+        {
+          identities: clusterIdentities(cluster),
+          status: 'accepted',
+          canonical: 'John D <john@example.com>',
+          excluded: ['John Doe <jd@example.com>'],
+        },
+      ],
+    };
+
+    const { accepted, pending } = applyDecisions([cluster], record);
+    assert.strictEqual(pending.length, 0);
+    assert.strictEqual(accepted[0].canonical.name, 'John D');
+    assert.deepStrictEqual(
+      accepted[0].aliases.map((a) => a.name),
+      ['John Doe']
+    );
+  });
+
+  it('rescores evidence and retargets curated entries for a chosen canonical', () => {
+    // John D <jdoe@gmail.com> is already mapped to John Doe <john@work.com>
+    const [cluster] = findClusters([
+      { name: 'John Doe', email: 'john@work.com', commits: 34 },
+      { name: 'johnd', email: 'john@work.com', commits: 3 },
+    ]);
+    const record = {
+      version: 1,
+      decisions: [
+        {
+          identities: clusterIdentities(cluster),
+          status: 'accepted',
+          canonical: 'johnd <john@work.com>',
+        },
+      ],
+    };
+    const { accepted } = applyDecisions([cluster], record);
+
+    assert.strictEqual(accepted[0].canonical.evidence, undefined);
+    assert.deepStrictEqual(
+      accepted[0].aliases.map((a) => [a.name, a.confidence, a.evidence[0].signal]),
+      [['John Doe', 1, 'exact-email']]
+    );
+
+    const existing = 'John Doe <john@work.com> John D <jdoe@gmail.com>\n';
+    const { content } = mergeMailmap(existing, accepted, { reselect: false });
+    assert.ok(content.startsWith('johnd <john@work.com> John D <jdoe@gmail.com>\n'));
+    assert.ok(content.includes('# John Doe <john@work.com>: 100% exact-email'));
+    assert.deepStrictEqual(lintMailmap(content), []);
+  });
+
+  it('shows evidence against the canonical being chosen', async () => {
+    const [cluster] = findClusters([
+      { name: 'John Doe', email: 'john@work.com', commits: 34 },
+      { name: 'johnd', email: 'john@work.com', commits: 3 },
+      { name: 'John Doe', email: 'jdoe@gmail.com', commits: 4 },
+    ]);
+    const { io, output } = scripted(['c 3', 'a']);
+    await reviewClusters([cluster], io);
+
+    const listed = output.filter((line) => line.includes('jdoe@gmail.com'));
+    assert.ok(!listed[0].includes('via'));
+    assert.match(listed[1], /via John Doe <john@work\.com>/);
+  });
+
+  it('asks again when cluster membership changed', () => {
+    const [cluster] = findClusters(authors);
+    const record = {
+      version: 1,
+      decisions: [{ identities: clusterIdentities(cluster), status: 'rejected' }],
+    };
+    cluster.aliases.push({ name: 'J', email: 'j@example.com', commits: 1 });
+
+    const { pending, rejected } = applyDecisions([cluster], record);
+    assert.strictEqual(pending.length, 1);
+    assert.strictEqual(rejected.length, 0);
+  });
+});
+
+describe('recordDecisions', () => {
+  it('replaces earlier decisions for the same cluster', () => {
+    const identities = clusterIdentities(clusters[0]);
+    const record = recordDecisions(
+      { version: 1, decisions: [{ identities, status: 'rejected' }] },
+      [{ identities, status: 'accepted', canonical: identities[0] }]
+    );
+
+    assert.strictEqual(record.decisions.length, 1);
+    assert.strictEqual(record.decisions[0].status, 'accepted');
+  });
+});
@@ -0,0 +1,246 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { execFileSync, spawnSync } from 'node:child_process';
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { delimiter, join } from 'node:path';
+
+import {
+  rewriteMailmap,
+  planRewrite,
+  formatRewriteScript,
+  rewriteTarget,
+} from '../src/rewrite.js';
+import { lintMailmap } from '../src/lint.js';
+
+const john = { name: 'John Doe', email: 'john@company.com', commits: 50 };
+const johnD = { name: 'John D', email: 'john@company.com', commits: 5 };
+const jd = { name: 'JD', email: 'jd@personal.dev', commits: 3 };
+
+describe('rewriteMailmap', () => {
+  it('keeps existing entries and adds clusters without comments', () => {
+    const existing = '# curated\nJane Roe <jane@example.com> <jane@old.org> # moved\n';
+    const mailmap = rewriteMailmap(existing, {
+      reviewed: [{ canonical: john, aliases: [{ ...johnD, confidence: 0.95 }] }],
+    });
+
+    assert.strictEqual(
+      mailmap,
+      'Jane Roe <jane@example.com> <jane@old.org>\n' +
+        'John Doe <john@company.com> John D <john@company.com>\n'
+    );
+  });
+
+  it('keeps reviewed canonicals and selects one for unreviewed clusters', () => {
+    // Selection prefers more commits, so it would never pick JD or Jane R
+    const jane = { name: 'Jane Roe', email: 'jane@example.com', commits: 20 };
+    const janeR = { name: 'Jane R', email: 'jane@example.com', commits: 2 };
+    const mailmap = rewriteMailmap(null, {
+      reviewed: [{ canonical: jd, aliases: [john] }],
+      unreviewed: [{ canonical: janeR, aliases: [jane] }],
+    });
+
+    assert.strictEqual(
+      mailmap,
+      'JD <jd@personal.dev> John Doe <john@company.com>\n' +
+        'Jane Roe <jane@example.com> Jane R <jane@example.com>\n'
+    );
+  });
+
+  it('maps commits behind a clustered curated target to the new canonical', () => {
+    const existing = 'Jane Smith <jane@x.org> Jane S <js@old.org>\n';
+    const mailmap = rewriteMailmap(existing, {
+      unreviewed: [
+        {
+          canonical: { name: 'Jane Smith', email: 'jane.smith@corp.com', commits: 5 },
+          aliases: [{ name: 'Jane Smith', email: 'jane@x.org', commits: 1 }],
+        },
+      ],
+    });
+
+    assert.strictEqual(
+      mailmap,
+      'Jane Smith <jane.smith@corp.com> Jane S <js@old.org>\n' +
+        'Jane Smith <jane.smith@corp.com> Jane Smith <jane@x.org>\n'
+    );
+    assert.deepStrictEqual(lintMailmap(mailmap), []);
+
+    const recorded = [{ name: 'Jane S', email: 'js@old.org', commits: 1 }];
+    assert.deepStrictEqual(
+      planRewrite(recorded, recorded, mailmap).changes.map((c) => c.to.email),
+      ['jane.smith@corp.com']
+    );
+  });
+
+  it('resolves chains in the existing mailmap', () => {
+    const existing =
+      'Jane Roe <jane@example.com> J <j@old.org>\n' +
+      'Jane R <jr@example.com> <jane@example.com>\n' +
+      'Jane Roe <jane@example.com> Janie <janie@old.org>\n' +
+      'Janie <janie@old.org> JR <jr@old.org>\n';
+
+    const mailmap = rewriteMailmap(existing, {});
+    assert.strictEqual(
+      mailmap,
+      'Jane R <jr@example.com> J <j@old.org>\n' +
+        'Jane R <jr@example.com> <jane@example.com>\n' +
+        'Jane R <jr@example.com> Janie <janie@old.org>\n' +
+        'Jane R <jr@example.com> JR <jr@old.org>\n'
+    );
+    assert.deepStrictEqual(lintMailmap(mailmap), []);
+  });
+
+  it('is empty when nothing is mapped', () => {
+    assert.strictEqual(rewriteMailmap(null, {}), '');
+  });
+});
+
+describe('planRewrite', () => {
+  const authors = [john, johnD, { name: 'Jane Roe', email: 'jane@example.com', commits: 4 }];
+  // John D also committed 2 commits someone else authored
+  const identities = [
+    { ...john, commits: 50 },
+    { ...johnD, commits: 7 },
+    { name: 'Jane Roe', email: 'jane@example.com', commits: 4 },
+    { name: 'Bot', email: 'bot@ci.example', commits: 9 },
+  ];
+
+  it('counts authored and committed commits per changed identity', () => {
+    const plan = planRewrite(
+      authors,
+      identities,
+      'John Doe <john@company.com> John D <john@company.com>\n'
+    );
+
+    assert.deepStrictEqual(plan, {
+      changes: [
+        {
+          from: { name: 'John D', email: 'john@company.com' },
+          to: { name: 'John Doe', email: 'john@company.com' },
+          authored: 5,
+          committed: 2,
+        },
+      ],
+      authored: 5,
+      committed: 2,
+    });
+  });
+
+  it('applies mailmap entries with git lookup rules', () => {
+    const plan = planRewrite(authors, identities, '<john@example.org> <JOHN@company.com>\n');
+    assert.deepStrictEqual(
+      plan.changes.map((c) => [c.from.name, c.to.email, c.authored + c.committed]),
+      [
+        ['John Doe', 'john@example.org', 50],
+        ['John D', 'john@example.org', 7],
+      ]
+    );
+    assert.strictEqual(plan.authored, 55);
+  });
+
+  it('is empty when the mailmap changes nothing', () => {
+    assert.deepStrictEqual(planRewrite(authors, identities, ''), {
+      changes: [],
+      authored: 0,
+      committed: 0,
+    });
+  });
+});
+
+describe('formatRewriteScript', () => {
+  it('quotes paths for the shell', () => {
+    const script = formatRewriteScript({
+      repository: "/tmp/it's here",
+      mailmap: '/tmp/plan/mailmap',
+      head: 'abc123',
+    });
+
+    assert.ok(script.startsWith('#!/bin/sh\n'));
+    assert.ok(script.includes(`repository='/tmp/it'\\''s here'\n`));
+    assert.ok(script.includes('git filter-repo --mailmap "$mailmap" "$@"'));
+  });
+});
+
+describe('rewrite script', { skip: process.platform === 'win32' }, () => {
+  const env = {
+    ...process.env,
+    GIT_CONFIG_NOSYSTEM: '1',
+    GIT_AUTHOR_NAME: 'John D',
+    GIT_AUTHOR_EMAIL: 'john@company.com',
+    GIT_COMMITTER_NAME: 'John D',
+    GIT_COMMITTER_EMAIL: 'john@company.com',
+  };
+  let dir;
+  let repo;
+  let script;
+
+  const git = (args) =>
+    execFileSync('git', args, { cwd: repo, env, encoding: 'utf-8' }).trim();
+  const run = () =>
+    spawnSync('sh', [script, '--force'], {
+      env: { ...env, PATH: `${join(dir, 'bin')}${delimiter}${env.PATH}` },
+      input: '',
+      encoding: 'utf-8',
+    });
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'authorsync-rewrite-'));
+    repo = join(dir, 'repo');
+    mkdirSync(repo);
+    git(['init', '-q']);
+    git(['commit', '-q', '--allow-empty', '-m', 'first']);
+
+    // Stand-in for git filter-repo that records its arguments
+    mkdirSync(join(dir, 'bin'));
+    writeFileSync(
+      join(dir, 'bin', 'git-filter-repo'),
+      `#!/bin/sh\necho "$@" > '${join(dir, 'args')}'\n`,
+      { mode: 0o755 }
+    );
+
+    const { head } = rewriteTarget(repo);
+    script = join(dir, 'rewrite.sh');
+    writeFileSync(
+      script,
+      formatRewriteScript({ repository: repo, mailmap: join(dir, 'mailmap'), head })
+    );
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('runs git filter-repo with the mailmap and extra arguments', () => {
+    const result = run();
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.strictEqual(
+      readFileSync(join(dir, 'args'), 'utf-8'),
+      `--mailmap ${join(dir, 'mailmap')} --force\n`
+    );
+  });
+
+  it('refuses to run on a dirty working tree', () => {
+    writeFileSync(join(repo, 'untracked.txt'), 'x');
+    const result = run();
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /uncommitted or untracked changes/);
+  });
+
+  it('refuses to run when HEAD moved since the plan', () => {
+    git(['commit', '-q', '--allow-empty', '-m', 'second']);
+    const result = run();
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /HEAD moved/);
+  });
+});
+
+describe('rewriteTarget', () => {
+  it('rejects a directory outside git', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'authorsync-rewrite-'));
+    try {
+      assert.throws(() => rewriteTarget(dir), /Not a git repository/);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+  parseRoster,
+  loadRoster,
+  rosterPerson,
+  addRosterIdentities,
+  unmatchedIdentities,
+} from '../src/roster.js';
+
+const jane = {
+  id: '1042',
+  name: 'Jane Roe',
+  email: 'jane@corp.com',
+  emails: ['jane@corp.com', 'jroe@corp.com', 'jane.roe@gmail.com'],
+};
+
+describe('parseRoster', () => {
+  it('reads CSV with quoted fields and any column order', () => {
+    const roster = parseRoster(
+      [
+        'Name,Emails,ID,Team',
+        '"Jane Roe","jane@corp.com; jroe@corp.com, jane.roe@gmail.com",1042,Core',
+        '',
+        '"Smith, John",john@corp.com,7,"Web ""UI"""',
+      ].join('\r\n'),
+      'csv'
+    );
+
+    assert.deepStrictEqual(roster.people, [
+      jane,
+      { id: '7', name: 'Smith, John', email: 'john@corp.com', emails: ['john@corp.com'] },
+    ]);
+  });
+
+  it('reads JSON lists with numeric ids or a people object', () => {
+    const people = [{ id: 1042, name: 'Jane Roe', emails: jane.emails }];
+    assert.deepStrictEqual(parseRoster(JSON.stringify(people), 'json').people, [jane]);
+    assert.deepStrictEqual(
+      parseRoster(JSON.stringify({ people }), 'json').people,
+      [jane]
+    );
+  });
+
+  it('drops repeated emails, keeping the first spelling', () => {
+    const roster = parseRoster(
+      JSON.stringify([{ id: 'a', name: 'A', emails: 'A@x.org a@x.org b@x.org' }]),
+      'json'
+    );
+    assert.deepStrictEqual(roster.people[0].emails, ['A@x.org', 'b@x.org']);
+  });
+
+  it('reports bad entries with their position', () => {
+    const csv = (row) =>
+      parseRoster(`id,name,emails\n1,A,a@x.org\n${row}\n`, 'csv', 'people.csv');
+
+    assert.throws(() => csv(',B,b@x.org'), /people\.csv: line 3: missing id/);
+    assert.throws(() => csv('2,,b@x.org'), /line 3: missing name/);
+    assert.throws(() => csv('2,B,'), /line 3: no emails/);
+    assert.throws(() => csv('2,B,not-an-email'), /line 3: bad email "not-an-email"/);
+    assert.throws(() => csv('1,B,b@x.org'), /line 3: person 1 is listed twice/);
+    assert.throws(() => csv('2,B,A@X.org'), /line 3: A@X.org is already listed for person 1/);
+    assert.throws(
+      () => parseRoster(JSON.stringify([{ id: 'a', name: 'A', emails: 3 }]), 'json'),
+      /entry 1: emails must be a list or a string/
+    );
+  });
+
+  it('rejects files without the needed columns or structure', () => {
+    assert.throws(
+      () => parseRoster('id,email\n1,a@x.org\n', 'csv'),
+      /"id", "name" and "emails"/
+    );
+    assert.throws(() => parseRoster('{"id": 1}', 'json'), /expected an array of people/);
+    assert.throws(() => parseRoster('{', 'json'), /Invalid roster in roster/);
+    assert.throws(() => parseRoster('', 'xml'), /Unknown roster format: xml/);
+  });
+});
+
+describe('loadRoster', () => {
+  it('picks the format from the extension', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'authorsync-roster-'));
+    try {
+      writeFileSync(
+        join(dir, 'people.json'),
+        JSON.stringify([{ id: 1, name: 'A', emails: ['a@x.org'] }])
+      );
+      writeFileSync(join(dir, 'people.csv'), 'id,name,emails\n1,A,a@x.org\n');
+      assert.deepStrictEqual(
+        loadRoster(join(dir, 'people.json')),
+        loadRoster(join(dir, 'people.csv'))
+      );
+      assert.throws(() => loadRoster(join(dir, 'missing.csv')), /Cannot read roster file/);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('roster identities', () => {
+  const john = { id: '7', name: 'John', email: 'j@corp.com', emails: ['j@corp.com'] };
+  const roster = { people: [jane, john] };
+  const authors = [
+    { name: 'jroe', email: 'JROE@corp.com', commits: 5 },
+    { name: 'Visitor', email: 'visitor@example.com', commits: 1 },
+  ];
+
+  it('finds the person by email, ignoring case', () => {
+    assert.strictEqual(rosterPerson(authors[0], roster), jane);
+    assert.strictEqual(rosterPerson(authors[1], roster), null);
+    assert.strictEqual(rosterPerson(authors[0], undefined), null);
+  });
+
+  it('adds preferred identities for people found in the history', () => {
+    assert.deepStrictEqual(addRosterIdentities(authors, roster), [
+      ...authors,
+      {
+        name: 'Jane Roe',
+        email: 'jane@corp.com',
+        commits: 0,
+        roster: '1042',
+        fromRoster: true,
+      },
+    ]);
+  });
+
+  it('marks a preferred identity the history already has', () => {
+    const identities = addRosterIdentities(
+      [...authors, { name: 'Jane Roe', email: 'Jane@corp.com', commits: 2 }],
+      roster
+    );
+    assert.strictEqual(identities.length, 3);
+    assert.deepStrictEqual(identities[2], {
+      name: 'Jane Roe',
+      email: 'Jane@corp.com',
+      commits: 2,
+      roster: '1042',
+    });
+  });
+
+  it('lists identities nobody on the roster uses', () => {
+    assert.deepStrictEqual(unmatchedIdentities(authors, roster), [authors[1]]);
+  });
+});
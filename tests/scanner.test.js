@@ -1,7 +1,39 @@
-import { describe, it } from 'node:test';
+import { describe, it, before, after } from 'node:test';
 import assert from 'node:assert';
+import { execFileSync, spawnSync } from 'node:child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 
-import { parseMailmap } from '../src/scanner.js';
+import {
+  parseMailmap,
+  scanAuthors,
+  scanAuthorsAsync,
+} from '../src/scanner.js';
+
+/**
+ * Create a throwaway repository with one commit per author
+ * @param {string[][]} authors - [name, email, message?] per commit
+ * @returns {string} Repository path
+ */
+function createRepo(authors) {
+  const dir = mkdtempSync(join(tmpdir(), 'authorsync-'));
+  const env = {
+    ...process.env,
+    GIT_CONFIG_NOSYSTEM: '1',
+    GIT_COMMITTER_NAME: 'Committer',
+    GIT_COMMITTER_EMAIL: 'committer@example.com',
+  };
+  execFileSync('git', ['init', '-q'], { cwd: dir, env });
+  for (const [name, email, message = 'commit'] of authors) {
+    execFileSync(
+      'git',
+      ['commit', '-q', '--allow-empty', '-m', message, `--author=${name} <${email}>`],
+      { cwd: dir, env }
+    );
+  }
+  return dir;
+}
 
 describe('parseMailmap', () => {
   it('parses simple name mapping', () => {
@@ -66,6 +98,11 @@ Alice Smith <alice@example.com> Alice <a@example.com>`;
     assert.ok(mappings.has('Alice|a@example.com'));
   });
 
+  it('keys emails in lower case like git matches them', () => {
+    const mappings = parseMailmap('John Doe <john@example.com> John <J.Doe@Example.com>');
+    assert.ok(mappings.has('John|j.doe@example.com'));
+  });
+
   it('handles empty content', () => {
     const mappings = parseMailmap('');
     assert.strictEqual(mappings.size, 0);
@@ -81,3 +118,459 @@ Alice Smith <alice@example.com> Alice <a@example.com>`;
     assert.strictEqual(entry.name, 'John   Doe');
   });
 });
+
+/**
+ * Create a repository from raw commit headers, bypassing git's ident checks
+ * @param {string[][]} idents - [author, committer] header values per commit
+ * @returns {string} Repository path
+ */
+function createRawRepo(idents) {
+  const dir = mkdtempSync(join(tmpdir(), 'authorsync-'));
+  const git = (args, input) =>
+    execFileSync('git', args, { cwd: dir, input, encoding: 'utf-8' }).trim();
+  git(['init', '-q']);
+  const tree = git(['mktree'], '');
+  let parent = null;
+  for (const [author, committer] of idents) {
+    const headers = [`tree ${tree}`];
+    if (parent) headers.push(`parent ${parent}`);
+    headers.push(`author ${author} 0 +0000`, `committer ${committer} 0 +0000`);
+    parent = git(
+      ['hash-object', '-t', 'commit', '-w', '--stdin', '--literally'],
+      `${headers.join('\n')}\n\nmessage\n`
+    );
+  }
+  git(['update-ref', 'HEAD', parent]);
+  return dir;
+}
+
+describe('scanAuthorsAsync', () => {
+  let repo;
+  let empty;
+
+  before(() => {
+    repo = createRepo([
+      ['John Doe', 'john@example.com'],
+      ['John Doe', 'john@example.com'],
+      ['john', 'john@gmail.com'],
+      ['Alice', 'alice@example.com'],
+      ['John Doe', 'john@example.com'],
+    ]);
+    empty = createRepo([]);
+  });
+
+  after(() => {
+    rmSync(repo, { recursive: true, force: true });
+    rmSync(empty, { recursive: true, force: true });
+  });
+
+  it('aggregates identities like the sync scanner', async () => {
+    const authors = await scanAuthorsAsync(repo);
+    assert.deepStrictEqual(authors, scanAuthors(repo));
+    assert.deepStrictEqual(authors[0], {
+      name: 'John Doe',
+      email: 'john@example.com',
+      commits: 3,
+    });
+    assert.strictEqual(authors.length, 3);
+  });
+
+  it('includes committers on request', async () => {
+    const authors = await scanAuthorsAsync(repo, { includeCommitters: true });
+    const committer = authors.find((a) => a.email === 'committer@example.com');
+    assert.strictEqual(committer.commits, 5);
+  });
+
+  it('reports progress in commits', async () => {
+    const progress = [];
+    await scanAuthorsAsync(repo, {
+      includeCommitters: true,
+      progressInterval: 2,
+      onProgress: (commits) => progress.push(commits),
+    });
+    assert.deepStrictEqual(progress, [2, 4, 5]);
+  });
+
+  it('can be cancelled', async () => {
+    const controller = new AbortController();
+    const scan = scanAuthorsAsync(repo, { signal: controller.signal });
+    controller.abort();
+    await assert.rejects(scan, { name: 'AbortError' });
+  });
+
+  it('rejects immediately when already cancelled', async () => {
+    await assert.rejects(
+      scanAuthorsAsync(repo, { signal: AbortSignal.abort() }),
+      { name: 'AbortError' }
+    );
+  });
+
+  it('returns no authors for a repository without commits', async () => {
+    assert.deepStrictEqual(await scanAuthorsAsync(empty), []);
+  });
+
+  it('can read identities as recorded, ignoring .mailmap', async () => {
+    writeFileSync(join(repo, '.mailmap'), 'Johnny <johnny@example.com> <john@gmail.com>\n');
+    try {
+      const mapped = await scanAuthorsAsync(repo);
+      const raw = await scanAuthorsAsync(repo, { mailmap: false });
+      assert.ok(mapped.some((a) => a.email === 'johnny@example.com'));
+      assert.ok(raw.some((a) => a.email === 'john@gmail.com'));
+      assert.deepStrictEqual(scanAuthors(repo, { mailmap: false }), raw);
+    } finally {
+      rmSync(join(repo, '.mailmap'));
+    }
+  });
+
+  it('rejects outside a git repository', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'authorsync-'));
+    try {
+      await assert.rejects(scanAuthorsAsync(dir), /Not a git repository/);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('co-authors', () => {
+  let repo;
+
+  before(() => {
+    repo = createRepo([
+      [
+        'John Doe',
+        'john@example.com',
+        'Pair on parser\n\nCo-authored-by: Alice <alice@example.com>\nco-authored-by: Bob <bob@example.com>',
+      ],
+      [
+        'Alice',
+        'alice@example.com',
+        'Squash\n\nCo-authored-by: John D <jd@personal.dev>\nCo-authored-by: John D <jd@personal.dev>\nCo-authored-by: Alice <alice@example.com>',
+      ],
+      ['Bob', 'bob@example.com', 'Fix\n\nCo-authored-by: not an identity <'],
+    ]);
+  });
+
+  after(() => {
+    rmSync(repo, { recursive: true, force: true });
+  });
+
+  it('ignores trailers unless asked', async () => {
+    const authors = await scanAuthorsAsync(repo);
+    assert.strictEqual(authors.length, 3);
+    assert.ok(authors.every((a) => a.coAuthored === undefined));
+  });
+
+  it('counts co-authored commits separately from authored ones', async () => {
+    const authors = await scanAuthorsAsync(repo, { coAuthors: true });
+    const counts = Object.fromEntries(
+      authors.map((a) => [a.email, [a.commits, a.coAuthored]])
+    );
+    assert.deepStrictEqual(counts, {
+      'john@example.com': [1, 0],
+      'alice@example.com': [1, 1],
+      'bob@example.com': [1, 1],
+      'jd@personal.dev': [0, 1],
+    });
+    assert.deepStrictEqual(scanAuthors(repo, { coAuthors: true }), authors);
+  });
+
+  it('reports unreadable trailers', async () => {
+    const issues = [];
+    await scanAuthorsAsync(repo, {
+      coAuthors: true,
+      onIssue: (issue) => issues.push(issue),
+    });
+    assert.deepStrictEqual(
+      issues.map(({ kind, role, record }) => ({ kind, role, record })),
+      [{ kind: 'malformed', role: 'co-author', record: 'not an identity <' }]
+    );
+  });
+});
+
+describe('identity parsing', () => {
+  let repo;
+
+  before(() => {
+    repo = createRawRepo([
+      ['Pipe | Name <pipe@example.com>', 'A|B <ab@example.com>'],
+      [' <nobody@example.com>', 'Committer <>'],
+      ['Ünïcödé 名前 <u@example.com>', 'Pipe | Name <pipe@example.com>'],
+    ]);
+  });
+
+  after(() => {
+    rmSync(repo, { recursive: true, force: true });
+  });
+
+  it('keeps names with separators and unusual characters intact', async () => {
+    const authors = await scanAuthorsAsync(repo, { includeCommitters: true });
+    assert.deepStrictEqual(
+      authors.map((a) => [a.name, a.email, a.commits]),
+      [
+        ['Pipe | Name', 'pipe@example.com', 2],
+        ['Ünïcödé 名前', 'u@example.com', 1],
+        ['A|B', 'ab@example.com', 1],
+      ]
+    );
+    assert.deepStrictEqual(scanAuthors(repo, { includeCommitters: true }), authors);
+  });
+
+  it('reports identities with an empty name or email', async () => {
+    const issues = [];
+    await scanAuthorsAsync(repo, {
+      includeCommitters: true,
+      onIssue: (issue) => issues.push(issue),
+    });
+    assert.deepStrictEqual(
+      issues.map(({ kind, role, name, email }) => ({ kind, role, name, email })),
+      [
+        { kind: 'empty-name', role: 'author', name: '', email: 'nobody@example.com' },
+        { kind: 'empty-email', role: 'committer', name: 'Committer', email: '' },
+      ]
+    );
+    assert.match(issues[0].commit, /^[0-9a-f]{40}$/);
+  });
+
+  it('reports the same issues from the sync scanner', async () => {
+    const sync = [];
+    const async = [];
+    scanAuthors(repo, { onIssue: (issue) => sync.push(issue) });
+    await scanAuthorsAsync(repo, { onIssue: (issue) => async.push(issue) });
+    assert.strictEqual(sync.length, 1);
+    assert.deepStrictEqual(sync, async);
+  });
+});
+
+describe('timelines', () => {
+  let repo;
+
+  before(() => {
+    repo = createRepo([]);
+    const dates = [
+      ['John Doe', 'john@example.com', '2020-01-15T12:00:00Z'],
+      ['John Doe', 'john@example.com', '2020-03-02T12:00:00Z'],
+      ['John Doe', 'john@example.com', '2020-03-20T12:00:00Z'],
+      ['Alice', 'alice@example.com', '2021-06-01T12:00:00Z'],
+    ];
+    for (const [name, email, date] of dates) {
+      execFileSync(
+        'git',
+        ['commit', '-q', '--allow-empty', '-m', 'commit', `--author=${name} <${email}>`],
+        {
+          cwd: repo,
+          env: {
+            ...process.env,
+            GIT_AUTHOR_DATE: date,
+            GIT_COMMITTER_NAME: 'Committer',
+            GIT_COMMITTER_EMAIL: 'committer@example.com',
+            GIT_COMMITTER_DATE: '2022-01-01T00:00:00Z',
+          },
+        }
+      );
+    }
+  });
+
+  after(() => {
+    rmSync(repo, { recursive: true, force: true });
+  });
+
+  it('leaves timelines out unless asked', async () => {
+    const [john] = await scanAuthorsAsync(repo);
+    assert.strictEqual(john.firstCommit, undefined);
+  });
+
+  it('records first and last commit and active months', async () => {
+    const [john] = await scanAuthorsAsync(repo, { timeline: true });
+    assert.deepStrictEqual(john, {
+      name: 'John Doe',
+      email: 'john@example.com',
+      commits: 3,
+      firstCommit: Date.parse('2020-01-15T12:00:00Z') / 1000,
+      lastCommit: Date.parse('2020-03-20T12:00:00Z') / 1000,
+      activeMonths: ['2020-01', '2020-03'],
+    });
+    assert.deepStrictEqual(scanAuthors(repo, { timeline: true }), [
+      john,
+      ...(await scanAuthorsAsync(repo, { timeline: true })).slice(1),
+    ]);
+  });
+
+  it('uses commit times for committers', async () => {
+    const authors = await scanAuthorsAsync(repo, { timeline: true, includeCommitters: true });
+    const committer = authors.find((a) => a.email === 'committer@example.com');
+    assert.deepStrictEqual(committer.activeMonths, ['2022-01']);
+  });
+});
+
+describe('touched paths', () => {
+  let repo;
+
+  /**
+   * Commit changes to files as an author
+   * @param {string} author - `Name <email>`
+   * @param {string[]} files - Files to change
+   */
+  function change(author, files) {
+    for (const file of files) {
+      writeFileSync(join(repo, file), `${author} ${Math.random()}\n`);
+    }
+    execFileSync('git', ['add', '-A'], gitOptions());
+    execFileSync('git', ['commit', '-q', '-m', 'change', `--author=${author}`], gitOptions());
+  }
+
+  function gitOptions() {
+    return {
+      cwd: repo,
+      env: {
+        ...process.env,
+        GIT_COMMITTER_NAME: 'Committer',
+        GIT_COMMITTER_EMAIL: 'committer@example.com',
+      },
+    };
+  }
+
+  before(() => {
+    repo = createRepo([]);
+    change('John Doe <john@example.com>', ['a.js', 'b c.js']);
+    change('John Doe <john@example.com>', ['a.js', 'd.js']);
+    change('Alice <alice@example.com>', ['e.js']);
+    change('Bulk Bot <bot@example.com>', Array.from({ length: 101 }, (_, i) => `gen${i}.js`));
+    execFileSync(
+      'git',
+      ['commit', '-q', '--allow-empty', '-m', 'empty', '--author=Alice <alice@example.com>'],
+      gitOptions()
+    );
+  });
+
+  after(() => {
+    rmSync(repo, { recursive: true, force: true });
+  });
+
+  it('records the files each identity changed', async () => {
+    const authors = await scanAuthorsAsync(repo, { paths: true });
+    const john = authors.find((a) => a.email === 'john@example.com');
+    const alice = authors.find((a) => a.email === 'alice@example.com');
+    assert.deepStrictEqual(john.paths, ['a.js', 'b c.js', 'd.js']);
+    assert.deepStrictEqual(alice.paths, ['e.js']);
+    assert.strictEqual(alice.commits, 2);
+    assert.deepStrictEqual(scanAuthors(repo, { paths: true }), authors);
+  });
+
+  it('leaves out commits that change very many files', async () => {
+    const authors = await scanAuthorsAsync(repo, { paths: true });
+    const bot = authors.find((a) => a.email === 'bot@example.com');
+    assert.strictEqual(bot.commits, 1);
+    assert.deepStrictEqual(bot.paths, []);
+  });
+
+  it('keeps at most the path limit per identity', async () => {
+    const authors = await scanAuthorsAsync(repo, { paths: true, pathLimit: 2 });
+    const john = authors.find((a) => a.email === 'john@example.com');
+    assert.strictEqual(john.paths.length, 2);
+  });
+
+  it('does not credit paths to committers', async () => {
+    const authors = await scanAuthorsAsync(repo, { paths: true, includeCommitters: true });
+    const committer = authors.find((a) => a.email === 'committer@example.com');
+    assert.deepStrictEqual(committer.paths, []);
+  });
+
+  it('reports progress once per commit', async () => {
+    const progress = [];
+    await scanAuthorsAsync(repo, {
+      paths: true,
+      progressInterval: 2,
+      onProgress: (commits) => progress.push(commits),
+    });
+    assert.deepStrictEqual(progress, [2, 4, 5]);
+  });
+});
+
+describe('signing keys', {
+  skip: spawnSync('ssh-keygen', ['-h']).error && 'ssh-keygen not available',
+}, () => {
+  let repo;
+  let keyDir;
+  const fingerprints = {};
+
+  /**
+   * Commit as an author, optionally committed by someone else and signed
+   * @param {string} author - `Name <email>`
+   * @param {Object} [options] - Commit options
+   * @param {string} [options.key] - Name of the SSH key to sign with
+   * @param {string[]} [options.committer] - [name, email] if not the author
+   */
+  function commit(author, { key, committer } = {}) {
+    const [, name, email] = author.match(/^(.*) <(.*)>$/);
+    const [committerName, committerEmail] = committer || [name, email];
+    const config = key
+      ? ['-c', 'gpg.format=ssh', '-c', `user.signingkey=${join(keyDir, key)}`]
+      : [];
+    const args = ['commit', '-q', '--allow-empty', '-m', 'commit', `--author=${author}`];
+    if (key) args.push('-S');
+    execFileSync(
+      'git',
+      [...config, ...args],
+      {
+        cwd: repo,
+        env: {
+          ...process.env,
+          GIT_COMMITTER_NAME: committerName,
+          GIT_COMMITTER_EMAIL: committerEmail,
+        },
+      }
+    );
+  }
+
+  before(() => {
+    keyDir = mkdtempSync(join(tmpdir(), 'authorsync-keys-'));
+    for (const key of ['john', 'ci']) {
+      const file = join(keyDir, key);
+      execFileSync('ssh-keygen', ['-q', '-t', 'ed25519', '-N', '', '-C', key, '-f', file]);
+      fingerprints[key] = execFileSync('ssh-keygen', ['-l', '-f', `${file}.pub`], {
+        encoding: 'utf-8',
+      }).split(' ')[1];
+    }
+
+    repo = createRepo([]);
+    commit('John Doe <john@example.com>', { key: 'john' });
+    commit('jdoe <jdoe@home.org>', { key: 'john' });
+    commit('Alice <alice@example.com>');
+    commit('Bob <bob@example.com>', { key: 'ci', committer: ['CI', 'ci@example.com'] });
+  });
+
+  after(() => {
+    rmSync(repo, { recursive: true, force: true });
+    rmSync(keyDir, { recursive: true, force: true });
+  });
+
+  it('records the keys each identity signed with', async () => {
+    const authors = await scanAuthorsAsync(repo, { signingKeys: true });
+    const keys = Object.fromEntries(authors.map((a) => [a.email, a.signingKeys]));
+    assert.deepStrictEqual(keys, {
+      'john@example.com': [fingerprints.john],
+      'jdoe@home.org': [fingerprints.john],
+      'alice@example.com': [],
+      'bob@example.com': [],
+    });
+    assert.deepStrictEqual(scanAuthors(repo, { signingKeys: true }), authors);
+  });
+
+  it('credits the signature of another committer only with committers', async () => {
+    const authors = await scanAuthorsAsync(repo, {
+      signingKeys: true,
+      includeCommitters: true,
+    });
+    const ci = authors.find((a) => a.email === 'ci@example.com');
+    const bob = authors.find((a) => a.email === 'bob@example.com');
+    assert.deepStrictEqual(ci.signingKeys, [fingerprints.ci]);
+    assert.deepStrictEqual(bob.signingKeys, []);
+  });
+
+  it('adds no keys without the option', async () => {
+    const authors = await scanAuthorsAsync(repo);
+    assert.ok(authors.every((a) => a.signingKeys === undefined));
+    assert.strictEqual(authors.length, 4);
+  });
+});
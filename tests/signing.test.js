@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { mergeSigningKeys, sharedSigningKeys } from '../src/signing.js';
+
+describe('sharedSigningKeys', () => {
+  it('lists the keys both identities used', () => {
+    const a = { signingKeys: ['a', 'b', 'c'] };
+    const b = { signingKeys: ['b', 'c', 'd', 'e'] };
+    assert.deepStrictEqual(sharedSigningKeys(a, b), ['b', 'c']);
+    assert.deepStrictEqual(sharedSigningKeys(b, a), ['b', 'c']);
+  });
+
+  it('returns nothing when either identity has no keys', () => {
+    assert.deepStrictEqual(sharedSigningKeys({ signingKeys: ['a'] }, {}), []);
+    assert.deepStrictEqual(sharedSigningKeys({ signingKeys: [] }, { signingKeys: ['a'] }), []);
+  });
+
+  it('sees keys added to an identity after an earlier comparison', () => {
+    const a = { signingKeys: ['a'] };
+    const b = { signingKeys: ['x', 'y'] };
+    assert.deepStrictEqual(sharedSigningKeys(a, b), []);
+    mergeSigningKeys(b, { signingKeys: ['a'] });
+    assert.deepStrictEqual(sharedSigningKeys(a, b), ['a']);
+  });
+
+  it('sees keys replaced with a list of the same size', () => {
+    const a = { signingKeys: ['a'] };
+    const b = { signingKeys: ['x', 'y'] };
+    assert.deepStrictEqual(sharedSigningKeys(a, b), []);
+
+    b.signingKeys = ['a', 'y'];
+    assert.deepStrictEqual(sharedSigningKeys(a, b), ['a']);
+  });
+});
+
+describe('mergeSigningKeys', () => {
+  it('joins keys without duplicates, sorted', () => {
+    const target = { signingKeys: ['b', 'a'] };
+    mergeSigningKeys(target, { signingKeys: ['c', 'a'] });
+    assert.deepStrictEqual(target.signingKeys, ['a', 'b', 'c']);
+  });
+
+  it('copies keys to an identity without any', () => {
+    const target = {};
+    mergeSigningKeys(target, { signingKeys: ['a'] });
+    assert.deepStrictEqual(target.signingKeys, ['a']);
+  });
+
+  it('leaves the target alone when the source has no keys', () => {
+    const target = { signingKeys: ['a'] };
+    mergeSigningKeys(target, {});
+    assert.deepStrictEqual(target.signingKeys, ['a']);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import {
+  compareTimelines,
+  mergeTimeline,
+  formatActivePeriod,
+  commitMonth,
+} from '../src/timeline.js';
+
+const DAY = 24 * 60 * 60;
+
+/**
+ * Build an identity active between two dates, with a commit every month
+ * @param {string} first - First commit date
+ * @param {string} last - Last commit date
+ */
+function active(first, last) {
+  const firstCommit = Date.parse(first) / 1000;
+  const lastCommit = Date.parse(last) / 1000;
+  const activeMonths = [];
+  for (let time = firstCommit; time <= lastCommit; time += 28 * DAY) {
+    activeMonths.push(commitMonth(time));
+  }
+  activeMonths.push(commitMonth(lastCommit));
+  return { firstCommit, lastCommit, activeMonths: [...new Set(activeMonths)] };
+}
+
+describe('compareTimelines', () => {
+  it('finds a hand-off when one identity starts as the other stops', () => {
+    const old = active('2019-01-01', '2021-06-30');
+    const next = active('2021-07-14', '2023-01-01');
+    assert.deepStrictEqual(compareTimelines(old, next), { signal: 'hand-off', value: 14 });
+    assert.deepStrictEqual(compareTimelines(next, old), { signal: 'hand-off', value: 14 });
+  });
+
+  it('finds no hand-off between identities active at the same moment', () => {
+    const push = active('2021-07-14T10:00:00Z', '2021-07-14T10:00:00Z');
+    const same = active('2021-07-14T10:00:00Z', '2021-07-14T10:00:00Z');
+    const longer = active('2021-07-14T10:00:00Z', '2022-01-01');
+    assert.strictEqual(compareTimelines(push, same), null);
+    assert.strictEqual(compareTimelines(push, longer), null);
+    assert.strictEqual(compareTimelines(longer, push), null);
+  });
+
+  it('finds a same-day hand-off after a real span of activity', () => {
+    const old = active('2019-01-01', '2021-07-14T10:00:00Z');
+    const next = active('2021-07-14T10:00:00Z', '2023-01-01');
+    assert.deepStrictEqual(compareTimelines(old, next), { signal: 'hand-off', value: 0 });
+  });
+
+  it('finds disjoint timelines with a long gap', () => {
+    const old = active('2015-01-01', '2016-01-01');
+    const next = active('2020-01-01', '2021-01-01');
+    assert.strictEqual(compareTimelines(old, next).signal, 'disjoint');
+  });
+
+  it('finds overlapping timelines', () => {
+    const a = active('2020-01-01', '2021-01-01');
+    const b = active('2020-06-01', '2022-01-01');
+    assert.deepStrictEqual(compareTimelines(a, b), { signal: 'overlap', value: 8 });
+  });
+
+  it('says nothing about a short overlap', () => {
+    const a = { firstCommit: 0, lastCommit: 40 * DAY, activeMonths: ['1970-01', '1970-02'] };
+    const b = {
+      firstCommit: 35 * DAY,
+      lastCommit: 90 * DAY,
+      activeMonths: ['1970-02', '1970-03'],
+    };
+    assert.strictEqual(compareTimelines(a, b), null);
+  });
+
+  it('needs a timeline on both identities', () => {
+    assert.strictEqual(compareTimelines(active('2020-01-01', '2020-02-01'), {}), null);
+  });
+});
+
+describe('mergeTimeline', () => {
+  it('widens the range and joins the months', () => {
+    const target = active('2020-03-01', '2020-04-01');
+    mergeTimeline(target, active('2020-01-01', '2020-03-15'));
+    assert.strictEqual(target.firstCommit, Date.parse('2020-01-01') / 1000);
+    assert.strictEqual(target.lastCommit, Date.parse('2020-04-01') / 1000);
+    assert.deepStrictEqual(target.activeMonths, ['2020-01', '2020-02', '2020-03', '2020-04']);
+  });
+
+  it('copies a timeline onto an identity without one', () => {
+    const source = active('2020-01-01', '2020-02-01');
+    const target = {};
+    mergeTimeline(target, source);
+    assert.deepStrictEqual(target, source);
+    assert.notStrictEqual(target.activeMonths, source.activeMonths);
+  });
+});
+
+describe('formatActivePeriod', () => {
+  it('shows the first and last month', () => {
+    assert.strictEqual(
+      formatActivePeriod(active('2019-03-05', '2021-07-01')),
+      '2019-03 – 2021-07'
+    );
+  });
+
+  it('shows one month once', () => {
+    assert.strictEqual(formatActivePeriod(active('2019-03-05', '2019-03-20')), '2019-03');
+  });
+
+  it('is empty without a timeline', () => {
+    assert.strictEqual(formatActivePeriod({ name: 'x', email: 'x@y' }), '');
+  });
+});